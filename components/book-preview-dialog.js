@@ -1,6 +1,14 @@
 // @ts-check
 
 import { getHTML } from "../modules/dom-manipulation.js";
+import { SHELVES } from "../modules/shelves.js";
+import { formatTimeRemaining } from "../modules/reading-progress.js";
+import { MAX_RATING } from "../modules/ratings.js";
+import { loadCover } from "../modules/covers.js";
+
+/**
+ * @typedef {import("../modules/reading-progress.js").ProgressEntry} ProgressEntry
+ */
 
 const template = document.createElement("template");
 
@@ -67,6 +75,10 @@ template.innerHTML = /** HTML */ `
             background-color: rgba(var(--color-blue), 0.8);
             color: rgba(var(--color-force-light), 1);
         }
+
+        .overlay__button_hidden {
+            display: none;
+        }
                     
         .overlay__title {
             padding: 1rem 0 0.25rem;
@@ -122,17 +134,172 @@ template.innerHTML = /** HTML */ `
             align-items: center;
             justify-content: center;
         }
+
+        .overlay__preview_hidden {
+            display: none;
+        }
+
+        .overlay__shelves {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            justify-content: center;
+            padding: 0 1.5rem 1.5rem;
+        }
+
+        .overlay__shelves_hidden {
+            display: none;
+        }
+
+        .overlay__shelf {
+            font-family: Roboto, sans-serif;
+            font-size: 0.9rem;
+            padding: 0.5rem 0.75rem;
+            border-radius: 1rem;
+            cursor: pointer;
+            color: rgba(var(--color-blue), 1);
+            background-color: transparent;
+            border: 1px solid rgba(var(--color-blue), 0.5);
+        }
+
+        .overlay__shelf:hover {
+            background-color: rgba(var(--color-blue), 0.1);
+        }
+
+        .overlay__shelf[aria-pressed="true"] {
+            background-color: rgba(var(--color-blue), 1);
+            color: rgba(var(--color-force-light), 1);
+        }
+
+        .overlay__review {
+            padding: 0 1.5rem 1.5rem;
+            text-align: center;
+        }
+
+        .overlay__review_hidden {
+            display: none;
+        }
+
+        .overlay__stars {
+            display: inline-flex;
+            margin-bottom: 0.5rem;
+        }
+
+        .overlay__star {
+            padding: 0 0.125rem;
+            border-width: 0;
+            cursor: pointer;
+            font-size: 1.5rem;
+            line-height: 1;
+            color: rgba(var(--color-dark), 0.3);
+            background-color: transparent;
+        }
+
+        .overlay__star_filled {
+            color: rgba(var(--color-blue), 1);
+        }
+
+        .overlay__notes {
+            display: block;
+            width: 100%;
+            min-height: 4rem;
+            padding: 0.5rem 0.75rem;
+            border-width: 0;
+            border-radius: 6px;
+            resize: vertical;
+            font-family: Roboto, sans-serif;
+            font-size: 0.9rem;
+            color: rgba(var(--color-dark), 1);
+            background-color: rgba(var(--color-dark), 0.05);
+        }
+
+        .overlay__progress {
+            padding: 0 1.5rem 1.5rem;
+            font-family: Roboto, sans-serif;
+            font-size: 0.9rem;
+            color: rgba(var(--color-dark), 0.8);
+        }
+
+        .overlay__progress_hidden {
+            display: none;
+        }
+
+        .overlay__progress-track {
+            height: 6px;
+            border-radius: 3px;
+            overflow: hidden;
+            background-color: rgba(var(--color-dark), 0.1);
+        }
+
+        .overlay__progress-bar {
+            height: 100%;
+            width: 0;
+            background-color: rgba(var(--color-blue), 1);
+        }
+
+        .overlay__progress-summary {
+            margin: 0.5rem 0;
+            text-align: center;
+        }
+
+        .overlay__progress-form {
+            display: flex;
+            gap: 0.5rem;
+            align-items: center;
+            justify-content: center;
+        }
+
+        .overlay__progress-input {
+            width: 5rem;
+            margin-left: 0.5rem;
+            padding: 0.375rem 0.5rem;
+            border-width: 0;
+            border-radius: 6px;
+            font-family: Roboto, sans-serif;
+            font-size: 0.9rem;
+            color: rgba(var(--color-dark), 1);
+            background-color: rgba(var(--color-dark), 0.05);
+        }
+
+        .overlay__progress-history {
+            max-height: 6rem;
+            overflow-y: auto;
+            margin: 0.75rem 0 0;
+            padding: 0;
+            list-style: none;
+            color: rgba(var(--color-dark), 0.6);
+        }
     </style>
 
     <dialog class="overlay" data-dialog>
-      <div class="overlay__preview"><img class="overlay__blur" data-blur-image src=""/><img class="overlay__image" data-image src=""/></div>
+      <div class="overlay__preview" data-preview><img class="overlay__blur" data-blur-image /><img class="overlay__image" data-image /></div>
       <div class="overlay__content">
         <h3 class="overlay__title" data-title></h3>
         <div class="overlay__data" data-subtitle></div>
         <p class="overlay__data overlay__data_secondary" data-description></p>
       </div>
 
+      <div class="overlay__shelves" data-shelves></div>
+
+      <section class="overlay__review" data-review>
+        <div class="overlay__stars" role="group" aria-label="My rating" data-stars></div>
+        <textarea class="overlay__notes" aria-label="My notes" placeholder="Private notes about this book" data-notes></textarea>
+      </section>
+
+      <section class="overlay__progress" data-progress>
+        <div class="overlay__progress-track" role="progressbar" aria-label="Reading progress" aria-valuemin="0" aria-valuemax="100" data-progress-track>
+          <div class="overlay__progress-bar" data-progress-bar></div>
+        </div>
+        <p class="overlay__progress-summary" data-progress-summary></p>
+        <form class="overlay__progress-form" data-progress-form>
+          <label>Current page<input class="overlay__progress-input" type="number" name="page" min="0" step="1" required data-progress-input /></label>
+          <button class="overlay__shelf" type="submit">Log</button>
+        </form>
+        <ol class="overlay__progress-history" aria-label="Progress history" data-progress-history></ol>
+      </section>
+
       <div class="overlay__row">
+        <button class="overlay__button" data-edit>Edit</button>
         <button class="overlay__button overlay__button_primary" data-close>Close</button>
       </div>
     </dialog>
@@ -154,10 +321,34 @@ class BookPreviewDialog extends HTMLElement {
 	/** @type {string} */
 	#description;
 
+	/** @type {boolean} */
+	#notFound = false;
+
+	/** @type {string} */
+	#bookId;
+
+	/** @type {string | null} */
+	#shelf = null;
+
+	/** @type {number} */
+	#pages;
+
+	/** @type {number} */
+	#readingSpeed;
+
+	/** @type {ProgressEntry[]} */
+	#progressHistory = [];
+
+	/** @type {number | null} */
+	#rating = null;
+
 	#elements = {
 		/** @type {HTMLElement | undefined} */
 		dialog: undefined,
 
+		/** @type {HTMLElement | undefined} */
+		preview: undefined,
+
 		/** @type {HTMLElement | undefined} */
 		blur: undefined,
 
@@ -173,6 +364,18 @@ class BookPreviewDialog extends HTMLElement {
 		/** @type {HTMLElement | undefined} */
 		description: undefined,
 
+		/** @type {HTMLElement | undefined} */
+		shelves: undefined,
+
+		/** @type {HTMLElement | undefined} */
+		review: undefined,
+
+		/** @type {HTMLElement | undefined} */
+		progress: undefined,
+
+		/** @type {HTMLElement | undefined} */
+		edit: undefined,
+
 		/** @type {HTMLElement | undefined} */
 		close: undefined,
 	};
@@ -192,28 +395,71 @@ class BookPreviewDialog extends HTMLElement {
 		this.#title = this.getAttribute("title") || "";
 		this.#subtitle = this.getAttribute("subtitle") || "";
 		this.#description = this.getAttribute("description") || "";
+		this.#notFound = this.getAttribute("not-found") !== null;
+		this.#bookId = this.getAttribute("book-id") || "";
+		this.#pages = Number(this.getAttribute("pages")) || 0;
+		this.#readingSpeed = Number(this.getAttribute("reading-speed")) || 1;
+
+		if (this.#notFound) {
+			this.#image = "";
+			this.#title = "Book not found";
+			this.#subtitle = "";
+			this.#description =
+				this.#description ||
+				"The book you are looking for does not exist in the catalog.";
+		}
 
 		this.#elements = {
 			dialog: getHTML({ dataAttr: "dialog", target: this.#shadow }),
+			preview: getHTML({ dataAttr: "preview", target: this.#shadow }),
 			blur: getHTML({ dataAttr: "blur-image", target: this.#shadow }),
 			image: getHTML({ dataAttr: "image", target: this.#shadow }),
 			title: getHTML({ dataAttr: "title", target: this.#shadow }),
 			subtitle: getHTML({ dataAttr: "subtitle", target: this.#shadow }),
 			description: getHTML({ dataAttr: "description", target: this.#shadow }),
+			shelves: getHTML({ dataAttr: "shelves", target: this.#shadow }),
+			review: getHTML({ dataAttr: "review", target: this.#shadow }),
+			progress: getHTML({ dataAttr: "progress", target: this.#shadow }),
+			edit: getHTML({ dataAttr: "edit", target: this.#shadow }),
 			close: getHTML({ dataAttr: "close", target: this.#shadow }),
 		};
 
-		const { blur, image, title, subtitle, description, close } = this.#elements;
+		const {
+			dialog,
+			preview,
+			blur,
+			image,
+			title,
+			subtitle,
+			description,
+			shelves,
+			review,
+			progress,
+			edit,
+			close,
+		} = this.#elements;
+
+		if (!(preview instanceof HTMLElement)) {
+			throw new Error(`The ${preview} instance is not an HTMLELement type`);
+		}
+		preview.classList.toggle("overlay__preview_hidden", this.#notFound);
 
-		if (!(blur instanceof HTMLElement)) {
-			throw new Error(`The ${blur} instance is not an HTMLELement type`);
+		if (!(blur instanceof HTMLImageElement)) {
+			throw new Error(`The ${blur} instance is not an HTMLImageElement type`);
 		}
-		blur.setAttribute("src", this.#image);
 
-		if (!(image instanceof HTMLElement)) {
-			throw new Error(`The ${image} instance is not an HTMLELement type`);
+		if (!(image instanceof HTMLImageElement)) {
+			throw new Error(`The ${image} instance is not an HTMLImageElement type`);
 		}
-		image.setAttribute("src", this.#image);
+
+		const cover = {
+			src: this.#image,
+			title: this.#title,
+			genre: this.getAttribute("genre"),
+		};
+
+		loadCover(blur, cover);
+		loadCover(image, cover);
 
 		if (!(title instanceof HTMLElement)) {
 			throw new Error(`The ${title} instance is not an HTMLELement type`);
@@ -230,16 +476,323 @@ class BookPreviewDialog extends HTMLElement {
 		}
 		description.textContent = this.#description;
 
+		if (!(shelves instanceof HTMLElement)) {
+			throw new Error(`The ${shelves} instance is not an HTMLELement type`);
+		}
+		shelves.classList.toggle("overlay__shelves_hidden", this.#notFound);
+		shelves.replaceChildren(
+			...Object.entries(SHELVES).map(([shelfId, shelfName]) => {
+				const shelfButton = document.createElement("button");
+
+				shelfButton.className = "overlay__shelf";
+				shelfButton.type = "button";
+				shelfButton.textContent = shelfName;
+				shelfButton.setAttribute("data-shelf", shelfId);
+				shelfButton.addEventListener("click", () =>
+					this.#handleShelfClick(shelfId)
+				);
+
+				return shelfButton;
+			})
+		);
+		this.shelf = this.getAttribute("shelf");
+
+		if (!(review instanceof HTMLElement)) {
+			throw new Error(`The ${review} instance is not an HTMLELement type`);
+		}
+		review.classList.toggle("overlay__review_hidden", this.#notFound);
+
+		const stars = getHTML({ dataAttr: "stars", target: this.#shadow });
+		stars.replaceChildren(
+			...Array.from({ length: MAX_RATING }, (_, index) => {
+				const starButton = document.createElement("button");
+				const starCount = index + 1;
+
+				starButton.className = "overlay__star";
+				starButton.type = "button";
+				starButton.textContent = "★";
+				starButton.setAttribute(
+					"aria-label",
+					`${starCount} star${starCount === 1 ? "" : "s"}`
+				);
+				starButton.addEventListener("click", () =>
+					this.#handleStarClick(starCount)
+				);
+
+				return starButton;
+			})
+		);
+		this.rating = Number(this.getAttribute("rating")) || null;
+
+		const notes = getHTML({ dataAttr: "notes", target: this.#shadow });
+		if (!(notes instanceof HTMLTextAreaElement)) {
+			throw new Error(
+				`The ${notes} instance is not an HTMLTextAreaElement type`
+			);
+		}
+		notes.value = this.getAttribute("notes") || "";
+		notes.addEventListener("input", () => {
+			this.dispatchEvent(
+				new CustomEvent("bookNotesChanged", {
+					bubbles: true,
+					composed: true,
+					detail: { id: this.#bookId, notes: notes.value },
+				})
+			);
+		});
+
+		if (!(progress instanceof HTMLElement)) {
+			throw new Error(`The ${progress} instance is not an HTMLELement type`);
+		}
+		progress.classList.toggle(
+			"overlay__progress_hidden",
+			this.#notFound || this.#pages <= 0
+		);
+
+		const progressForm = getHTML({
+			dataAttr: "progress-form",
+			target: this.#shadow,
+		});
+		const progressInput = getHTML({
+			dataAttr: "progress-input",
+			target: this.#shadow,
+		});
+
+		if (!(progressInput instanceof HTMLInputElement)) {
+			throw new Error(
+				`The ${progressInput} instance is not an HTMLInputElement type`
+			);
+		}
+		progressInput.max = String(this.#pages);
+
+		progressForm.addEventListener("submit", (event) => {
+			event.preventDefault();
+			this.#handleProgressSubmit(progressInput);
+		});
+
+		this.#renderProgress();
+
+		if (!(edit instanceof HTMLButtonElement)) {
+			throw new Error(`The ${edit} instance is not an HTMLButtonElement type`);
+		}
+		// The book can only be edited when catalog editing is turned on.
+		edit.classList.toggle(
+			"overlay__button_hidden",
+			this.#notFound || this.getAttribute("editable") === null
+		);
+		edit.addEventListener("click", () => {
+			this.dispatchEvent(
+				new CustomEvent("bookEditRequested", {
+					bubbles: true,
+					composed: true,
+					detail: { id: this.#bookId },
+				})
+			);
+		});
+
 		if (!(close instanceof HTMLButtonElement)) {
 			throw new Error(`The ${close} instance is not an HTMLButtonElement type`);
 		}
 
 		close.addEventListener("click", () => {
 			this.open = false;
+		});
+
+		if (!(dialog instanceof HTMLDialogElement)) {
+			throw new Error(
+				`The ${dialog} instance is not an HTMLDialogElement type`
+			);
+		}
+
+		// The dialog can also be closed natively, e.g. with the Escape key.
+		dialog.addEventListener("close", () => {
+			this.#open = false;
+			this.dispatchEvent(
+				new CustomEvent("bookPreviewClosed", { bubbles: true, composed: true })
+			);
 			this.remove();
 		});
 	}
 
+	/**
+	 * Moves the book to the clicked shelf, or takes it off the shelf if it was
+	 * already on it, and dispatches a `bookShelfChanged` event so that the app
+	 * can store the change.
+	 *
+	 * @param {string} shelfId - The ID of the clicked shelf.
+	 * @returns {void}
+	 */
+	#handleShelfClick(shelfId) {
+		this.shelf = this.#shelf === shelfId ? null : shelfId;
+
+		this.dispatchEvent(
+			new CustomEvent("bookShelfChanged", {
+				bubbles: true,
+				composed: true,
+				detail: { id: this.#bookId, shelf: this.#shelf },
+			})
+		);
+	}
+
+	/**
+	 * Dispatches a `bookProgressLogged` event with the page entered by the
+	 * user, so that the app can add it to the book's progress history. Pages
+	 * outside of the book are reported to the user instead.
+	 *
+	 * @param {HTMLInputElement} input - The current page input.
+	 * @returns {void}
+	 */
+	#handleProgressSubmit(input) {
+		if (!input.reportValidity()) return;
+
+		this.dispatchEvent(
+			new CustomEvent("bookProgressLogged", {
+				bubbles: true,
+				composed: true,
+				detail: { id: this.#bookId, page: input.valueAsNumber },
+			})
+		);
+	}
+
+	/**
+	 * Renders the progress bar, the summary of the user's progress (including
+	 * the estimated time left at their reading speed) and the progress
+	 * history, newest entry first.
+	 *
+	 * @returns {void}
+	 */
+	#renderProgress() {
+		if (!(this.#elements.progress instanceof HTMLElement)) return;
+
+		const target = this.#shadow;
+		const track = getHTML({ dataAttr: "progress-track", target });
+		const bar = getHTML({ dataAttr: "progress-bar", target });
+		const summary = getHTML({ dataAttr: "progress-summary", target });
+		const history = getHTML({ dataAttr: "progress-history", target });
+
+		const lastEntry = this.#progressHistory[this.#progressHistory.length - 1];
+		const currentPage = lastEntry ? lastEntry.page : 0;
+		const pagesLeft = Math.max(0, this.#pages - currentPage);
+		const percentage =
+			this.#pages > 0 ? Math.round((currentPage / this.#pages) * 100) : 0;
+		const timeLeft = formatTimeRemaining(pagesLeft, this.#readingSpeed);
+
+		track.setAttribute("aria-valuenow", String(percentage));
+		bar.style.width = `${percentage}%`;
+
+		if (!lastEntry) {
+			summary.textContent = `Not started · ${
+				this.#pages
+			} pages · about ${timeLeft} to read`;
+		} else if (pagesLeft === 0) {
+			summary.textContent = `Finished · ${this.#pages} pages`;
+		} else {
+			summary.textContent = `Page ${currentPage} of ${
+				this.#pages
+			} (${percentage}%) · about ${timeLeft} left`;
+		}
+
+		history.replaceChildren(
+			...[...this.#progressHistory].reverse().map(({ page, loggedAt }) => {
+				const item = document.createElement("li");
+				const date = new Date(loggedAt).toLocaleDateString(undefined, {
+					day: "numeric",
+					month: "short",
+					year: "numeric",
+				});
+
+				item.textContent = `${date}: page ${page}`;
+				return item;
+			})
+		);
+	}
+
+	get progressHistory() {
+		return this.#progressHistory;
+	}
+
+	/**
+	 * Get or set the pages the user logged for the book, oldest first, which
+	 * are displayed as the book's reading progress.
+	 *
+	 * @param {ProgressEntry[]} newHistory
+	 */
+	set progressHistory(newHistory) {
+		this.#progressHistory = newHistory;
+		this.#renderProgress();
+	}
+
+	/**
+	 * Rates the book with the clicked number of stars, or clears the rating if
+	 * the book was already rated with it, and dispatches a `bookRated` event so
+	 * that the app can store the change.
+	 *
+	 * @param {number} starCount - The number of the clicked star.
+	 * @returns {void}
+	 */
+	#handleStarClick(starCount) {
+		this.rating = this.#rating === starCount ? null : starCount;
+
+		this.dispatchEvent(
+			new CustomEvent("bookRated", {
+				bubbles: true,
+				composed: true,
+				detail: { id: this.#bookId, rating: this.#rating },
+			})
+		);
+	}
+
+	get rating() {
+		return this.#rating;
+	}
+
+	/**
+	 * Get or set the number of stars the user rated the book with, which are
+	 * highlighted in the rating widget.
+	 *
+	 * @param {number | null} newRating - The number of stars, or `null` if the
+	 * book is not rated.
+	 */
+	set rating(newRating) {
+		this.#rating = newRating;
+
+		if (!(this.#elements.review instanceof HTMLElement)) return;
+
+		const stars = getHTML({ dataAttr: "stars", target: this.#shadow });
+
+		Array.from(stars.children).forEach((starButton, index) => {
+			const isFilled = newRating !== null && index < newRating;
+
+			starButton.classList.toggle("overlay__star_filled", isFilled);
+			starButton.setAttribute("aria-pressed", String(index + 1 === newRating));
+		});
+	}
+
+	get shelf() {
+		return this.#shelf;
+	}
+
+	/**
+	 * Get or set the ID of the shelf the book is on, which is highlighted
+	 * among the shelf buttons.
+	 *
+	 * @param {string | null} newShelf - The shelf ID, or `null` if the book is
+	 * not shelved.
+	 */
+	set shelf(newShelf) {
+		const { shelves } = this.#elements;
+		this.#shelf = newShelf;
+
+		if (!(shelves instanceof HTMLElement)) return;
+
+		Array.from(shelves.children).forEach((shelfButton) => {
+			shelfButton.setAttribute(
+				"aria-pressed",
+				String(shelfButton.getAttribute("data-shelf") === newShelf)
+			);
+		});
+	}
+
 	get open() {
 		return this.#open;
 	}
@@ -1,6 +1,9 @@
 // @ts-check
 
 import { getHTML } from "../modules/dom-manipulation.js";
+import { SHELVES } from "../modules/shelves.js";
+import { MAX_RATING } from "../modules/ratings.js";
+import { loadCover } from "../modules/covers.js";
 
 const template = document.createElement("template");
 
@@ -11,6 +14,10 @@ template.innerHTML = /* html */ `
 		  box-sizing: border-box;
 		}
 
+		.card {
+		  position: relative;
+		}
+
 		.preview {
 		  border-width: 0;
 		  width: 100%;
@@ -44,14 +51,13 @@ template.innerHTML = /* html */ `
 		  width: 48px;
 		  height: 70px;
 		  object-fit: cover;
-		  background: grey;
 		  border-radius: 2px;
 		  box-shadow: 0px 2px 1px -1px rgba(0, 0, 0, 0.2),
 			0px 1px 1px 0px rgba(0, 0, 0, 0.1), 0px 1px 3px 0px rgba(0, 0, 0, 0.1);
 		}
 
 		.preview__info {
-		  padding: 1rem;
+		  padding: 1rem 2rem 1rem 1rem;
 		}
 
 		.preview__title {
@@ -67,110 +73,427 @@ template.innerHTML = /* html */ `
 		.preview__author {
 		  color: rgba(var(--color-dark), 0.4);
 		}
+
+		.preview__rating {
+		  margin-top: 0.25rem;
+		  letter-spacing: 1px;
+		  color: rgba(var(--color-blue), 1);
+		}
+
+		.preview__rating_hidden {
+		  display: none;
+		}
+
+		.preview__shelf {
+		  display: inline-block;
+		  margin-top: 0.5rem;
+		  padding: 0.125rem 0.5rem;
+		  border-radius: 1rem;
+		  font-size: 0.75rem;
+		  color: rgba(var(--color-blue), 1);
+		  background: rgba(var(--color-blue), 0.1);
+		}
+
+		.preview__shelf_hidden {
+		  display: none;
+		}
+
+		.preview__progress {
+		  height: 4px;
+		  margin-top: 0.5rem;
+		  border-radius: 2px;
+		  overflow: hidden;
+		  background: rgba(var(--color-dark), 0.1);
+		}
+
+		.preview__progress_hidden {
+		  display: none;
+		}
+
+		.preview__progress-bar {
+		  height: 100%;
+		  background: rgba(var(--color-blue), 1);
+		}
+
+		.favorite {
+		  position: absolute;
+		  top: 0.25rem;
+		  right: 0.25rem;
+		  width: 2rem;
+		  height: 2rem;
+		  padding: 0.375rem;
+		  border-width: 0;
+		  border-radius: 50%;
+		  cursor: pointer;
+		  color: rgba(var(--color-dark), 0.4);
+		  background: transparent;
+		}
+
+		.favorite:hover {
+		  background: rgba(var(--color-blue), 0.1);
+		}
+
+		.favorite[aria-pressed="true"] {
+		  color: rgba(var(--color-blue), 1);
+		}
+
+		.favorite__icon {
+		  width: 100%;
+		  height: 100%;
+		  fill: none;
+		  stroke: currentColor;
+		  stroke-width: 64;
+		}
+
+		.favorite[aria-pressed="true"] .favorite__icon {
+		  fill: currentColor;
+		}
+
+		.preview__details {
+		  display: none;
+		}
+
+		:host([layout="grid"]) .preview {
+		  flex-direction: column;
+		  align-items: stretch;
+		  height: 100%;
+		  max-height: none;
+		  padding: 0.5rem;
+		}
+
+		:host([layout="grid"]) .preview__image {
+		  width: 100%;
+		  height: auto;
+		  aspect-ratio: 2 / 3;
+		}
+
+		:host([layout="grid"]) .preview__info {
+		  padding: 0.5rem 0 0;
+		}
+
+		:host([layout="grid"]) .favorite {
+		  top: 0.75rem;
+		  right: 0.75rem;
+		  background: rgba(var(--color-light), 0.8);
+		}
+
+		:host([layout="compact"]) .preview {
+		  padding: 0.5rem 3rem 0.5rem 1rem;
+		  border-radius: 0;
+		  border-width: 0 0 1px;
+		}
+
+		:host([layout="compact"]) .preview__image,
+		:host([layout="compact"]) .preview__rating,
+		:host([layout="compact"]) .preview__shelf,
+		:host([layout="compact"]) .preview__progress {
+		  display: none;
+		}
+
+		:host([layout="compact"]) .preview__info {
+		  display: grid;
+		  grid-template-columns: 3fr 2fr 4rem 6rem 3fr;
+		  gap: 1rem;
+		  align-items: center;
+		  width: 100%;
+		  padding: 0;
+		}
+
+		:host([layout="compact"]) .preview__title {
+		  margin: 0;
+		  -webkit-line-clamp: 1;
+		}
+
+		:host([layout="compact"]) .preview__details {
+		  display: contents;
+		  color: rgba(var(--color-dark), 0.6);
+		}
+
+		:host([layout="compact"]) .preview__genres {
+		  overflow: hidden;
+		  white-space: nowrap;
+		  text-overflow: ellipsis;
+		}
+
+		:host([layout="compact"]) .favorite {
+		  top: 50%;
+		  transform: translateY(-50%);
+		}
 		
 	</style>
 
-	<button class="preview" data-preview>
-		<img class="preview__image" data-preview-image src="" />
-
-		<div class="preview__info">
-			<h3 class="preview__title" data-preview-title></h3>
-			<div class="preview__author" data-preview-author></div>
-		</div>
-	</button>
+	<div class="card">
+		<button class="preview" data-preview>
+			<img class="preview__image" data-preview-image />
+
+			<div class="preview__info">
+				<h3 class="preview__title" data-preview-title></h3>
+				<div class="preview__author" data-preview-author></div>
+				<div class="preview__details">
+					<span data-preview-year></span>
+					<span data-preview-pages></span>
+					<span class="preview__genres" data-preview-genres></span>
+				</div>
+				<div class="preview__rating preview__rating_hidden" data-preview-rating></div>
+				<span class="preview__shelf preview__shelf_hidden" data-preview-shelf></span>
+				<div class="preview__progress preview__progress_hidden" role="progressbar" aria-label="Reading progress" aria-valuemin="0" aria-valuemax="100" data-preview-progress>
+					<div class="preview__progress-bar" data-preview-progress-bar></div>
+				</div>
+			</div>
+		</button>
+
+		<button class="favorite" data-favorite aria-pressed="false" aria-label="Favorite">
+			<svg class="favorite__icon" viewBox="0 96 960 960" xmlns="http://www.w3.org/2000/svg">
+				<path d="M480 876l-44-40q-106-97-175-166.5T151 547q-41-54-56-98.5T80 357q0-93 62.5-155.5T298 139q55 0 104.5 23.5T480 229q34-43 81-66.5T662 139q93 0 155.5 62.5T880 357q0 47-15 91.5T809 547q-41 53-110 122.5T524 836l-44 40Z" />
+			</svg>
+		</button>
+	</div>
 `;
 
 customElements.define(
 	"book-preview",
 
+	/**
+	 * A preview card of a single book. Every attribute is rendered as soon as
+	 * it changes, so that the list renderer can recycle a card for a different
+	 * book by simply updating its attributes. The `layout` attribute switches
+	 * the card between a cover in a grid (`"grid"`), the default card with the
+	 * cover beside the details (`"list"`), and a table-style row (`"compact"`)
+	 * which also displays the `year`, `pages` and `genres` attributes. The
+	 * cover is lazy-loaded, with a placeholder colored after the `genre`
+	 * attribute (the ID of the book's main genre).
+	 */
 	class extends HTMLElement {
 		/** @type {string} */
-		#id;
+		#id = "";
 
 		/** @type {string} */
-		#image;
+		#image = "";
 
 		/** @type {string} */
-		#title;
+		#title = "";
 
 		/** @type {string} */
-		#author;
-
-		#elements = {
-			/** @type {HTMLElement | undefined} */
-			id: undefined,
-
-			/** @type {HTMLElement | undefined} */
-			image: undefined,
+		#author = "";
 
-			/** @type {HTMLElement | undefined} */
-			title: undefined,
-
-			/** @type {HTMLElement | undefined} */
-			author: undefined,
-		};
+		/** @type {string | null} */
+		#genre = null;
 
 		/** @type {ShadowRoot} */
 		#shadow = this.attachShadow({ mode: "closed" });
 
+		/**
+		 * The shadow DOM elements rendering the attributes.
+		 * @type {Object<string, HTMLElement>}
+		 */
+		#elements;
+
 		constructor() {
 			super();
 			const instance = template.content.cloneNode(true);
 			this.#shadow.appendChild(instance);
-		}
 
-		connectedCallback() {
-			this.#id = this.getAttribute("id") || "";
-			this.#image = this.getAttribute("image") || "";
-			this.#title = this.getAttribute("title") || "";
-			this.#author = this.getAttribute("author") || "";
+			const target = this.#shadow;
 
 			this.#elements = {
-				id: getHTML({ dataAttr: "preview", target: this.#shadow }),
-				image: getHTML({ dataAttr: "preview-image", target: this.#shadow }),
-				title: getHTML({ dataAttr: "preview-title", target: this.#shadow }),
-				author: getHTML({ dataAttr: "preview-author", target: this.#shadow }),
+				preview: getHTML({ dataAttr: "preview", target }),
+				image: getHTML({ dataAttr: "preview-image", target }),
+				title: getHTML({ dataAttr: "preview-title", target }),
+				author: getHTML({ dataAttr: "preview-author", target }),
+				year: getHTML({ dataAttr: "preview-year", target }),
+				pages: getHTML({ dataAttr: "preview-pages", target }),
+				genres: getHTML({ dataAttr: "preview-genres", target }),
+				rating: getHTML({ dataAttr: "preview-rating", target }),
+				shelf: getHTML({ dataAttr: "preview-shelf", target }),
+				progress: getHTML({ dataAttr: "preview-progress", target }),
+				progressBar: getHTML({ dataAttr: "preview-progress-bar", target }),
+				favorite: getHTML({ dataAttr: "favorite", target }),
 			};
 
-			const { id, image, title, author } = this.#elements;
+			this.#elements.preview.addEventListener("click", () => {
+				this.dispatchEvent(
+					new CustomEvent("bookPreviewClicked", {
+						bubbles: true,
+						detail: {
+							id: this.#id,
+							image: this.#image,
+							title: this.#title,
+							author: this.#author,
+						},
+					})
+				);
+			});
 
-			if (!(id instanceof HTMLElement)) {
-				throw new Error("The instance must be an HTML Element");
-			}
+			this.#elements.favorite.addEventListener(
+				"click",
+				this.#handleFavoriteClick
+			);
+		}
 
-			id.setAttribute("data-preview", this.#id);
+		/**
+		 * Toggles whether the book is a favorite, and dispatches a
+		 * `bookFavoriteToggled` event so that the app can store the change. The
+		 * toggle is a separate button from the preview itself, so toggling a
+		 * favorite does not open the book's dialog.
+		 *
+		 * @returns {void}
+		 */
+		#handleFavoriteClick = () => {
+			const favorite = this.toggleAttribute("favorite");
+
+			this.dispatchEvent(
+				new CustomEvent("bookFavoriteToggled", {
+					bubbles: true,
+					composed: true,
+					detail: { id: this.#id, favorite },
+				})
+			);
+		};
 
-			if (!(image instanceof HTMLElement)) {
-				throw new Error("The instance must be an HTML Element");
+		/**
+		 * Loads the cover image, with a placeholder made of the title's initials
+		 * on the color of the book's main genre (see {@link loadCover}).
+		 *
+		 * @returns {void}
+		 */
+		#renderCover() {
+			const { image } = this.#elements;
+
+			if (!(image instanceof HTMLImageElement)) {
+				throw new Error(`${image} is not an HTMLImageElement`);
 			}
 
-			image.setAttribute("src", this.#image);
-
-			if (!(title instanceof HTMLElement)) {
-				throw new Error("The instance must be an HTML Element");
-			}
+			loadCover(image, {
+				src: this.#image,
+				title: this.#title,
+				genre: this.#genre,
+			});
+		}
 
-			title.textContent = this.#title;
+		static get observedAttributes() {
+			return [
+				"id",
+				"image",
+				"title",
+				"author",
+				"shelf",
+				"favorite",
+				"progress",
+				"rating",
+				"year",
+				"pages",
+				"genres",
+				"genre",
+			];
+		}
 
-			if (!(author instanceof HTMLElement)) {
-				throw new Error("The instance must be an HTML Element");
+		/**
+		 * Renders the book's details, as well as the name of the shelf the book
+		 * is on as a badge, whether the book is a favorite, the user's rating as
+		 * stars, and how far the user has read into it as a progress bar.
+		 *
+		 * @param {string} name - The name of the changed attribute.
+		 * @param {string | null} oldValue
+		 * @param {string | null} newValue
+		 */
+		attributeChangedCallback(name, oldValue, newValue) {
+			const {
+				preview,
+				title,
+				author,
+				year,
+				pages,
+				genres,
+				rating,
+				shelf,
+				progress,
+				progressBar,
+				favorite,
+			} = this.#elements;
+
+			switch (name) {
+				case "id":
+					this.#id = newValue || "";
+					preview.setAttribute("data-preview", this.#id);
+					break;
+
+				case "image":
+					this.#image = newValue || "";
+					this.#renderCover();
+					break;
+
+				case "title":
+					this.#title = newValue || "";
+					title.textContent = this.#title;
+					this.#renderCover();
+					break;
+
+				case "genre":
+					this.#genre = newValue;
+					this.#renderCover();
+					break;
+
+				case "author":
+					this.#author = newValue || "";
+					author.textContent = this.#author;
+					break;
+
+				case "year":
+					year.textContent = newValue || "";
+					break;
+
+				case "pages":
+					pages.textContent = newValue ? `${newValue} pages` : "";
+					break;
+
+				case "genres":
+					genres.textContent = newValue || "";
+					genres.title = newValue || "";
+					break;
+
+				case "rating": {
+					const stars = Math.min(
+						MAX_RATING,
+						Math.max(0, Number(newValue) || 0)
+					);
+
+					rating.textContent =
+						"★".repeat(stars) + "☆".repeat(MAX_RATING - stars);
+					rating.setAttribute(
+						"aria-label",
+						`Rated ${stars} out of ${MAX_RATING}`
+					);
+					rating.classList.toggle("preview__rating_hidden", stars === 0);
+					break;
+				}
+
+				case "progress": {
+					const percentage = Math.min(100, Math.max(0, Number(newValue) || 0));
+
+					progress.classList.toggle(
+						"preview__progress_hidden",
+						newValue === null
+					);
+					progress.setAttribute("aria-valuenow", String(percentage));
+					progressBar.style.width = `${percentage}%`;
+					break;
+				}
+
+				case "favorite":
+					favorite.setAttribute("aria-pressed", String(newValue !== null));
+					break;
+
+				case "shelf": {
+					const shelfName = newValue ? SHELVES[newValue] : undefined;
+
+					shelf.textContent = shelfName || "";
+					shelf.classList.toggle("preview__shelf_hidden", !shelfName);
+					break;
+				}
+
+				default:
+					break;
 			}
-
-			author.textContent = this.#author;
-
-			const customEvent = new CustomEvent("bookPreviewClicked", {
-				bubbles: true,
-				detail: {
-					id: this.#id,
-					image: this.#image,
-					title: this.#title,
-					author: this.#author,
-				},
-			});
-
-			this.addEventListener("click", () => {
-				this.dispatchEvent(customEvent);
-			});
 		}
 	}
 );
@@ -0,0 +1,90 @@
+/* eslint-env node */
+
+/**
+ * A local mock of a catalog REST API, for trying out the app's `"rest"` and
+ * `"json"` data providers (see `modules/data-providers.js`). It serves the
+ * small catalog in `fixtures/catalog.json`:
+ *
+ * - `GET /books`, `GET /authors` and `GET /genres` for the REST provider;
+ * - `GET /catalog.json` for the JSON provider.
+ *
+ * Start it with `npm run mock-server`, and point the app at it in
+ * `index.html`:
+ *
+ * ```html
+ * <meta name="book-connect:data-provider" content="rest" />
+ * <meta name="book-connect:data-url" content="http://localhost:3000" />
+ * ```
+ *
+ * The loading and error states of the app can be tried out with the
+ * `--delay=<ms>` option, which delays every response, and the `--fail` option,
+ * which answers every request with a server error. The port defaults to
+ * `3000`, and can be changed with the `PORT` environment variable.
+ */
+
+import http from "node:http";
+import { readFileSync } from "node:fs";
+
+const catalog = JSON.parse(
+	readFileSync(new URL("catalog.json", import.meta.url), "utf8")
+);
+
+const port = Number(process.env.PORT) || 3000;
+const delayOption = process.argv.find((arg) => arg.startsWith("--delay="));
+const delay = delayOption ? Number(delayOption.split("=")[1]) || 0 : 0;
+const fail = process.argv.includes("--fail");
+
+/**
+ * The response body of every supported path.
+ * @type {Object<string, unknown>}
+ */
+const routes = {
+	"/books": catalog.books,
+	"/authors": catalog.authors,
+	"/genres": catalog.genres,
+	"/catalog.json": catalog,
+};
+
+/**
+ * Sends the passed `body` as JSON, allowing requests from any origin so that
+ * the app can be served from a different port.
+ *
+ * @param {http.ServerResponse} response
+ * @param {number} status
+ * @param {unknown} [body] - The body, if any.
+ * @returns {void}
+ */
+const sendJSON = (response, status, body) => {
+	response.writeHead(status, {
+		"Content-Type": "application/json",
+		"Access-Control-Allow-Origin": "*",
+		"Access-Control-Allow-Headers": "Accept",
+	});
+	response.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const server = http.createServer((request, response) => {
+	const { pathname } = new URL(request.url || "/", `http://localhost:${port}`);
+
+	setTimeout(() => {
+		if (request.method === "OPTIONS") {
+			sendJSON(response, 204);
+		} else if (fail) {
+			sendJSON(response, 500, {
+				error: "The mock server was started with --fail",
+			});
+		} else if (request.method !== "GET" || !(pathname in routes)) {
+			sendJSON(response, 404, {
+				error: `${request.method} ${pathname} not found`,
+			});
+		} else {
+			sendJSON(response, 200, routes[pathname]);
+		}
+	}, delay);
+});
+
+server.listen(port, () => {
+	process.stdout.write(
+		`Mock catalog API listening on http://localhost:${port}\n`
+	);
+});
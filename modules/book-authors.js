@@ -0,0 +1,21 @@
+// @ts-check
+
+/**
+ * @typedef {import("./books-preview.js").BookItem} BookItem
+ */
+
+/**
+ * Returns the IDs of the passed book's authors, in the order they are
+ * credited. Catalogs that predate co-authors give a single `author` ID
+ * instead of the `authors` list, which is used when the list is missing or
+ * empty.
+ *
+ * @param {Partial<Pick<BookItem, "author" | "authors">>} singleBook
+ * @returns {string[]}
+ */
+const getAuthorIds = ({ author, authors }) => {
+	if (Array.isArray(authors) && authors.length > 0) return authors;
+	return author ? [author] : [];
+};
+
+export default getAuthorIds;
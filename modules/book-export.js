@@ -0,0 +1,268 @@
+// @ts-check
+
+import { SHELVES, getShelf } from "./shelves.js";
+import { getRating } from "./ratings.js";
+import { isFavorite } from "./favorites.js";
+
+/**
+ * @typedef {import("./books-preview.js").BookItem} BookItem
+ */
+
+/**
+ * @typedef {"csv" | "json" | "html"} ExportFormat - The kinds of files books
+ * can be exported to.
+ */
+
+/**
+ * @typedef {object} ExportedBook - A book as it is exported, with the names
+ * of its authors and genres, and the user's shelf, rating and favorite.
+ * @property {string} id
+ * @property {string} title
+ * @property {string[]} authors - The authors' names.
+ * @property {string[]} genres - The genres' names.
+ * @property {number} pages
+ * @property {string} published - The publication date, in the ISO Date format.
+ * @property {string} description
+ * @property {string} image
+ * @property {string} shelf - The name of the shelf the book is on, if any.
+ * @property {number | null} rating - The user's rating, if any.
+ * @property {boolean} favorite
+ */
+
+/**
+ * @typedef {object} ExportFile - The content of an exported file.
+ * @property {string} filename
+ * @property {string} content
+ * @property {string} type - The MIME type of the file.
+ */
+
+/**
+ * The file extension and MIME type of every {@link ExportFormat}.
+ * @type {Record<ExportFormat, { extension: string, type: string }>}
+ */
+const EXPORT_FORMATS = {
+	csv: { extension: "csv", type: "text/csv" },
+	json: { extension: "json", type: "application/json" },
+	html: { extension: "html", type: "text/html" },
+};
+
+/**
+ * The columns of an exported CSV file. They match the columns read by the
+ * catalog import, so that an export can be imported again.
+ * @type {Array<keyof ExportedBook>}
+ */
+const CSV_COLUMNS = [
+	"id",
+	"title",
+	"authors",
+	"genres",
+	"pages",
+	"published",
+	"description",
+	"image",
+	"shelf",
+	"rating",
+	"favorite",
+];
+
+/**
+ * The name of an exported file whose title has no letters or digits.
+ * @type {string}
+ */
+const DEFAULT_FILENAME = "book-connect-export";
+
+/**
+ * Matches the text of a CSV cell that spreadsheet apps would run as a
+ * formula, i.e. text starting with `=`, `+`, `-`, `@`, a tab or a carriage
+ * return.
+ * @type {RegExp}
+ */
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Resolves the author and genre IDs of the passed books to their names, and
+ * adds the user's shelf, rating and favorite of every book.
+ *
+ * @param {BookItem[]} books
+ * @param {object} sources
+ * @param {Object<string, string>} sources.authors - The author names, keyed by
+ * author ID.
+ * @param {Object<string, string>} sources.genres - The genre names, keyed by
+ * genre ID.
+ * @returns {ExportedBook[]}
+ */
+const toExportedBooks = (books, { authors, genres }) =>
+	books.map((singleBook) => {
+		const shelf = getShelf(singleBook.id);
+
+		return {
+			id: singleBook.id,
+			title: singleBook.title,
+			authors: singleBook.authors
+				.map((author) => authors[author])
+				.filter(Boolean),
+			genres: singleBook.genres.map((genre) => genres[genre]).filter(Boolean),
+			pages: singleBook.pages,
+			published: singleBook.published,
+			description: singleBook.description,
+			image: singleBook.image,
+			shelf: shelf ? SHELVES[shelf] : "",
+			rating: getRating(singleBook.id),
+			favorite: isFavorite(singleBook.id),
+		};
+	});
+
+/**
+ * Quotes a CSV cell if it contains a comma, a quote or a line break. Text that
+ * would be run as a formula is prefixed with a `'`, so that spreadsheet apps
+ * display it as text.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+	const joined = Array.isArray(value) ? value.join("; ") : String(value ?? "");
+	const text =
+		typeof value !== "number" && FORMULA_PATTERN.test(joined)
+			? `'${joined}`
+			: joined;
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes the passed books as CSV, with a header row of the
+ * {@link CSV_COLUMNS}. Authors and genres are separated by semicolons.
+ *
+ * @param {ExportedBook[]} books
+ * @returns {string}
+ */
+const serializeBooksCSV = (books) =>
+	[CSV_COLUMNS, ...books.map((row) => CSV_COLUMNS.map((column) => row[column]))]
+		.map((cells) => cells.map(toCsvCell).join(","))
+		.join("\r\n");
+
+/**
+ * Serializes the passed books as a JSON list.
+ *
+ * @param {ExportedBook[]} books
+ * @returns {string}
+ */
+const serializeBooksJSON = (books) => JSON.stringify(books, null, 2);
+
+/**
+ * Escapes the characters of the passed text that have a meaning in HTML.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHTML = (text) =>
+	text.replace(
+		/[&<>"']/g,
+		(character) =>
+			({
+				"&": "&amp;",
+				"<": "&lt;",
+				">": "&gt;",
+				'"': "&quot;",
+				"'": "&#39;",
+			})[character] || character
+	);
+
+/**
+ * Serializes the passed books as a standalone HTML page listing them, styled
+ * to be printed as a reading list.
+ *
+ * @param {ExportedBook[]} books
+ * @param {string} title - The heading of the list.
+ * @returns {string}
+ */
+const serializeBooksHTML = (books, title) => {
+	const items = books
+		.map(({ title: bookTitle, authors, genres, pages, published, shelf }) => {
+			const details = [
+				authors.join(", "),
+				new Date(published).getFullYear(),
+				`${pages} pages`,
+				genres.join(", "),
+				shelf,
+			].filter(Boolean);
+
+			return `      <li>
+        <span class="box"></span>
+        <div>
+          <strong>${escapeHTML(bookTitle)}</strong>
+          <small>${escapeHTML(details.join(" · "))}</small>
+        </div>
+      </li>`;
+		})
+		.join("\n");
+	const count = `${books.length} book${books.length === 1 ? "" : "s"}`;
+
+	return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHTML(title)}</title>
+    <style>
+      body { margin: 2rem auto; max-width: 40rem; font-family: Roboto, sans-serif; color: #0a0a14; }
+      h1 { margin-bottom: 0.25rem; }
+      p { margin-top: 0; color: #555; }
+      ol { padding: 0; list-style: none; }
+      li { display: flex; gap: 0.75rem; padding: 0.5rem 0; border-bottom: 1px solid #ddd; break-inside: avoid; }
+      .box { flex-shrink: 0; width: 0.9rem; height: 0.9rem; margin-top: 0.15rem; border: 1px solid #555; }
+      small { display: block; margin-top: 0.25rem; color: #555; }
+      @page { margin: 1.5cm; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHTML(title)}</h1>
+    <p>${count} · ${new Date().toLocaleDateString()}</p>
+    <ol>
+${items}
+    </ol>
+  </body>
+</html>
+`;
+};
+
+/**
+ * Serializes the passed books to an {@link ExportFile} of the passed format,
+ * named after the passed `title`.
+ *
+ * @param {ExportFormat} format
+ * @param {BookItem[]} books
+ * @param {object} options
+ * @param {Object<string, string>} options.authors - The author names, keyed by
+ * author ID.
+ * @param {Object<string, string>} options.genres - The genre names, keyed by
+ * genre ID.
+ * @param {string} options.title - The title of the export, e.g. the name of
+ * the shelf being viewed.
+ * @returns {ExportFile}
+ * @throws {Error} Throws an error if `format` is not supported.
+ */
+const exportBooks = (format, books, { authors, genres, title }) => {
+	if (!(format in EXPORT_FORMATS)) {
+		throw new Error(`${format} is not a supported export format`);
+	}
+
+	const exportedBooks = toExportedBooks(books, { authors, genres });
+	const serializers = {
+		csv: () => serializeBooksCSV(exportedBooks),
+		json: () => serializeBooksJSON(exportedBooks),
+		html: () => serializeBooksHTML(exportedBooks, title),
+	};
+	const { extension, type } = EXPORT_FORMATS[format];
+	const slug = title
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-|-$/g, "");
+
+	return {
+		filename: `${slug || DEFAULT_FILENAME}.${extension}`,
+		content: serializers[format](),
+		type,
+	};
+};
+
+export { EXPORT_FORMATS, toExportedBooks, exportBooks };
@@ -0,0 +1,210 @@
+// @ts-check
+
+import { isFavorite } from "./favorites.js";
+import { getRating } from "./ratings.js";
+
+/**
+ * @typedef {import("./books-preview.js").BookItem} BookItem
+ */
+
+/**
+ * @typedef {object} BookFilters - The filters a user can narrow the book library down with.
+ * @property {string} title - The free-text search query. An empty string matches every book.
+ * @property {string[]} genres - The selected genre IDs. An empty array matches every book.
+ * @property {"any" | "all"} genreMatch - Whether a book needs to have any or all of the selected genres.
+ * @property {string[]} authors - The selected author IDs. A book matches if it was written by any of them.
+ * @property {number | null} yearMin - The earliest year published, or `null` for no lower bound.
+ * @property {number | null} yearMax - The latest year published, or `null` for no upper bound.
+ * @property {number | null} pagesMin - The minimum number of pages, or `null` for no lower bound.
+ * @property {number | null} pagesMax - The maximum number of pages, or `null` for no upper bound.
+ * @property {boolean} favoritesOnly - Whether only the user's favorite books match.
+ * @property {number} ratingMin - The minimum number of stars the user rated a book with, or `0` to include unrated books.
+ * @property {string} sort - The selected sort order, in the `"<field>-<direction>"` format, or `"relevance"`.
+ */
+
+/**
+ * @typedef {object} NumberRange - An inclusive range of numbers.
+ * @property {number | null} min - The lowest number in the range, or `null`
+ * if the range is empty.
+ * @property {number | null} max - The highest number in the range, or `null`
+ * if the range is empty.
+ */
+
+/**
+ * Returns the year the passed book was published in.
+ *
+ * @param {BookItem} singleBook
+ * @returns {number}
+ */
+const getPublishedYear = (singleBook) =>
+	new Date(singleBook.published).getFullYear();
+
+/**
+ * Returns the range spanning the passed numbers. Numbers that are not finite,
+ * such as the year of an invalid publication date, are left out.
+ *
+ * @param {number[]} numbers
+ * @returns {NumberRange}
+ */
+const toNumberRange = (numbers) => {
+	const finiteNumbers = numbers.filter(Number.isFinite);
+	if (!finiteNumbers.length) return { min: null, max: null };
+
+	return { min: Math.min(...finiteNumbers), max: Math.max(...finiteNumbers) };
+};
+
+/**
+ * Finds the earliest and latest publication years, as well as the lowest and
+ * highest page counts, of the books in the passed `booksSource`. These are used
+ * as the bounds of the search form's range inputs. Both bounds of a range are
+ * `null` if no book has a valid value for it, e.g. when there are no books.
+ *
+ * @param {BookItem[]} booksSource - The books to find the bounds of.
+ * @returns {{ year: NumberRange, pages: NumberRange }}
+ */
+const getBookRanges = (booksSource) => ({
+	year: toNumberRange(booksSource.map(getPublishedYear)),
+	pages: toNumberRange(booksSource.map((singleBook) => singleBook.pages)),
+});
+
+/**
+ * Reads a number from the passed form data entry, returning `null` if the
+ * entry is missing or is not a valid number.
+ *
+ * @param {FormDataEntryValue | null} value
+ * @returns {number | null}
+ */
+const readNumber = (value) => {
+	if (typeof value !== "string" || value.trim() === "") return null;
+
+	const number = Number(value);
+	return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Checks whether `value` lies within the optional `min` and `max` bounds.
+ *
+ * @param {number} value
+ * @param {number | null} min
+ * @param {number | null} max
+ * @returns {boolean}
+ */
+const isWithinRange = (value, min, max) =>
+	(min === null || value >= min) && (max === null || value <= max);
+
+/**
+ * Creates the {@link BookFilters} that match every book in the library, with
+ * the range filters spanning the passed `ranges` in full.
+ *
+ * @param {{ year: NumberRange, pages: NumberRange }} ranges - The bounds of the
+ * range filters (see {@link getBookRanges}).
+ * @returns {BookFilters}
+ */
+const createDefaultFilters = (ranges) => ({
+	title: "",
+	genres: [],
+	genreMatch: "any",
+	authors: [],
+	yearMin: ranges.year.min,
+	yearMax: ranges.year.max,
+	pagesMin: ranges.pages.min,
+	pagesMax: ranges.pages.max,
+	favoritesOnly: false,
+	ratingMin: 0,
+	sort: "relevance",
+});
+
+/**
+ * Extracts the {@link BookFilters} from the data of the submitted search form,
+ * or from the query string of the page's URL. Multiple genres and authors can
+ * be selected, so all of their values are collected instead of just the first
+ * one.
+ *
+ * @param {FormData | URLSearchParams} formData - The data of the search form.
+ * @returns {BookFilters}
+ */
+const readSearchFilters = (formData) => {
+	const title = formData.get("title") || "";
+	const sort = formData.get("sort") || "relevance";
+
+	if (typeof title !== "string") {
+		throw new Error(`${title} is not a string`);
+	}
+
+	if (typeof sort !== "string") {
+		throw new Error(`${sort} is not a string`);
+	}
+
+	return {
+		title,
+		genres: formData.getAll("genre").map(String),
+		genreMatch: formData.get("genreMatch") === "all" ? "all" : "any",
+		authors: formData.getAll("author").map(String),
+		yearMin: readNumber(formData.get("yearMin")),
+		yearMax: readNumber(formData.get("yearMax")),
+		pagesMin: readNumber(formData.get("pagesMin")),
+		pagesMax: readNumber(formData.get("pagesMax")),
+		favoritesOnly: formData.get("favorites") === "only",
+		ratingMin: readNumber(formData.get("rating")) || 0,
+		sort,
+	};
+};
+
+/**
+ * Checks whether `singleBook` matches the genre and author selection, as well
+ * as the publication year and page count ranges, of the passed `filters`. With
+ * the `"any"` genre match, the book needs at least one of the selected genres;
+ * with `"all"`, it needs every one of them. When `favoritesOnly` is set, the
+ * book also needs to be one of the user's favorites, and when `ratingMin` is
+ * set, the user needs to have rated it with at least that many stars.
+ *
+ * @param {BookItem} singleBook - The book to check.
+ * @param {BookFilters} filters - The filters to check the book against.
+ * @returns {boolean}
+ */
+const matchesFilters = (singleBook, filters) => {
+	const genreCheck = filters.genreMatch === "all" ? "every" : "some";
+	const genreMatch =
+		filters.genres.length === 0 ||
+		filters.genres[genreCheck]((genreId) =>
+			singleBook.genres.includes(genreId)
+		);
+
+	const authorMatch =
+		filters.authors.length === 0 ||
+		singleBook.authors.some((authorId) => filters.authors.includes(authorId));
+
+	return (
+		(!filters.favoritesOnly || isFavorite(singleBook.id)) &&
+		(filters.ratingMin === 0 ||
+			(getRating(singleBook.id) || 0) >= filters.ratingMin) &&
+		genreMatch &&
+		authorMatch &&
+		isWithinRange(
+			getPublishedYear(singleBook),
+			filters.yearMin,
+			filters.yearMax
+		) &&
+		isWithinRange(singleBook.pages, filters.pagesMin, filters.pagesMax)
+	);
+};
+
+/**
+ * Returns the books of the passed `booksSource` that match the passed
+ * `filters` (see {@link matchesFilters}), keeping their original order.
+ *
+ * @param {BookItem[]} booksSource - The books to filter.
+ * @param {BookFilters} filters - The filters to apply.
+ * @returns {BookItem[]}
+ */
+const filterBooks = (booksSource, filters) =>
+	booksSource.filter((singleBook) => matchesFilters(singleBook, filters));
+
+export {
+	getPublishedYear,
+	getBookRanges,
+	createDefaultFilters,
+	readSearchFilters,
+	matchesFilters,
+	filterBooks,
+};
@@ -1,13 +1,50 @@
 // @ts-check
 
 import { book } from "./dom-manipulation.js";
-import { books, authors } from "./data.js";
+import { getShelf } from "./shelves.js";
+import { isFavorite } from "./favorites.js";
+import { getProgressPercentage } from "./reading-progress.js";
+import { getRating } from "./ratings.js";
+import { getListMode, getPageSize, getLayout } from "./list-settings.js";
 
 /**
- * The max number of books that can be loaded on a single page.
+ * @typedef {import("./list-settings.js").ListMode} ListMode
+ * @typedef {import("./list-settings.js").Layout} Layout
+ */
+
+/**
+ * The number of book previews rendered together in a single block of the
+ * list, which is either rendered or emptied as a whole. It is divisible by
+ * every column count of the list's grid, so that consecutive blocks line up.
+ * @type {number}
+ */
+const BLOCK_SIZE = 24;
+
+/**
+ * How many times the chosen page size is rendered per page in each
+ * {@link Layout}. Covers in a grid and compact rows take up less room than the
+ * default cards, so more of them fit on a page.
+ * @type {Object<Layout, number>}
+ */
+const LAYOUT_PAGE_SIZE_FACTORS = {
+	grid: 1.5,
+	list: 1,
+	compact: 2,
+};
+
+/**
+ * The max number of `book-preview` elements kept for reuse after their block
+ * was emptied.
  * @type {number}
- * */
-const BOOKS_PER_PAGE = 36;
+ */
+const MAX_RECYCLED_PREVIEWS = BLOCK_SIZE * 4;
+
+/**
+ * How far beyond the viewport blocks are kept rendered, and the next page is
+ * loaded, as an `IntersectionObserver` root margin (a viewport's height).
+ * @type {string}
+ */
+const RENDER_MARGIN = "100% 0px";
 
 /**
  * @typedef {object} BookItem - A book object containing specific metadata expressed as object properties.
@@ -19,185 +56,579 @@ const BOOKS_PER_PAGE = 36;
  * @property {string} description - A synopsis of the book.
  * @property {number} pages - The total number of pages of the book.
  * @property {string} published - The date the book was published, in the ISO Date format.
- * @property {string} author - The author ID, which can be used to find the author's name from the {@link author} database.
+ * @property {string[]} authors - The IDs of the book's authors, in the order they are credited, which can be used to find their names from the {@link authors} database.
+ * @property {string} author - The ID of the book's first author. Catalogs that predate co-authors only give this field, and the catalog fills in `authors` from it.
+ */
+
+/**
+ * @typedef {"popularity" | "published" | "title" | "pages" | "rating"} SortField - A {@link BookItem} property the books can be sorted by.
+ */
+
+/**
+ * @typedef {object} SortOrder - Describes how the books source should be ordered.
+ * @property {SortField} field - The book property to sort by.
+ * @property {"asc" | "desc"} direction - Whether to sort in ascending or descending order.
+ */
+
+/**
+ * Compare functions for each {@link SortField}, ordering two books in
+ * ascending order. Books the user has not rated count as having no stars.
+ *
+ * @type {Object<SortField, (a: BookItem, b: BookItem) => number>}
+ */
+const SORT_COMPARATORS = {
+	popularity: (a, b) => a.popularity - b.popularity,
+	published: (a, b) => Date.parse(a.published) - Date.parse(b.published),
+	title: (a, b) => a.title.localeCompare(b.title),
+	pages: (a, b) => a.pages - b.pages,
+	rating: (a, b) => (getRating(a.id) || 0) - (getRating(b.id) || 0),
+};
+
+/**
+ * Parses a sort order value in the `"<field>-<direction>"` format (e.g.
+ * `"pages-desc"`), as used by the search form's sort options.
+ *
+ * @param {string} value - The sort order value to parse.
+ * @returns {SortOrder | null} The parsed sort order, or `null` if the value
+ * does not describe a supported sort order (e.g. `"relevance"`), in which case
+ * the books keep their original order.
+ */
+const parseSortOrder = (value) => {
+	const [field, direction] = value.split("-");
+
+	if (
+		!Object.keys(SORT_COMPARATORS).includes(field) ||
+		(direction !== "asc" && direction !== "desc")
+	) {
+		return null;
+	}
+
+	const sortField = /** @type {SortField} */ (field);
+
+	return { field: sortField, direction };
+};
+
+/**
+ * Lists the names of the passed book's authors as a sentence, e.g. "Steven D.
+ * Levitt and Stephen J. Dubner". Unknown authors are left out.
+ *
+ * @param {BookItem} singleBook
+ * @param {Object<string, string>} authorsSource - The authors source database.
+ * @returns {string}
  */
+const formatAuthorNames = (singleBook, authorsSource) =>
+	new Intl.ListFormat("en", { type: "conjunction" }).format(
+		singleBook.authors
+			.map((authorId) => authorsSource[authorId])
+			.filter(Boolean)
+	);
 
 /**
  * A class that creates a BooksPreview object to handle book previews and related operations.
+ *
+ * The list is browsed in one of two modes. In the `"scroll"` mode, the next
+ * page is appended automatically when the `statusElement` below the list is
+ * scrolled near the viewport, after which a `booksPageLoaded` event is
+ * dispatched on the `targetElement`. In the `"pages"` mode, the list only
+ * displays the page chosen with the `goToPage` method.
+ *
+ * The displayed books are rendered in blocks of {@link BLOCK_SIZE} book
+ * previews, and only the blocks near the viewport are kept in the DOM: a block
+ * scrolled far out of view is emptied (keeping its height, so that the scroll
+ * position is unaffected) and its `book-preview` elements are recycled for
+ * the blocks scrolled into view.
  */
 class BooksPreview {
 	/**
-	 * Creates a `book-preview` element with attributes derived from the passed
-	 * `singleBook` argument, and returns it.
+	 * Assigns the attributes derived from the passed `singleBook` argument to
+	 * the passed `book-preview` element, as well as the current layout, the
+	 * shelf the book is on, whether it is a favorite, the user's rating and how
+	 * far the user has read into it. Attributes that do not apply to the book are removed, as
+	 * the element may have been used for a different book before.
 	 *
+	 * @param {HTMLElement} bookPreviewElement - The `book-preview` element to update.
 	 * @param {BookItem} singleBook - a Book Object containing the necessary metadata of the book.
-	 * @returns {HTMLElement} The created `book-preview` custom element.
+	 * @returns {void}
+	 */
+	#updateBookPreviewElement = (bookPreviewElement, singleBook) => {
+		const { id, title, image, pages } = singleBook;
+		const rating = getRating(id);
+		const progress = getProgressPercentage(singleBook);
+
+		/** @type {Object<string, string | null>} */
+		const attributes = {
+			id,
+			image,
+			title,
+			author: formatAuthorNames(singleBook, this.#authorsSource),
+			layout: this.#layout,
+			year: String(new Date(singleBook.published).getFullYear()),
+			pages: String(pages),
+			genres: singleBook.genres
+				.map((genreId) => this.#genresSource[genreId])
+				.join(", "),
+			genre: singleBook.genres[0] || null,
+			shelf: getShelf(id),
+			favorite: isFavorite(id) ? "" : null,
+			rating: rating === null ? null : String(rating),
+			progress: progress === null ? null : String(progress),
+		};
+
+		Object.entries(attributes).forEach(([name, value]) => {
+			if (value === null) {
+				bookPreviewElement.removeAttribute(name);
+			} else if (bookPreviewElement.getAttribute(name) !== value) {
+				bookPreviewElement.setAttribute(name, value);
+			}
+		});
+	};
+
+	/**
+	 * Returns a recycled `book-preview` element, or creates a new one if none
+	 * are left.
+	 *
+	 * @returns {HTMLElement}
+	 */
+	#acquireBookPreviewElement() {
+		return (
+			this.#recycledElements.pop() || document.createElement("book-preview")
+		);
+	}
+
+	/**
+	 * Removes the passed `book-preview` elements from the DOM, and keeps up
+	 * to {@link MAX_RECYCLED_PREVIEWS} of them for reuse.
+	 *
+	 * @param {Element[]} bookPreviewElements
+	 * @returns {void}
+	 */
+	#releaseBookPreviewElements(bookPreviewElements) {
+		bookPreviewElements.forEach((element) => {
+			element.remove();
+
+			if (
+				element instanceof HTMLElement &&
+				this.#recycledElements.length < MAX_RECYCLED_PREVIEWS
+			) {
+				this.#recycledElements.push(element);
+			}
+		});
+	}
+
+	/**
+	 * Renders the displayed books belonging to the passed block, reusing the
+	 * `book-preview` elements it already contains.
+	 *
+	 * @param {HTMLElement} block - One of the list's blocks.
+	 * @returns {void}
+	 */
+	#renderBlock(block) {
+		const start = this.#startIndex + this.#blocks.indexOf(block) * BLOCK_SIZE;
+		const end = Math.min(start + BLOCK_SIZE, this.#endIndex);
+		const blockBooks = this.#booksSource.slice(start, end);
+		const elements = Array.from(block.children);
+
+		this.#releaseBookPreviewElements(elements.slice(blockBooks.length));
+
+		blockBooks.forEach((singleBook, index) => {
+			const element = elements[index];
+
+			if (element instanceof HTMLElement) {
+				this.#updateBookPreviewElement(element, singleBook);
+				return;
+			}
+
+			const newElement = this.#acquireBookPreviewElement();
+			this.#updateBookPreviewElement(newElement, singleBook);
+			block.appendChild(newElement);
+		});
+
+		block.style.removeProperty("height");
+		this.#virtualizedBlocks.delete(block);
+	}
+
+	/**
+	 * Empties the passed block, which has been scrolled far out of view, and
+	 * recycles its `book-preview` elements. The block keeps its height, so that
+	 * the rest of the list does not move.
+	 *
+	 * @param {HTMLElement} block - One of the list's blocks.
+	 * @returns {void}
 	 */
-	#createBookPreviewElement = (singleBook) => {
-		const { id, title, author: authorId, image } = singleBook;
-		const author = this.#authorsSource[authorId];
+	#virtualizeBlock(block) {
+		const { height } = block.getBoundingClientRect();
+		block.style.setProperty("height", `${height}px`);
+		this.#releaseBookPreviewElements(Array.from(block.children));
+		this.#virtualizedBlocks.add(block);
+	}
 
-		const bookPreviewElement = document.createElement("book-preview");
+	/**
+	 * Renders the blocks scrolled near the viewport, and empties the ones
+	 * scrolled far out of view.
+	 *
+	 * @param {IntersectionObserverEntry[]} entries
+	 * @returns {void}
+	 */
+	#handleBlockIntersection = (entries) => {
+		entries.forEach(({ target, isIntersecting }) => {
+			if (!(target instanceof HTMLElement)) return;
 
-		bookPreviewElement.setAttribute("id", id);
-		bookPreviewElement.setAttribute("image", image);
-		bookPreviewElement.setAttribute("title", title);
-		bookPreviewElement.setAttribute("author", author);
+			const isVirtualized = this.#virtualizedBlocks.has(target);
 
-		return bookPreviewElement;
+			if (isIntersecting && isVirtualized) this.#renderBlock(target);
+			if (!isIntersecting && !isVirtualized) this.#virtualizeBlock(target);
+		});
 	};
 
 	/**
-	 * Updates the `showMoreButton` element with the remaining book count and
-	 * handles the button's disablement when the remaining book count is `0`.
+	 * Loads the next page when the `statusElement` is scrolled near the
+	 * viewport in the `"scroll"` mode, and dispatches a `booksPageLoaded`
+	 * event.
 	 *
+	 * @param {IntersectionObserverEntry[]} entries
 	 * @returns {void}
 	 */
-	#updateRemainingBooks() {
-		if (this.#page === null) return;
+	#handleStatusIntersection = (entries) => {
+		const isIntersecting = entries.some((entry) => entry.isIntersecting);
+
+		if (
+			!isIntersecting ||
+			this.#mode !== "scroll" ||
+			this.#page === null ||
+			this.remainingBooks === 0
+		) {
+			return;
+		}
+
+		this.goToPage(this.#page + 1);
+		this.#targetElement.dispatchEvent(
+			new CustomEvent("booksPageLoaded", {
+				bubbles: true,
+				detail: { page: this.#page },
+			})
+		);
+		this.#observeStatus();
+	};
+
+	/**
+	 * (Re-)starts observing the `statusElement`. Observing it anew reports
+	 * whether it is still near the viewport after the list has changed, so
+	 * that pages keep loading until the viewport is filled.
+	 *
+	 * @returns {void}
+	 */
+	#observeStatus() {
+		this.#statusObserver.unobserve(this.#statusElement);
+		this.#statusObserver.observe(this.#statusElement);
+	}
+
+	/**
+	 * Creates the blocks needed to display every book between the start and
+	 * end index, and renders the blocks that received new books.
+	 *
+	 * @param {number} previousEndIndex - The end index before new books were
+	 * loaded.
+	 * @returns {void}
+	 */
+	#renderDisplayedBooks(previousEndIndex) {
+		const firstBlock = Math.floor(
+			(previousEndIndex - this.#startIndex) / BLOCK_SIZE
+		);
+		const lastBlock =
+			Math.ceil((this.#endIndex - this.#startIndex) / BLOCK_SIZE) - 1;
 
-		const checkBooksInLibrary =
-			this.#booksSource.length - this.#page * BOOKS_PER_PAGE;
-		const remainingBooks = Math.max(0, checkBooksInLibrary);
+		for (let index = firstBlock; index <= lastBlock; index += 1) {
+			let block = this.#blocks[index];
 
-		this.#showMoreButton.innerHTML = /* html */ `
-		<span>Show more</span>,
-		<span class="list__remaining">(${remainingBooks})</span>
-	`;
+			if (block === undefined) {
+				block = document.createElement("div");
+				block.className = "list__block";
+				this.#blocks.push(block);
+				this.#targetElement.appendChild(block);
+				this.#blockObserver.observe(block);
+			}
 
-		if (remainingBooks === 0) this.#showMoreButton.disabled = true;
+			this.#renderBlock(block);
+		}
 	}
 
 	/**
-	 * Represents a range of values with a start and an end index.
-	 * @typedef {object} Range
-	 * @property {number} start - The start index of the range.
-	 * @property {number} end - The end index of the range.
+	 * Removes every block from the `targetElement`, recycling their
+	 * `book-preview` elements.
+	 *
+	 * @returns {void}
 	 */
+	#clearBlocks() {
+		this.#blocks.forEach((block) => {
+			this.#blockObserver.unobserve(block);
+			this.#releaseBookPreviewElements(Array.from(block.children));
+		});
+
+		this.#blocks = [];
+		this.#virtualizedBlocks.clear();
+		this.#targetElement.replaceChildren();
+	}
 
 	/**
-	 * A range object to aid in the slicing of the `booksSource` via the `slice`
-	 * method.
+	 * Updates the `statusElement` with the number of displayed books and, in
+	 * the `"scroll"` mode, the remaining book count.
 	 *
-	 * @type {Object<string, number>}
+	 * @returns {void}
 	 */
-	#range = {
-		start: 0,
-		end: BOOKS_PER_PAGE,
-	};
+	#updateRemainingBooks() {
+		const total = this.#booksSource.length;
+		const remaining = this.remainingBooks;
+
+		if (this.#page === null || total === 0) {
+			this.#statusElement.replaceChildren();
+			return;
+		}
+
+		if (this.#mode === "pages") {
+			this.#statusElement.textContent = `Showing ${this.#startIndex + 1}–${
+				this.#endIndex
+			} of ${total} books`;
+			return;
+		}
+
+		if (remaining === 0) {
+			this.#statusElement.textContent = `All ${total} books shown`;
+			return;
+		}
+
+		const remainingElement = document.createElement("span");
+		remainingElement.className = "list__remaining";
+		remainingElement.textContent = `(${remaining} remaining)`;
+
+		this.#statusElement.replaceChildren(
+			`Showing ${this.#endIndex} of ${total} books `,
+			remainingElement
+		);
+	}
 
 	/** @type {number | null} */
 	#page = null;
 
+	/** @type {ListMode} */
+	#mode;
+
+	/**
+	 * The page size chosen by the user, before it is scaled to the layout (see
+	 * the `itemsPerPage` getter).
+	 * @type {number}
+	 */
+	#pageSize;
+
+	/** @type {Layout} */
+	#layout;
+
+	/**
+	 * The index in the books source of the first displayed book. It is always
+	 * `0` in the `"scroll"` mode, where every page up to the current one is
+	 * displayed.
+	 * @type {number}
+	 */
+	#startIndex = 0;
+
+	/**
+	 * The index in the books source after the last displayed book.
+	 * @type {number}
+	 */
+	#endIndex = 0;
+
+	/**
+	 * The blocks the displayed books are rendered in, in order.
+	 * @type {HTMLElement[]}
+	 */
+	#blocks = [];
+
+	/**
+	 * The blocks that have been emptied because they were out of view.
+	 * @type {Set<HTMLElement>}
+	 */
+	#virtualizedBlocks = new Set();
+
+	/**
+	 * The `book-preview` elements removed from emptied blocks, to be reused.
+	 * @type {HTMLElement[]}
+	 */
+	#recycledElements = [];
+
+	/** @type {IntersectionObserver} */
+	#blockObserver;
+
+	/** @type {IntersectionObserver} */
+	#statusObserver;
+
 	/** @type {BookItem[]} */
 	#booksSource;
 
+	/**
+	 * The books source in the order it was passed in, before any sorting.
+	 * @type {BookItem[]}
+	 */
+	#unsortedBooksSource;
+
+	/** @type {SortOrder | null} */
+	#sortOrder = null;
+
 	/** @type {Object<string, string>} */
 	#authorsSource;
 
+	/** @type {Object<string, string>} */
+	#genresSource;
+
 	/** @type {HTMLElement} */
 	#targetElement;
 
-	/** @type {HTMLButtonElement} */
-	#showMoreButton;
+	/** @type {HTMLElement} */
+	#statusElement;
 
 	/**
 	 * Creates an instance of the BooksPreview class.
 	 * @param {Object} props - The properties for the BooksPreview instance.
 	 * @param {BookItem[]} props.booksSource - The library/source of books.
 	 * @param {Object<string, string>} props.authorsSource - The authors source database.
+	 * @param {Object<string, string>} props.genresSource - The genres source database.
 	 * @param {HTMLElement} props.targetElement - The target HTMLelement to append the generated book previews to.
-	 * @param {HTMLElement} props.showMoreButton - The button responsible for loading additional books to the user.
-	 * @throws {Error} Throws an error if the showMoreButton is not an HTMLButtonElement.
+	 * @param {HTMLElement} props.statusElement - The element below the book previews displaying the book count, which loads the next page when scrolled into view in the `"scroll"` mode.
+	 * @param {ListMode} props.mode - How the list is browsed.
+	 * @param {number} props.pageSize - The number of books on a page in the `"list"` layout.
+	 * @param {Layout} props.layout - How every book preview is displayed.
 	 */
 	constructor(props) {
+		this.#unsortedBooksSource = props.booksSource;
 		this.#booksSource = props.booksSource;
 		this.#authorsSource = props.authorsSource;
+		this.#genresSource = props.genresSource;
 		this.#targetElement = props.targetElement;
-
-		if (!(props.showMoreButton instanceof HTMLButtonElement)) {
-			throw new Error(
-				`The ${props.showMoreButton} HTMLElement is not an HTMLButtonElement Type`
-			);
-		}
-
-		this.#showMoreButton = props.showMoreButton;
+		this.#statusElement = props.statusElement;
+		this.#mode = props.mode;
+		this.#pageSize = props.pageSize;
+		this.#layout = props.layout;
+		this.#targetElement.classList.add(`list__items_${this.#layout}`);
+
+		this.#blockObserver = new IntersectionObserver(
+			this.#handleBlockIntersection,
+			{ rootMargin: RENDER_MARGIN }
+		);
+		this.#statusObserver = new IntersectionObserver(
+			this.#handleStatusIntersection,
+			{ rootMargin: RENDER_MARGIN }
+		);
 	}
 
 	/**
-	 * Clears the inner text content of the passed `targetElement` before adding the
-	 * custom `book-preview` elements. The page number and the number of remaining
-	 * books are then updated. This results in the modification of the inner text
-	 * content of the passed `showMoreButton` element.
+	 * Returns a copy of the passed `booksSource`, ordered according to the
+	 * current sort order. The original order is kept when no sort order is
+	 * set.
 	 *
-	 * @throws Throws an error if the method is called when the current
-	 * `page` is not `null`, indicating that the first page has already been loaded.
-	 * The `loadFirstPage` method can only be called once to prepend the first page.
-	 * @returns {void}
+	 * @param {BookItem[]} booksSource
+	 * @returns {BookItem[]}
 	 */
-	loadFirstPage = () => {
-		if (this.#page !== null) {
-			throw new Error(
-				"The first page has already been loaded using this method. To load additional pages, use the 'loadNextPage' method."
-			);
-		}
-		this.#targetElement.innerHTML = "";
-
-		const extractedBooks = this.#booksSource.slice(
-			this.#range.start,
-			this.#range.end
-		);
+	#sortBooks(booksSource) {
+		if (this.#sortOrder === null) return booksSource;
 
-		const bookPreviewElements = extractedBooks.map(
-			this.#createBookPreviewElement
-		);
-
-		bookPreviewElements.forEach((element) =>
-			this.#targetElement.appendChild(element)
-		);
+		const { field, direction } = this.#sortOrder;
+		const compare = SORT_COMPARATORS[field];
+		const sign = direction === "asc" ? 1 : -1;
 
-		this.#page = 1;
-		this.#updateRemainingBooks();
-	};
+		return [...booksSource].sort((a, b) => sign * compare(a, b));
+	}
 
 	/**
-	 * Loads additional books onto the next page,
-	 * updates the page number internally, and displays the count of remaining books
-	 * that the user can load. If no books are left to load, it disables the `showMoreButton` target.
+	 * Resets the page number and the displayed books' indexes, so that the
+	 * next `goToPage` call renders the list from scratch.
 	 *
 	 * @returns {void}
+	 */
+	#resetPages() {
+		this.#startIndex = 0;
+		this.#endIndex = 0;
+		this.#page = null;
+	}
+
+	/**
+	 * Displays the page with the passed number. In the `"pages"` mode, the
+	 * list's contents are replaced by the books of that page. In the
+	 * `"scroll"` mode, the books of every page up to that one are displayed,
+	 * only rendering the books that were not displayed yet when moving
+	 * forward.
+	 *
+	 * Numbers outside of the available pages are clamped to the first or last
+	 * page rather than rejected, so that a page number read from the URL or
+	 * typed by the user can be passed directly.
 	 *
-	 * @throws Throws an error if it called when the current `page` is
-	 * `null` as this indicates that the first page has not yet been loaded. It
-	 * can only be called after the `loadFirstPage` method has been called to load the fist page.
-	 */
-	loadNextPage = () => {
-		if (this.#page === null) {
-			throw new Error(
-				"The first page has not been loaded yet. Please use the 'loadFirstPage' method first."
-			);
+	 * @param {number} pageNumber - The page to display, starting at `1`.
+	 * @returns {number} The number of the page displayed.
+	 */
+	goToPage = (pageNumber) => {
+		const lastPage = Math.max(1, this.totalPages);
+		const page = Number.isFinite(pageNumber)
+			? Math.min(Math.max(Math.floor(pageNumber), 1), lastPage)
+			: 1;
+
+		const isRenderedFromScratch =
+			this.#mode === "pages" || this.#page === null || page < this.#page;
+
+		if (isRenderedFromScratch) {
+			this.#clearBlocks();
+			this.#startIndex =
+				this.#mode === "pages" ? (page - 1) * this.itemsPerPage : 0;
+			this.#endIndex = this.#startIndex;
 		}
 
-		this.#range.start += BOOKS_PER_PAGE;
-		this.#range.end += BOOKS_PER_PAGE;
+		const previousEndIndex = this.#endIndex;
 
-		const extractedBooks = this.#booksSource.slice(
-			this.#range.start,
-			this.#range.end
+		this.#endIndex = Math.min(
+			page * this.itemsPerPage,
+			this.#booksSource.length
 		);
+		this.#renderDisplayedBooks(previousEndIndex);
 
-		const bookPreviewElements = extractedBooks.map(
-			this.#createBookPreviewElement
-		);
+		this.#page = page;
+		this.#updateRemainingBooks();
+		if (this.#mode === "scroll") this.#observeStatus();
 
-		bookPreviewElements.forEach((element) =>
-			this.#targetElement.appendChild(element)
-		);
+		return page;
+	};
 
-		this.#page += 1;
-		this.#updateRemainingBooks();
+	/**
+	 * Displays the page after the current one, or the first page if none is
+	 * displayed yet. It is called automatically as the user scrolls in the
+	 * `"scroll"` mode.
+	 *
+	 * @returns {number} The number of the page displayed.
+	 */
+	loadNextPage = () => this.goToPage((this.#page || 0) + 1);
+
+	/**
+	 * Replaces the books source and its sort order at once, sorting the books
+	 * a single time, e.g. when the user changes the filters and the sort order
+	 * together. Passing a `null` sort order keeps the books source's original
+	 * order (e.g. search relevance). The page number is reset, so the
+	 * `goToPage` method would need to be called to display the books.
+	 *
+	 * @param {BookItem[]} newBooksSource
+	 * @param {SortOrder | null} newSortOrder
+	 * @returns {void}
+	 */
+	setBooksSource = (newBooksSource, newSortOrder) => {
+		this.#resetPages();
+		this.#sortOrder = newSortOrder;
+		this.#unsortedBooksSource = newBooksSource;
+		this.#booksSource = this.#sortBooks(newBooksSource);
 	};
 
+	/**
+	 * The number of books of the current books source after the last
+	 * displayed book.
+	 * @returns {number}
+	 */
+	get remainingBooks() {
+		return Math.max(0, this.#booksSource.length - this.#endIndex);
+	}
+
 	get currentPage() {
 		return this.#page;
 	}
@@ -208,7 +639,84 @@ class BooksPreview {
 	 */
 	// eslint-disable-next-line class-methods-use-this
 	set currentPage(newPageNum) {
-		throw new Error("Cannot change the page number");
+		throw new Error("Cannot change the page number, use 'goToPage' instead");
+	}
+
+	/**
+	 * The number of pages needed to display every book of the current books
+	 * source.
+	 * @returns {number}
+	 */
+	get totalPages() {
+		return Math.ceil(this.#booksSource.length / this.itemsPerPage);
+	}
+
+	/**
+	 * The number of books displayed per page: the chosen page size, scaled
+	 * to how much room a book takes up in the current layout (see
+	 * {@link LAYOUT_PAGE_SIZE_FACTORS}).
+	 * @returns {number}
+	 */
+	get itemsPerPage() {
+		return Math.round(this.#pageSize * LAYOUT_PAGE_SIZE_FACTORS[this.#layout]);
+	}
+
+	get currentMode() {
+		return this.#mode;
+	}
+
+	/**
+	 * Switching to a different mode resets the page number, so that the
+	 * `goToPage` method needs to be called to display the list again.
+	 * @param {ListMode} newMode
+	 */
+	set currentMode(newMode) {
+		if (newMode === this.#mode) return;
+		this.#resetPages();
+		this.#mode = newMode;
+	}
+
+	get currentPageSize() {
+		return this.#pageSize;
+	}
+
+	/**
+	 * Like the `currentMode` setter, changing the page size resets the page
+	 * number.
+	 * @param {number} newPageSize
+	 * @throws Throws an error if `newPageSize` is not a positive whole number.
+	 */
+	set currentPageSize(newPageSize) {
+		if (!Number.isInteger(newPageSize) || newPageSize < 1) {
+			throw new Error(`${newPageSize} is not a valid page size`);
+		}
+		if (newPageSize === this.#pageSize) return;
+
+		this.#resetPages();
+		this.#pageSize = newPageSize;
+	}
+
+	get currentLayout() {
+		return this.#layout;
+	}
+
+	/**
+	 * Switching to a different layout changes the number of books per page,
+	 * so like the `currentPageSize` setter, the page number is reset. The
+	 * layout is applied to the `book-preview` elements as they are rendered
+	 * again, and to the `targetElement` as a `list__items_<layout>` modifier
+	 * class.
+	 * @param {Layout} newLayout
+	 */
+	set currentLayout(newLayout) {
+		if (newLayout === this.#layout) return;
+
+		this.#resetPages();
+		this.#targetElement.classList.replace(
+			`list__items_${this.#layout}`,
+			`list__items_${newLayout}`
+		);
+		this.#layout = newLayout;
 	}
 
 	get currentBooksSource() {
@@ -216,16 +724,31 @@ class BooksPreview {
 	}
 
 	/**
-	 * Passing a new books source will reset the page number and clear the
-	 * passed `targetElement`'s inner text content. The `loadFirstPage` method
-	 * would need to be called to load the first batch of books-previews again.
+	 * Passing a new books source, which is sorted by the current sort order,
+	 * will reset the page number. The `goToPage` method would need to be
+	 * called to clear the passed `targetElement` and load the first batch of
+	 * books-previews again. Use the `setBooksSource` method to change the sort
+	 * order at the same time.
 	 * @param {BookItem[]} newBooksSource
 	 */
 	set currentBooksSource(newBooksSource) {
-		this.#range.start = 0;
-		this.#range.end = BOOKS_PER_PAGE;
-		this.#page = null;
-		this.#booksSource = newBooksSource;
+		this.setBooksSource(newBooksSource, this.#sortOrder);
+	}
+
+	get currentSortOrder() {
+		return this.#sortOrder;
+	}
+
+	/**
+	 * Reorders the current books source by the passed sort order. Passing
+	 * `null` restores the books source's original order (e.g. search
+	 * relevance). Like the `currentBooksSource` setter, the page number is
+	 * reset and the `goToPage` method would need to be called again.
+	 *
+	 * @param {SortOrder | null} newSortOrder
+	 */
+	set currentSortOrder(newSortOrder) {
+		this.setBooksSource(this.#unsortedBooksSource, newSortOrder);
 	}
 
 	get currentAuthorsSource() {
@@ -239,26 +762,41 @@ class BooksPreview {
 	set currentAuthorsSource(newAuthorsSource) {
 		this.#authorsSource = newAuthorsSource;
 	}
+
+	get currentGenresSource() {
+		return this.#genresSource;
+	}
+
+	/**
+	 * Like the `currentAuthorsSource` setter, the genres displayed by the book
+	 * previews are looked up in the passed `newGenresSource` from then on.
+	 * @param {Object<string, string>} newGenresSource
+	 */
+	set currentGenresSource(newGenresSource) {
+		this.#genresSource = newGenresSource;
+	}
 }
 
 /**
- * A books preview object based on the {@link books} as its starting book source argument
- * (default). The default book source can be replaced with a different one by
- * passing it as an argument to the `currentBooksSource` class method.
- * Subsequently, the `loadFirstPage` and `loadNextPage` methods can
- * be invoked to regenerate and append the new book previews to the
- * `targetElement`.
+ * A books preview object, which starts out without any books, authors and
+ * genres: they are assigned with the `currentBooksSource`,
+ * `currentAuthorsSource` and `currentGenresSource` setters once the catalog is
+ * loaded. Subsequently, the `goToPage` method can be invoked to regenerate the
+ * book previews in the `targetElement`. The list mode, page size and layout
+ * are those chosen by the user in the settings. The first page is not loaded
+ * until the filters stored in the page's URL have been applied when the app
+ * loads.
  */
 const booksPreview = new BooksPreview({
-	booksSource: books,
-	authorsSource: authors,
+	booksSource: [],
+	authorsSource: {},
+	genresSource: {},
 	targetElement: book.list.items,
-	showMoreButton: book.list.button,
+	statusElement: book.list.status,
+	mode: getListMode(),
+	pageSize: getPageSize(),
+	layout: getLayout(),
 });
 
-// Upon app loading, the first `book-preview`'s batch is generated and appended
-// to the first page of the app, and the passed `showMoreButton` target's inner
-// text content is updated with the remaining books count.
-booksPreview.loadFirstPage();
-
+export { parseSortOrder, formatAuthorNames };
 export default booksPreview;
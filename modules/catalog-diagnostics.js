@@ -0,0 +1,117 @@
+// @ts-check
+
+import { book } from "./dom-manipulation.js";
+import catalog from "./catalog.js";
+import validateCatalog from "./catalog-validator.js";
+
+/**
+ * @typedef {import("./catalog-validator.js").CatalogIssue} CatalogIssue
+ * @typedef {import("./catalog-validator.js").CatalogReport} CatalogReport
+ */
+
+const { diagnostics } = book.settings;
+
+/**
+ * The max number of issues listed in the diagnostics panel. The Node script
+ * `scripts/validate-catalog.mjs` lists all of them.
+ * @type {number}
+ */
+const MAX_LISTED_ISSUES = 100;
+
+/**
+ * Whether the catalog has been checked since the page was loaded, in which
+ * case the report is kept up to date as the catalog changes.
+ * @type {boolean}
+ */
+let hasChecked = false;
+
+/**
+ * Creates the list item of an issue. Issues of a book in the catalog link to
+ * the book's preview.
+ *
+ * @param {CatalogIssue} issue
+ * @returns {HTMLLIElement}
+ */
+const createIssueItem = ({ severity, message, bookId }) => {
+	const item = document.createElement("li");
+	const label = severity === "error" ? "Error" : "Warning";
+	item.textContent = `${label}: ${message}.`;
+	item.toggleAttribute("data-warning", severity === "warning");
+
+	if (bookId && catalog.findBook(bookId)) {
+		const link = document.createElement("a");
+		link.className = "overlay__link";
+		link.href = `#/book/${encodeURIComponent(bookId)}`;
+		link.textContent = "View book";
+		item.append(" ", link);
+	}
+
+	return item;
+};
+
+/**
+ * Displays the summary of the passed report, and lists its issues.
+ *
+ * @param {CatalogReport} report
+ * @returns {void}
+ */
+const renderReport = (report) => {
+	const { bookCount, authorCount, genreCount, errorCount, warningCount } =
+		report;
+	const items = report.issues.slice(0, MAX_LISTED_ISSUES).map(createIssueItem);
+
+	if (report.issues.length > MAX_LISTED_ISSUES) {
+		const item = document.createElement("li");
+		item.textContent = `…and ${
+			report.issues.length - MAX_LISTED_ISSUES
+		} more issues.`;
+		items.push(item);
+	}
+
+	diagnostics.status.textContent = `Checked ${bookCount} books, ${authorCount} authors and ${genreCount} genres: ${
+		errorCount || "no"
+	} error${errorCount === 1 ? "" : "s"} and ${warningCount || "no"} warning${
+		warningCount === 1 ? "" : "s"
+	}.`;
+	diagnostics.issues.replaceChildren(...items);
+	diagnostics.issues.hidden = !items.length;
+};
+
+/**
+ * Validates the {@link catalog}, including the local changes made to it, and
+ * displays the report.
+ *
+ * @returns {void}
+ */
+const checkCatalog = () => {
+	if (catalog.status !== "ready") {
+		diagnostics.status.textContent =
+			"The catalog can be checked once it has loaded.";
+		return;
+	}
+
+	hasChecked = true;
+	renderReport(
+		validateCatalog({
+			books: catalog.books,
+			authors: catalog.authors,
+			genres: catalog.genres,
+		})
+	);
+};
+
+/**
+ * Adds the diagnostics panel's event listeners. The report is updated when
+ * the catalog changes, e.g. after an import, once it has been displayed.
+ *
+ * @returns {void}
+ */
+const initCatalogDiagnostics = () => {
+	diagnostics.check.addEventListener("click", checkCatalog);
+
+	catalog.addEventListener("catalogChanged", () => {
+		if (hasChecked) checkCatalog();
+	});
+};
+
+export default initCatalogDiagnostics;
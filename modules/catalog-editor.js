@@ -0,0 +1,561 @@
+// @ts-check
+
+import { book, createBookAttributeHTML } from "./dom-manipulation.js";
+import { readStorage, writeStorage } from "./storage.js";
+import catalog, { getNextPopularity } from "./catalog.js";
+import { toLocalISODate } from "./dates.js";
+
+/**
+ * @typedef {import("./books-preview.js").BookItem} BookItem
+ */
+
+/**
+ * @typedef {object} NameEditor - The controls editing the catalog's authors
+ * or genres.
+ * @property {{ select: HTMLElement, name: HTMLElement, create: HTMLElement, rename: HTMLElement, delete: HTMLElement }} elements
+ * @property {() => Object<string, string>} getNames - Returns the catalog's
+ * authors or genres.
+ * @property {(id: string, name: string) => boolean} save - Returns whether
+ * the change was stored.
+ * @property {(id: string) => boolean} remove - Returns whether the change was
+ * stored.
+ */
+
+const { editor } = book;
+
+/**
+ * The `localStorage` key storing whether the catalog can be edited.
+ * @type {string}
+ */
+const ADMIN_MODE_STORAGE_KEY = "admin-mode";
+
+/**
+ * The characters a book ID can be made of. The catalog's IDs are UUIDs, but
+ * readable IDs such as `goodreads-42` (see `catalog-import.js`) are allowed.
+ * @type {RegExp}
+ */
+const BOOK_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * The warning displayed when a change to the catalog could not be stored,
+ * e.g. because the storage quota is exceeded.
+ * @type {string}
+ */
+const NOT_SAVED_MESSAGE =
+	"It was not saved, as the browser's storage is full or unavailable, and will be lost when the app is reloaded.";
+
+/**
+ * The ID of the book being edited, or `null` when a new book is being added.
+ * @type {string | null}
+ */
+let editedBookId = null;
+
+/**
+ * The editors of the catalog's authors and genres.
+ * @type {Record<"authors" | "genres", NameEditor>}
+ */
+const nameEditors = {
+	authors: {
+		elements: editor.authorNames,
+		getNames: () => catalog.authors,
+		save: (id, name) => catalog.saveAuthor(id, name),
+		remove: (id) => catalog.deleteAuthor(id),
+	},
+	genres: {
+		elements: editor.genreNames,
+		getNames: () => catalog.genres,
+		save: (id, name) => catalog.saveGenre(id, name),
+		remove: (id) => catalog.deleteGenre(id),
+	},
+};
+
+/**
+ * Returns whether the user turned on catalog editing in the settings.
+ *
+ * @returns {boolean}
+ */
+const getAdminMode = () => readStorage(ADMIN_MODE_STORAGE_KEY, false) === true;
+
+/**
+ * Turns catalog editing on or off, showing or hiding the
+ * {@link book.header.editor} button.
+ *
+ * @param {boolean} enabled
+ * @returns {void}
+ */
+const setAdminMode = (enabled) => {
+	writeStorage(ADMIN_MODE_STORAGE_KEY, enabled);
+	book.header.editor.hidden = !enabled;
+};
+
+/**
+ * Returns the editor's form element.
+ *
+ * @returns {HTMLFormElement}
+ */
+const getForm = () => {
+	if (!(editor.form instanceof HTMLFormElement)) {
+		throw new Error(`${editor.form} is not an HTMLFormElement`);
+	}
+	return editor.form;
+};
+
+/**
+ * Returns the editor's dialog element.
+ *
+ * @returns {HTMLDialogElement}
+ */
+const getDialog = () => {
+	if (!(editor.dialog instanceof HTMLDialogElement)) {
+		throw new Error(`${editor.dialog} is not an HTMLDialogElement`);
+	}
+	return editor.dialog;
+};
+
+/**
+ * Displays the passed `message` below the book form.
+ *
+ * @param {string} message
+ * @returns {void}
+ */
+const showStatus = (message) => {
+	editor.status.textContent = message;
+};
+
+/**
+ * Displays the passed `message` reporting a change to the catalog, followed
+ * by the {@link NOT_SAVED_MESSAGE} if the change could not be stored.
+ *
+ * @param {string} message
+ * @param {boolean} stored - Whether the change was stored.
+ * @returns {void}
+ */
+const showChangeStatus = (message, stored) => {
+	showStatus(stored ? message : `${message} ${NOT_SAVED_MESSAGE}`);
+};
+
+/**
+ * Converts an ISO date to the value of a date input, in the user's time zone
+ * (the catalog's dates are midnight in the time zone they were entered in).
+ *
+ * @param {string} isoDate
+ * @returns {string} The date as `YYYY-MM-DD`.
+ */
+const toDateInputValue = (isoDate) => {
+	const date = new Date(isoDate);
+	const pad = (/** @type {number} */ value) => String(value).padStart(2, "0");
+
+	return `${String(date.getFullYear()).padStart(4, "0")}-${pad(
+		date.getMonth() + 1
+	)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Converts the value of a date input to an ISO date at midnight in the
+ * user's time zone, like the dates of imported books.
+ *
+ * @param {string} value - The date as `YYYY-MM-DD`.
+ * @returns {string | null} The ISO date, or `null` if `value` is not a date.
+ */
+const fromDateInputValue = (value) => {
+	if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+	const [year, month, day] = value.split("-").map(Number);
+	return toLocalISODate(year, month, day);
+};
+
+/**
+ * Replaces the options of the passed select with the passed authors or
+ * genres, sorted by name, keeping the passed option selected.
+ *
+ * @param {HTMLElement} select
+ * @param {Object<string, string>} names
+ * @param {string} selectedId
+ * @returns {void}
+ */
+const renderNameOptions = (select, names, selectedId) => {
+	if (!(select instanceof HTMLSelectElement)) {
+		throw new Error(`${select} is not an HTMLSelectElement`);
+	}
+
+	select.replaceChildren(
+		...Object.entries(names)
+			.sort(([, a], [, b]) => a.localeCompare(b))
+			.map(([id, name]) => new Option(name, id, false, id === selectedId))
+	);
+};
+
+/**
+ * Regenerates the book form's author select and co-author and genre chips
+ * from the catalog, keeping the chosen authors and genres. The first author
+ * is selected, and the others are checked as co-authors.
+ *
+ * @param {string[]} selectedAuthors
+ * @param {string[]} checkedGenres
+ * @returns {void}
+ */
+const renderBookOptions = (selectedAuthors, checkedGenres) => {
+	const [selectedAuthor = "", ...coAuthors] = selectedAuthors;
+	renderNameOptions(editor.author, catalog.authors, selectedAuthor);
+
+	editor.coAuthors.replaceChildren(
+		createBookAttributeHTML(catalog.authors, "author")
+	);
+	editor.coAuthors.querySelectorAll("input").forEach((input) => {
+		input.setAttribute("name", "coAuthor");
+		input.toggleAttribute("checked", coAuthors.includes(input.value));
+	});
+
+	editor.genres.replaceChildren(
+		createBookAttributeHTML(catalog.genres, "genre")
+	);
+	editor.genres.querySelectorAll("input").forEach((input) => {
+		input.toggleAttribute("checked", checkedGenres.includes(input.value));
+	});
+};
+
+/**
+ * Regenerates the options of the authors' or genres' editor, and fills in the
+ * name of the selected author or genre.
+ *
+ * @param {NameEditor} nameEditor
+ * @returns {void}
+ */
+const renderNameEditor = ({ elements, getNames }) => {
+	const { select, name } = elements;
+	if (!(select instanceof HTMLSelectElement)) {
+		throw new Error(`${select} is not an HTMLSelectElement`);
+	}
+	if (!(name instanceof HTMLInputElement)) {
+		throw new Error(`${name} is not an HTMLInputElement`);
+	}
+
+	renderNameOptions(select, getNames(), select.value);
+	name.value = getNames()[select.value] || "";
+};
+
+/**
+ * Reads the authors chosen in the form: the selected author, followed by the
+ * checked co-authors. Co-authors keep the order the edited book credits them
+ * in, and newly checked ones are credited last.
+ *
+ * @param {FormData} formData
+ * @returns {string[]}
+ */
+const readAuthorIds = (formData) => {
+	const author = String(formData.get("author") || "");
+	const creditedIds =
+		(editedBookId !== null && catalog.findBook(editedBookId)?.authors) || [];
+
+	/** @param {string} id */
+	const getPosition = (id) =>
+		creditedIds.includes(id) ? creditedIds.indexOf(id) : creditedIds.length;
+
+	const coAuthors = formData
+		.getAll("coAuthor")
+		.map(String)
+		.filter((id) => id !== author)
+		.sort((a, b) => getPosition(a) - getPosition(b));
+
+	return [author, ...coAuthors];
+};
+
+/**
+ * Lists the problems of the book entered in the form, if any.
+ *
+ * @param {Object<string, string>} fields - The form's values.
+ * @param {boolean} isNew - Whether the book is being added.
+ * @returns {string[]}
+ */
+const validateBookFields = (fields, isNew) => {
+	const messages = [];
+
+	if (!fields.id) {
+		messages.push("The ID is missing");
+	} else if (!BOOK_ID_PATTERN.test(fields.id)) {
+		messages.push(
+			"The ID can only contain letters, digits, hyphens and underscores"
+		);
+	} else if (isNew && catalog.findBook(fields.id)) {
+		messages.push(`A book with the ID "${fields.id}" already exists`);
+	}
+	if (!fields.title.trim()) messages.push("The title is missing");
+	if (!Object.hasOwn(catalog.authors, fields.author)) {
+		messages.push("Choose an author");
+	}
+	if (!/^\d+$/.test(fields.pages)) {
+		messages.push("The number of pages must be a whole number");
+	}
+	if (!fromDateInputValue(fields.published)) {
+		messages.push("The publication date is not a valid date");
+	}
+	if (!/^[1-9]\d*$/.test(fields.popularity)) {
+		messages.push("The popularity rank must be a whole number above 0");
+	}
+	if (fields.image && !/^https?:\/\/\S+$/i.test(fields.image)) {
+		messages.push("The cover image must be an http(s) URL");
+	}
+
+	return messages;
+};
+
+/**
+ * Opens the editor with the book with the passed `id`, or with an empty form
+ * for a new book. New books get a generated ID and are ranked as the least
+ * popular book.
+ *
+ * @param {string | null} [id] - The ID of the book to edit.
+ * @returns {void}
+ */
+const openBookEditor = (id = null) => {
+	const singleBook = id === null ? undefined : catalog.findBook(id);
+	const form = getForm();
+	const { elements } = form;
+
+	editedBookId = singleBook ? singleBook.id : null;
+	form.reset();
+	showStatus("");
+
+	editor.heading.textContent = singleBook ? "Edit book" : "Add a book";
+	editor.delete.hidden = !singleBook;
+	editor.id.toggleAttribute("readonly", Boolean(singleBook));
+
+	renderBookOptions(singleBook?.authors || [], singleBook?.genres || []);
+	Object.values(nameEditors).forEach(renderNameEditor);
+
+	const values = {
+		id: singleBook?.id || crypto.randomUUID(),
+		title: singleBook?.title || "",
+		pages: String(singleBook?.pages ?? ""),
+		published: singleBook ? toDateInputValue(singleBook.published) : "",
+		popularity: String(
+			singleBook?.popularity ?? getNextPopularity(catalog.books)
+		),
+		image: singleBook?.image || "",
+		description: singleBook?.description || "",
+	};
+
+	Object.entries(values).forEach(([name, value]) => {
+		const field = elements.namedItem(name);
+		if (
+			field instanceof HTMLInputElement ||
+			field instanceof HTMLTextAreaElement
+		) {
+			field.value = value;
+		}
+	});
+
+	getDialog().showModal();
+};
+
+/**
+ * Saves the book entered in the form to the catalog, or lists its problems
+ * below the form. The editor stays open if the book could not be stored, to
+ * tell the user.
+ *
+ * @param {Event} event - The submit event of the editor's form.
+ * @returns {void}
+ */
+const handleEditorSubmit = (event) => {
+	event.preventDefault();
+
+	const formData = new FormData(getForm());
+	const fields = /** @type {Object<string, string>} */ (
+		Object.fromEntries(
+			[
+				"id",
+				"title",
+				"author",
+				"pages",
+				"published",
+				"popularity",
+				"image",
+				"description",
+			].map((name) => [name, String(formData.get(name) || "").trim()])
+		)
+	);
+	const messages = validateBookFields(fields, editedBookId === null);
+
+	if (messages.length) {
+		showStatus(`${messages.join(". ")}.`);
+		return;
+	}
+
+	const authors = readAuthorIds(formData);
+
+	// The date input only holds the day in the user's time zone, so the edited
+	// book keeps its stored date unless the day was changed.
+	const editedBook =
+		editedBookId === null ? undefined : catalog.findBook(editedBookId);
+	const published =
+		editedBook && fields.published === toDateInputValue(editedBook.published)
+			? editedBook.published
+			: /** @type {string} */ (fromDateInputValue(fields.published));
+
+	/** @type {BookItem} */
+	const singleBook = {
+		id: fields.id,
+		genres: formData.getAll("genre").map(String),
+		popularity: Number(fields.popularity),
+		title: fields.title,
+		image: fields.image,
+		description: fields.description,
+		pages: Number(fields.pages),
+		published,
+		authors,
+		author: authors[0],
+	};
+
+	if (catalog.saveBook(singleBook)) {
+		getDialog().close();
+	} else {
+		const action = editedBookId === null ? "Added" : "Updated";
+		showChangeStatus(`${action} "${singleBook.title}".`, false);
+	}
+};
+
+/**
+ * Deletes the edited book from the catalog, once the user confirmed it. The
+ * editor stays open if the deletion could not be stored, to tell the user.
+ *
+ * @returns {void}
+ */
+const handleDeleteBook = () => {
+	if (editedBookId === null) return;
+
+	const singleBook = catalog.findBook(editedBookId);
+	// eslint-disable-next-line no-alert
+	if (!window.confirm(`Delete "${singleBook?.title}" from the catalog?`)) {
+		return;
+	}
+
+	if (catalog.deleteBook(editedBookId)) {
+		getDialog().close();
+	} else {
+		showChangeStatus(`Deleted "${singleBook?.title}".`, false);
+	}
+};
+
+/**
+ * Adds, renames or deletes an author or genre with the authors' or genres'
+ * editor. Authors and genres that are still used by a book cannot be
+ * deleted.
+ *
+ * @param {NameEditor} nameEditor
+ * @param {"create" | "rename" | "delete"} action
+ * @returns {void}
+ */
+const handleNameAction = (nameEditor, action) => {
+	const { select, name } = nameEditor.elements;
+	if (
+		!(select instanceof HTMLSelectElement) ||
+		!(name instanceof HTMLInputElement)
+	) {
+		return;
+	}
+
+	if (action === "delete") {
+		const deletedName = select.selectedOptions[0]?.text;
+
+		try {
+			const stored = nameEditor.remove(select.value);
+			showChangeStatus(`Deleted "${deletedName}".`, stored);
+		} catch (error) {
+			showStatus(`Could not delete "${deletedName}": ${error.message}.`);
+		}
+		return;
+	}
+
+	const newName = name.value.trim();
+	const existingId = Object.entries(nameEditor.getNames()).find(
+		([, existingName]) => existingName.toLowerCase() === newName.toLowerCase()
+	)?.[0];
+
+	if (!newName) {
+		showStatus("Enter a name first.");
+	} else if (
+		existingId !== undefined &&
+		(action === "create" || existingId !== select.value)
+	) {
+		showStatus(`"${newName}" already exists.`);
+	} else {
+		const id = action === "create" ? crypto.randomUUID() : select.value;
+
+		const stored = nameEditor.save(id, newName);
+		select.value = id;
+		renderNameEditor(nameEditor);
+		showChangeStatus(`Saved "${newName}".`, stored);
+	}
+};
+
+/**
+ * Discards every change made to the catalog in the app, once the user
+ * confirmed it. The editor stays open if the discarded catalog could not be
+ * stored, to tell the user.
+ *
+ * @returns {void}
+ */
+const handleDiscardChanges = () => {
+	// eslint-disable-next-line no-alert
+	if (!window.confirm("Discard every change made to the catalog?")) return;
+
+	if (catalog.discardChanges()) {
+		getDialog().close();
+	} else {
+		showChangeStatus("Discarded every change.", false);
+	}
+};
+
+/**
+ * Keeps the editor's author and genre options in sync with the catalog,
+ * e.g. when an author is added while a book is being edited.
+ *
+ * @returns {void}
+ */
+const handleCatalogChanged = () => {
+	if (!getDialog().open) return;
+
+	const formData = new FormData(getForm());
+
+	renderBookOptions(
+		readAuthorIds(formData),
+		formData.getAll("genre").map(String)
+	);
+	Object.values(nameEditors).forEach(renderNameEditor);
+};
+
+/**
+ * Adds the editor's event listeners, and shows the
+ * {@link book.header.editor} button if catalog editing is turned on.
+ *
+ * @returns {void}
+ */
+const initCatalogEditor = () => {
+	book.header.editor.hidden = !getAdminMode();
+
+	getForm().addEventListener("submit", handleEditorSubmit);
+	editor.delete.addEventListener("click", handleDeleteBook);
+	editor.cancel.addEventListener("click", () => getDialog().close());
+	editor.discard.addEventListener("click", handleDiscardChanges);
+
+	Object.values(nameEditors).forEach((nameEditor) => {
+		const { elements } = nameEditor;
+
+		elements.select.addEventListener("change", () =>
+			renderNameEditor(nameEditor)
+		);
+		elements.create.addEventListener("click", () =>
+			handleNameAction(nameEditor, "create")
+		);
+		elements.rename.addEventListener("click", () =>
+			handleNameAction(nameEditor, "rename")
+		);
+		elements.delete.addEventListener("click", () =>
+			handleNameAction(nameEditor, "delete")
+		);
+	});
+
+	catalog.addEventListener("catalogChanged", handleCatalogChanged);
+};
+
+export { getAdminMode, setAdminMode, openBookEditor, initCatalogEditor };
@@ -0,0 +1,127 @@
+// @ts-check
+
+import { book } from "./dom-manipulation.js";
+import catalog from "./catalog.js";
+import { IMPORT_FORMATS, parseCatalogImport } from "./catalog-import.js";
+
+/**
+ * @typedef {import("./catalog-import.js").ImportFormat} ImportFormat
+ * @typedef {import("./catalog-import.js").ImportRowError} ImportRowError
+ */
+
+const { catalogImport } = book.settings;
+
+/**
+ * The max number of rejected rows listed below the import panel, so that a
+ * file in the wrong format does not flood the settings dialog.
+ * @type {number}
+ */
+const MAX_LISTED_ERRORS = 50;
+
+/**
+ * Returns the import panel's format select element.
+ *
+ * @returns {HTMLSelectElement}
+ */
+const getFormatSelect = () => {
+	if (!(catalogImport.format instanceof HTMLSelectElement)) {
+		throw new Error(`${catalogImport.format} is not an HTMLSelectElement`);
+	}
+	return catalogImport.format;
+};
+
+/**
+ * Displays the passed `message` below the import panel's file input.
+ *
+ * @param {string} message
+ * @returns {void}
+ */
+const showStatus = (message) => {
+	catalogImport.status.textContent = message;
+};
+
+/**
+ * Lists the rows that were not imported and why, or hides the list if every
+ * row was imported.
+ *
+ * @param {ImportRowError[]} errors
+ * @returns {void}
+ */
+const renderErrors = (errors) => {
+	const items = errors.slice(0, MAX_LISTED_ERRORS).map(({ row, messages }) => {
+		const item = document.createElement("li");
+		item.textContent = `Row ${row}: ${messages.join("; ")}.`;
+		return item;
+	});
+
+	if (errors.length > MAX_LISTED_ERRORS) {
+		const item = document.createElement("li");
+		item.textContent = `…and ${errors.length - MAX_LISTED_ERRORS} more rows.`;
+		items.push(item);
+	}
+
+	catalogImport.errors.replaceChildren(...items);
+	catalogImport.errors.hidden = !errors.length;
+};
+
+/**
+ * Imports the valid books of the file chosen by the user into the
+ * {@link catalog}, and reports how many were added or updated, which rows
+ * were skipped, and whether the books could not be stored.
+ *
+ * @param {Event} event - The change event of the import file input.
+ * @returns {Promise<void>}
+ */
+const handleImportCatalog = async (event) => {
+	const input = event.target;
+	if (!(input instanceof HTMLInputElement) || !input.files?.length) return;
+
+	const [file] = input.files;
+	const format = /** @type {ImportFormat} */ (getFormatSelect().value);
+
+	try {
+		const { books, authors, genres, errors } = parseCatalogImport(
+			await file.text(),
+			{ format, catalog }
+		);
+		const updatedCount = books.filter((singleBook) =>
+			catalog.findBook(singleBook.id)
+		).length;
+
+		const stored = !books.length || catalog.merge({ books, authors, genres });
+
+		const skipped = errors.length ? `, skipped ${errors.length}` : "";
+		const notSaved = stored
+			? ""
+			: " They were not saved, as the browser's storage is full or unavailable, and will be lost when the app is reloaded.";
+		showStatus(
+			`Added ${books.length - updatedCount} and updated ${updatedCount} book${
+				books.length === 1 ? "" : "s"
+			} from "${file.name}"${skipped}.${notSaved}`
+		);
+		renderErrors(errors);
+	} catch (error) {
+		showStatus(`Could not import "${file.name}": ${error.message}`);
+		renderErrors([]);
+	} finally {
+		input.value = "";
+	}
+};
+
+/**
+ * Adds an option for every {@link IMPORT_FORMATS} to the import panel's
+ * format select, and adds the import panel's event listeners.
+ *
+ * @returns {void}
+ */
+const initCatalogImportPanel = () => {
+	getFormatSelect().replaceChildren(
+		...Object.entries(IMPORT_FORMATS).map(
+			([value, label]) => new Option(label, value)
+		)
+	);
+
+	catalogImport.file.addEventListener("change", handleImportCatalog);
+};
+
+export default initCatalogImportPanel;
@@ -0,0 +1,537 @@
+// @ts-check
+
+import { getNextPopularity } from "./catalog.js";
+import { isISODate, toLocalISODate } from "./dates.js";
+
+/**
+ * @typedef {import("./books-preview.js").BookItem} BookItem
+ * @typedef {import("./data-providers.js").CatalogData} CatalogData
+ */
+
+/**
+ * @typedef {"auto" | "csv" | "json" | "goodreads"} ImportFormat - The kinds of
+ * files books can be imported from. `"auto"` detects the format from the
+ * file's content.
+ */
+
+/**
+ * @typedef {object} ImportRowError - The problems that kept a row of the
+ * imported file from being imported.
+ * @property {number} row - The row of the file: the row of a CSV file as
+ * numbered by spreadsheet apps (the header being row 1), or the position of a
+ * book in a JSON file, starting at 1.
+ * @property {string[]} messages - A description of every problem of the row.
+ */
+
+/**
+ * @typedef {object} ImportResult - The books read from an imported file.
+ * @property {Exclude<ImportFormat, "auto">} format - The format the file was
+ * read as.
+ * @property {BookItem[]} books - The valid books of the file.
+ * @property {Object<string, string>} authors - The authors of the books that
+ * are not in the catalog yet, keyed by their new IDs.
+ * @property {Object<string, string>} genres - The genres of the books that are
+ * not in the catalog yet, keyed by their new IDs.
+ * @property {ImportRowError[]} errors - The rows that were not imported.
+ */
+
+/**
+ * @typedef {object} RawBook - The fields of an imported book, before they are
+ * validated. Authors and genres are names, or IDs of the catalog.
+ * @property {string} id
+ * @property {string} title
+ * @property {string[]} authors
+ * @property {string[]} genres
+ * @property {string} pages
+ * @property {string} published
+ * @property {string} description
+ * @property {string} image
+ * @property {string} popularity
+ */
+
+/**
+ * The {@link ImportFormat}s, with their labels.
+ * @type {Record<ImportFormat, string>}
+ */
+const IMPORT_FORMATS = {
+	auto: "Detect automatically",
+	csv: "CSV",
+	json: "JSON",
+	goodreads: "Goodreads export",
+};
+
+/**
+ * The column headers (lowercase) a {@link RawBook} field is read from in a
+ * CSV file. The first column found is used.
+ * @type {Record<Exclude<keyof RawBook, "authors" | "genres">, string[]>}
+ */
+const CSV_COLUMNS = {
+	id: ["id", "book id"],
+	title: ["title"],
+	pages: ["pages", "number of pages"],
+	published: ["published", "publication date", "date published", "year"],
+	description: ["description", "synopsis"],
+	image: ["image", "image url", "cover", "cover url"],
+	popularity: ["popularity"],
+};
+
+/**
+ * The column headers (lowercase) the authors are read from in a CSV file.
+ * @type {string[]}
+ */
+const CSV_AUTHOR_COLUMNS = ["authors", "author", "author name"];
+
+/**
+ * The column headers (lowercase) the genres are read from in a CSV file.
+ * @type {string[]}
+ */
+const CSV_GENRE_COLUMNS = ["genres", "genre"];
+
+/**
+ * Separates the authors written in a single cell. Unlike genres, authors are
+ * not separated by commas, as names are often written "Last, First".
+ * @type {RegExp}
+ */
+const AUTHOR_SEPARATORS = /[;|]/;
+
+/**
+ * The column headers that identify a Goodreads library export.
+ * @type {string[]}
+ */
+const GOODREADS_COLUMNS = ["Book Id", "Title", "Author", "Bookshelves"];
+
+/**
+ * The Goodreads shelves that describe the reading status of a book rather
+ * than its genre, and are therefore not imported as genres.
+ * @type {string[]}
+ */
+const GOODREADS_STATUS_SHELVES = ["to-read", "currently-reading", "read"];
+
+/**
+ * Parses CSV content into its rows of cells. Cells can be quoted to contain
+ * commas, line breaks and quotes (written as `""`), and rows can end with
+ * `\n` or `\r\n`.
+ *
+ * @param {string} content - The content of a CSV file.
+ * @returns {string[][]} The rows, including the header row.
+ */
+const parseCSV = (content) => {
+	/** @type {string[][]} */
+	const rows = [];
+	/** @type {string[]} */
+	let row = [];
+	let cell = "";
+	let isQuoted = false;
+
+	const text = content.replace(/^\uFEFF/, "");
+
+	for (let index = 0; index < text.length; index += 1) {
+		const character = text[index];
+
+		if (isQuoted) {
+			if (character === '"' && text[index + 1] === '"') {
+				cell += '"';
+				index += 1;
+			} else if (character === '"') {
+				isQuoted = false;
+			} else {
+				cell += character;
+			}
+		} else if (character === '"') {
+			isQuoted = true;
+		} else if (character === ",") {
+			row.push(cell);
+			cell = "";
+		} else if (character === "\n" || character === "\r") {
+			if (character === "\r" && text[index + 1] === "\n") index += 1;
+			row.push(cell);
+			rows.push(row);
+			row = [];
+			cell = "";
+		} else {
+			cell += character;
+		}
+	}
+
+	if (cell || row.length) {
+		row.push(cell);
+		rows.push(row);
+	}
+
+	return rows;
+};
+
+/**
+ * Detects the format of an imported file from its content: JSON if it starts
+ * with an object or array, a Goodreads export if its header has the
+ * {@link GOODREADS_COLUMNS}, and CSV otherwise.
+ *
+ * @param {string} content - The content of the file.
+ * @returns {Exclude<ImportFormat, "auto">}
+ */
+const detectImportFormat = (content) => {
+	const text = content.replace(/^\uFEFF/, "").trim();
+	if (text.startsWith("{") || text.startsWith("[")) return "json";
+
+	const [header = []] = parseCSV(text.split(/\r?\n/, 1)[0]);
+	const columns = header.map((column) => column.trim());
+
+	return GOODREADS_COLUMNS.every((column) => columns.includes(column))
+		? "goodreads"
+		: "csv";
+};
+
+/**
+ * Splits a list of genres or authors written in a single cell, separated by
+ * commas, semicolons or vertical bars by default.
+ *
+ * @param {string} value
+ * @param {RegExp} [separators]
+ * @returns {string[]}
+ */
+const splitList = (value, separators = /[,;|]/) =>
+	value
+		.split(separators)
+		.map((item) => item.trim())
+		.filter(Boolean);
+
+/**
+ * Converts a cell or JSON value to a trimmed string.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+const toText = (value) =>
+	value === undefined || value === null ? "" : String(value).trim();
+
+/**
+ * Reads the rows of a CSV file with a header row as {@link RawBook}s, using
+ * the {@link CSV_COLUMNS}. Empty rows are skipped.
+ *
+ * @param {string} content
+ * @returns {Array<{ row: number, book: RawBook }>}
+ * @throws {Error} Throws an error if the file has no title column.
+ */
+const readCsvBooks = (content) => {
+	const [header = [], ...rows] = parseCSV(content);
+	const columns = header.map((column) => column.trim().toLowerCase());
+
+	/** @param {string[]} names */
+	const findColumn = (names) =>
+		columns.findIndex((column) => names.includes(column));
+
+	const fieldColumns = Object.entries(CSV_COLUMNS).map(([field, names]) => [
+		field,
+		findColumn(names),
+	]);
+	const authorColumn = findColumn(CSV_AUTHOR_COLUMNS);
+	const genreColumn = findColumn(CSV_GENRE_COLUMNS);
+
+	if (findColumn(CSV_COLUMNS.title) === -1) {
+		throw new Error('The file has no "title" column');
+	}
+
+	return rows
+		.map((cells, index) => {
+			const book = /** @type {RawBook} */ (
+				Object.fromEntries(
+					fieldColumns.map(([field, column]) => [field, toText(cells[column])])
+				)
+			);
+			book.authors = splitList(toText(cells[authorColumn]), AUTHOR_SEPARATORS);
+			book.genres = splitList(toText(cells[genreColumn]));
+
+			return { row: index + 2, book, cells };
+		})
+		.filter(({ cells }) => cells.some((cell) => cell.trim()))
+		.map(({ row, book }) => ({ row, book }));
+};
+
+/**
+ * Reads the rows of a Goodreads library export as {@link RawBook}s. The
+ * user's shelves become the book's genres, except for the
+ * {@link GOODREADS_STATUS_SHELVES}, and the cover is looked up on Open
+ * Library by ISBN, as the export has no cover images.
+ *
+ * @param {string} content
+ * @returns {Array<{ row: number, book: RawBook }>}
+ */
+const readGoodreadsBooks = (content) => {
+	const [header = [], ...rows] = parseCSV(content);
+	const columns = header.map((column) => column.trim());
+
+	return rows
+		.map((cells, index) => {
+			/** @param {string} column */
+			const read = (column) => toText(cells[columns.indexOf(column)]);
+
+			// ISBNs are exported as formulas, e.g. `="0345391802"`.
+			const isbn = (read("ISBN13") || read("ISBN")).replace(/[^\dX]/gi, "");
+			const goodreadsId = read("Book Id");
+
+			/** @type {RawBook} */
+			const book = {
+				id: goodreadsId && `goodreads-${goodreadsId}`,
+				title: read("Title"),
+				authors: [read("Author"), ...splitList(read("Additional Authors"))],
+				genres: splitList(read("Bookshelves")).filter(
+					(shelf) => !GOODREADS_STATUS_SHELVES.includes(shelf)
+				),
+				pages: read("Number of Pages"),
+				published: read("Original Publication Year") || read("Year Published"),
+				description: "",
+				image: isbn && `https://covers.openlibrary.org/b/isbn/${isbn}-L.jpg`,
+				popularity: "",
+			};
+
+			return { row: index + 2, book, cells };
+		})
+		.filter(({ cells }) => cells.some((cell) => cell.trim()))
+		.map(({ row, book }) => ({ row, book }));
+};
+
+/**
+ * Reads the books of a JSON file as {@link RawBook}s. The file can hold a
+ * list of books, or a catalog with `books`, `authors` and `genres` (see
+ * {@link CatalogData}). Books can name their authors and genres, or refer to
+ * them by the IDs of the file's catalog or of the app's catalog. Books with a
+ * single `author` are read as well.
+ *
+ * @param {string} content
+ * @returns {Array<{ row: number, book: RawBook }>}
+ * @throws {Error} Throws an error if the file is not valid JSON, or holds
+ * neither a list of books nor a catalog.
+ */
+const readJsonBooks = (content) => {
+	let parsed;
+
+	try {
+		parsed = JSON.parse(content);
+	} catch (error) {
+		throw new Error("The file is not valid JSON");
+	}
+
+	const books = Array.isArray(parsed) ? parsed : parsed?.books;
+	if (!Array.isArray(books)) {
+		throw new Error("The file holds neither a list of books nor a catalog");
+	}
+
+	/** @type {Object<string, string>} */
+	const authors = parsed.authors || {};
+	/** @type {Object<string, string>} */
+	const genres = parsed.genres || {};
+
+	return books.map((value, index) => {
+		const item = typeof value === "object" && value !== null ? value : {};
+		const itemAuthors =
+			Array.isArray(item.authors) && item.authors.length
+				? item.authors
+				: splitList(
+						toText(item.authors?.length ? item.authors : item.author),
+						AUTHOR_SEPARATORS
+				  );
+		const itemGenres = Array.isArray(item.genres)
+			? item.genres
+			: splitList(toText(item.genres));
+
+		/** @type {RawBook} */
+		const book = {
+			id: toText(item.id),
+			title: toText(item.title),
+			authors: itemAuthors.map((author) =>
+				toText(Object.hasOwn(authors, author) ? authors[author] : author)
+			),
+			genres: itemGenres.map((genre) =>
+				toText(Object.hasOwn(genres, genre) ? genres[genre] : genre)
+			),
+			pages: toText(item.pages),
+			published: toText(item.published),
+			description: toText(item.description),
+			image: toText(item.image),
+			popularity: toText(item.popularity),
+		};
+
+		return { row: index + 1, book };
+	});
+};
+
+/**
+ * Converts a publication date to the ISO date format of
+ * {@link BookItem.published}. The date can be a year, a day written as
+ * `YYYY-MM-DD` or `YYYY/MM/DD`, or an ISO date.
+ *
+ * @param {string} value
+ * @returns {string | null} The ISO date, or `null` if `value` is not a date.
+ */
+const toISODate = (value) => {
+	if (/^\d{1,4}$/.test(value)) return toLocalISODate(Number(value), 1, 1);
+
+	const dayMatch = value.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+	if (dayMatch) {
+		const [year, month, day] = dayMatch.slice(1).map(Number);
+		return toLocalISODate(year, month, day);
+	}
+
+	return isISODate(value) ? value : null;
+};
+
+/**
+ * Finds the ID of an author or genre of the catalog by its ID or its name
+ * (ignoring case), or creates a new ID for it. New IDs are added to `created`,
+ * so that books of the same file share them.
+ *
+ * @param {string} value - The ID or name.
+ * @param {Object<string, string>} names - The catalog's authors or genres.
+ * @param {Object<string, string>} created - The authors or genres created by
+ * the import so far.
+ * @returns {string} The ID.
+ */
+const resolveName = (value, names, created) => {
+	if (Object.hasOwn(names, value)) return value;
+
+	const name = value.toLowerCase();
+	const [id] =
+		[...Object.entries(names), ...Object.entries(created)].find(
+			([, existingName]) => existingName.toLowerCase() === name
+		) || [];
+	if (id) return id;
+
+	const newId = crypto.randomUUID();
+	// eslint-disable-next-line no-param-reassign
+	created[newId] = value;
+	return newId;
+};
+
+/**
+ * Lists the problems that keep the passed book from being imported.
+ *
+ * @param {RawBook} book
+ * @param {Set<string>} ids - The IDs of the books of earlier rows.
+ * @returns {string[]}
+ */
+const validateRawBook = (book, ids) => {
+	const messages = [];
+
+	if (book.id && ids.has(book.id)) {
+		messages.push(`The ID "${book.id}" is already used by an earlier row`);
+	}
+	if (!book.title) messages.push("The title is missing");
+	if (!book.authors.some(Boolean)) messages.push("The author is missing");
+	if (book.pages && !/^\d+$/.test(book.pages)) {
+		messages.push(`The page count "${book.pages}" is not a whole number`);
+	}
+	if (!book.published) {
+		messages.push("The publication date is missing");
+	} else if (!toISODate(book.published)) {
+		messages.push(
+			`The publication date "${book.published}" is not a valid year or YYYY-MM-DD date`
+		);
+	}
+	if (book.image && !/^https?:\/\//i.test(book.image)) {
+		messages.push(`The image "${book.image}" is not an http(s) URL`);
+	}
+	if (book.popularity && !/^\d+$/.test(book.popularity)) {
+		messages.push(`The popularity "${book.popularity}" is not a whole number`);
+	}
+
+	return messages;
+};
+
+/**
+ * Reads the books of an imported CSV, JSON or Goodreads export file, and
+ * validates every row. Valid rows are converted to {@link BookItem}s, whose
+ * authors and genres are matched with the catalog's by name, and created if
+ * they are not in the catalog yet. Books without an ID get a new one, and
+ * books without a popularity keep the rank of the catalog's book they
+ * replace, or are ranked after the catalog's books.
+ *
+ * @param {string} content - The content of the file.
+ * @param {object} options
+ * @param {ImportFormat} [options.format] - The format of the file.
+ * @param {CatalogData} options.catalog - The catalog the books are imported
+ * into.
+ * @returns {ImportResult}
+ * @throws {Error} Throws an error if the file cannot be read at all, e.g. if
+ * it is not valid JSON.
+ */
+const parseCatalogImport = (content, { format = "auto", catalog }) => {
+	const detectedFormat =
+		format === "auto" ? detectImportFormat(content) : format;
+
+	/** @type {Record<Exclude<ImportFormat, "auto">, typeof readCsvBooks>} */
+	const readers = {
+		csv: readCsvBooks,
+		json: readJsonBooks,
+		goodreads: readGoodreadsBooks,
+	};
+	if (!(detectedFormat in readers)) {
+		throw new Error(`${detectedFormat} is not a supported import format`);
+	}
+
+	const rows = readers[detectedFormat](content);
+	if (!rows.length) throw new Error("The file has no books");
+
+	/** @type {ImportResult} */
+	const result = {
+		format: detectedFormat,
+		books: [],
+		authors: {},
+		genres: {},
+		errors: [],
+	};
+	const ids = new Set();
+	let nextPopularity = getNextPopularity(catalog.books);
+
+	rows.forEach(({ row, book }) => {
+		const messages = validateRawBook(book, ids);
+
+		if (messages.length) {
+			result.errors.push({ row, messages });
+			return;
+		}
+
+		const id = book.id || crypto.randomUUID();
+		const existingBook = catalog.books.find(
+			(singleBook) => singleBook.id === id
+		);
+		let popularity = book.popularity
+			? Number(book.popularity)
+			: existingBook?.popularity;
+		if (popularity === undefined) {
+			popularity = nextPopularity;
+			nextPopularity += 1;
+		}
+		ids.add(id);
+
+		const authorIds = [
+			...new Set(
+				book.authors
+					.filter(Boolean)
+					.map((author) => resolveName(author, catalog.authors, result.authors))
+			),
+		];
+
+		result.books.push({
+			id,
+			title: book.title,
+			authors: authorIds,
+			author: authorIds[0],
+			genres: [
+				...new Set(
+					book.genres.map((genre) =>
+						resolveName(genre, catalog.genres, result.genres)
+					)
+				),
+			],
+			pages: Number(book.pages) || 0,
+			published: /** @type {string} */ (toISODate(book.published)),
+			description: book.description,
+			image: book.image,
+			popularity,
+		});
+	});
+
+	return result;
+};
+
+export { IMPORT_FORMATS, parseCSV, detectImportFormat, parseCatalogImport };
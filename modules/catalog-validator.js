@@ -0,0 +1,327 @@
+// @ts-check
+
+import getAuthorIds from "./book-authors.js";
+import { isISODate } from "./dates.js";
+
+/**
+ * @typedef {import("./books-preview.js").BookItem} BookItem
+ * @typedef {import("./data-providers.js").CatalogData} CatalogData
+ */
+
+/**
+ * @typedef {"error" | "warning"} IssueSeverity - Errors break the app, e.g. a
+ * book whose author cannot be displayed, while warnings are gaps in the data
+ * the app copes with, e.g. a book without a cover.
+ */
+
+/**
+ * @typedef {object} CatalogIssue - A problem found in the catalog.
+ * @property {IssueSeverity} severity
+ * @property {string} code - A short identifier of the kind of problem, e.g.
+ * `"dangling-author"`.
+ * @property {string} message - A description of the problem.
+ * @property {number} [index] - The position of the book in the books list.
+ * @property {string} [bookId] - The ID of the book, if it has one.
+ * @property {string} [field] - The book property with the problem.
+ */
+
+/**
+ * @typedef {object} CatalogReport - The result of validating a catalog.
+ * @property {number} bookCount
+ * @property {number} authorCount
+ * @property {number} genreCount
+ * @property {number} errorCount
+ * @property {number} warningCount
+ * @property {CatalogIssue[]} issues - Every problem found, in the order of the
+ * books.
+ */
+
+/**
+ * The type of every {@link BookItem} property, following its JSDoc typedef.
+ * @type {Record<keyof BookItem, "string" | "number" | "string[]">}
+ */
+const BOOK_SCHEMA = {
+	id: "string",
+	genres: "string[]",
+	popularity: "number",
+	title: "string",
+	image: "string",
+	description: "string",
+	pages: "number",
+	published: "string",
+	authors: "string[]",
+	author: "string",
+};
+
+/**
+ * The {@link BookItem} properties a book can leave out: a book only needs one
+ * of the two author fields, and a book without a cover is reported as such
+ * rather than as missing a field.
+ * @type {Array<keyof BookItem>}
+ */
+const OPTIONAL_FIELDS = ["image", "authors", "author"];
+
+/**
+ * Checks whether the passed value has the passed {@link BOOK_SCHEMA} type.
+ *
+ * @param {unknown} value
+ * @param {"string" | "number" | "string[]"} type
+ * @returns {boolean}
+ */
+const hasType = (value, type) => {
+	if (type === "string[]") {
+		return (
+			Array.isArray(value) && value.every((item) => typeof item === "string")
+		);
+	}
+	if (type === "number") {
+		return typeof value === "number" && Number.isFinite(value);
+	}
+	return typeof value === "string";
+};
+
+/**
+ * Checks the passed names map of the catalog, i.e. its authors or genres, and
+ * returns an issue for every ID without a name.
+ *
+ * @param {unknown} names
+ * @param {"author" | "genre"} kind
+ * @returns {CatalogIssue[]}
+ */
+const validateNames = (names, kind) => {
+	if (!names || typeof names !== "object" || Array.isArray(names)) {
+		return [
+			{
+				severity: "error",
+				code: "invalid-catalog",
+				message: `The ${kind}s are not an object of names keyed by ID`,
+			},
+		];
+	}
+
+	return Object.entries(names)
+		.filter(([, name]) => typeof name !== "string" || !name.trim())
+		.map(([id]) => ({
+			severity: "error",
+			code: `invalid-${kind}`,
+			message: `The ${kind} "${id}" has no name`,
+		}));
+};
+
+/**
+ * Checks a single book of the catalog against the {@link BookItem} typedef,
+ * and checks that its authors and genres are in the catalog.
+ *
+ * @param {unknown} value - The book.
+ * @param {number} index - The position of the book in the books list.
+ * @param {object} names
+ * @param {Object<string, string>} names.authors
+ * @param {Object<string, string>} names.genres
+ * @returns {CatalogIssue[]}
+ */
+const validateBook = (value, index, { authors, genres }) => {
+	if (!value || typeof value !== "object" || Array.isArray(value)) {
+		return [
+			{
+				severity: "error",
+				code: "invalid-book",
+				message: `Book #${index + 1} is not an object`,
+				index,
+			},
+		];
+	}
+
+	const singleBook = /** @type {BookItem} */ (value);
+	const bookId = typeof singleBook.id === "string" ? singleBook.id : undefined;
+	const label =
+		typeof singleBook.title === "string" && singleBook.title
+			? `"${singleBook.title}"`
+			: `Book #${index + 1}`;
+
+	/** @type {CatalogIssue[]} */
+	const issues = [];
+
+	/**
+	 * @param {IssueSeverity} severity
+	 * @param {string} code
+	 * @param {keyof BookItem} field
+	 * @param {string} message
+	 */
+	const report = (severity, code, field, message) =>
+		issues.push({ severity, code, message, index, bookId, field });
+
+	Object.entries(BOOK_SCHEMA).forEach(([field, type]) => {
+		const key = /** @type {keyof BookItem} */ (field);
+
+		if (!(key in singleBook)) {
+			if (!OPTIONAL_FIELDS.includes(key)) {
+				report("error", "missing-field", key, `${label} has no "${key}"`);
+			}
+		} else if (!hasType(singleBook[key], type)) {
+			report(
+				"error",
+				"invalid-type",
+				key,
+				`The "${key}" of ${label} is not a ${type}`
+			);
+		}
+	});
+
+	if (bookId === "") {
+		report("error", "invalid-type", "id", `${label} has an empty ID`);
+	}
+	if (singleBook.title === "") {
+		report("error", "invalid-type", "title", `${label} has an empty title`);
+	}
+
+	const authorIds = getAuthorIds(singleBook);
+
+	if (!authorIds.length) {
+		report("error", "missing-field", "authors", `${label} has no author`);
+	}
+	authorIds
+		.filter(
+			(author) => typeof author === "string" && !Object.hasOwn(authors, author)
+		)
+		.forEach((author) =>
+			report(
+				"error",
+				"dangling-author",
+				"authors",
+				`${label} has the unknown author "${author}"`
+			)
+		);
+	if (
+		"author" in singleBook &&
+		"authors" in singleBook &&
+		singleBook.author !== authorIds[0]
+	) {
+		report(
+			"warning",
+			"author-mismatch",
+			"author",
+			`The "author" of ${label} is not the first of its "authors"`
+		);
+	}
+
+	if (hasType(singleBook.genres, "string[]")) {
+		singleBook.genres
+			.filter((genre) => !Object.hasOwn(genres, genre))
+			.forEach((genre) =>
+				report(
+					"error",
+					"dangling-genre",
+					"genres",
+					`${label} has the unknown genre "${genre}"`
+				)
+			);
+
+		if (!singleBook.genres.length) {
+			report("warning", "no-genres", "genres", `${label} has no genres`);
+		}
+	}
+
+	if (
+		typeof singleBook.published === "string" &&
+		!isISODate(singleBook.published)
+	) {
+		report(
+			"error",
+			"invalid-date",
+			"published",
+			`${label} has the invalid publication date "${singleBook.published}"`
+		);
+	}
+
+	if (
+		typeof singleBook.pages === "number" &&
+		(!Number.isInteger(singleBook.pages) || singleBook.pages < 0)
+	) {
+		report(
+			"error",
+			"invalid-type",
+			"pages",
+			`${label} has a page count that is not a whole number`
+		);
+	}
+
+	if (!singleBook.image) {
+		report("warning", "missing-image", "image", `${label} has no cover image`);
+	}
+
+	return issues;
+};
+
+/**
+ * Validates the passed catalog: every book is checked against the
+ * {@link BookItem} typedef, and for dangling author and genre IDs, duplicate
+ * IDs, invalid publication dates, missing cover images and empty genres.
+ *
+ * The catalog is not trusted to have the shape of {@link CatalogData}, so that
+ * any parsed JSON file can be validated.
+ *
+ * @param {unknown} catalog
+ * @returns {CatalogReport}
+ */
+const validateCatalog = (catalog) => {
+	const { books, authors, genres } = /** @type {Partial<CatalogData>} */ (
+		catalog && typeof catalog === "object" ? catalog : {}
+	);
+
+	/** @type {CatalogIssue[]} */
+	const issues = [
+		...validateNames(authors, "author"),
+		...validateNames(genres, "genre"),
+	];
+
+	if (!Array.isArray(books)) {
+		issues.push({
+			severity: "error",
+			code: "invalid-catalog",
+			message: "The books are not a list",
+		});
+	}
+
+	const bookList = Array.isArray(books) ? books : [];
+	const names = {
+		authors: authors && typeof authors === "object" ? authors : {},
+		genres: genres && typeof genres === "object" ? genres : {},
+	};
+
+	/** @type {Map<string, number>} */
+	const firstIndexes = new Map();
+
+	bookList.forEach((singleBook, index) => {
+		issues.push(...validateBook(singleBook, index, names));
+
+		const id = singleBook?.id;
+		if (typeof id !== "string" || !id) return;
+
+		if (firstIndexes.has(id)) {
+			issues.push({
+				severity: "error",
+				code: "duplicate-id",
+				message: `Book #${index + 1} has the ID "${id}" of book #${
+					/** @type {number} */ (firstIndexes.get(id)) + 1
+				}`,
+				index,
+				bookId: id,
+				field: "id",
+			});
+		} else {
+			firstIndexes.set(id, index);
+		}
+	});
+
+	return {
+		bookCount: bookList.length,
+		authorCount: Object.keys(names.authors).length,
+		genreCount: Object.keys(names.genres).length,
+		errorCount: issues.filter(({ severity }) => severity === "error").length,
+		warningCount: issues.filter(({ severity }) => severity === "warning")
+			.length,
+		issues,
+	};
+};
+
+export default validateCatalog;
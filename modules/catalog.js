@@ -0,0 +1,413 @@
+// @ts-check
+
+import { readStorage, writeStorage } from "./storage.js";
+import getAuthorIds from "./book-authors.js";
+
+/**
+ * @typedef {import("./books-preview.js").BookItem} BookItem
+ * @typedef {import("./data-providers.js").DataProvider} DataProvider
+ * @typedef {import("./data-providers.js").CatalogData} CatalogData
+ */
+
+/**
+ * @typedef {"idle" | "loading" | "ready" | "error"} CatalogStatus - Where the
+ * catalog is in its loading process.
+ */
+
+/**
+ * @typedef {object} CatalogOverlay - The changes made to the catalog in the
+ * app, on top of the catalog loaded from the data provider.
+ * @property {BookItem[]} books - The books added, or replacing loaded books.
+ * @property {Object<string, string>} authors - The authors added or renamed.
+ * @property {Object<string, string>} genres - The genres added or renamed.
+ * @property {string[]} deletedBooks - The IDs of the deleted books.
+ * @property {string[]} deletedAuthors - The IDs of the deleted authors.
+ * @property {string[]} deletedGenres - The IDs of the deleted genres.
+ */
+
+/**
+ * The key the catalog's overlay is stored under in `localStorage`.
+ * @type {string}
+ */
+const OVERLAY_STORAGE_KEY = "catalog-overlay";
+
+/**
+ * An overlay without any changes.
+ * @type {CatalogOverlay}
+ */
+const EMPTY_OVERLAY = {
+	books: [],
+	authors: {},
+	genres: {},
+	deletedBooks: [],
+	deletedAuthors: [],
+	deletedGenres: [],
+};
+
+/**
+ * Leaves the passed IDs out of an object mapping IDs to names.
+ *
+ * @param {Object<string, string>} names
+ * @param {string[]} ids - The IDs to leave out.
+ * @returns {Object<string, string>}
+ */
+const omitIds = (names, ids) =>
+	Object.fromEntries(Object.entries(names).filter(([id]) => !ids.includes(id)));
+
+/**
+ * Fills in both the `authors` and the `author` field of the passed book, so
+ * that books of catalogs that predate co-authors, which only have `author`,
+ * can be used like the others.
+ *
+ * @param {BookItem} singleBook
+ * @returns {BookItem}
+ */
+const withAuthors = (singleBook) => {
+	const authors = getAuthorIds(singleBook);
+	return { ...singleBook, authors, author: authors[0] || "" };
+};
+
+/**
+ * Returns the popularity rank after the least popular of the passed books,
+ * which new books are given unless they are ranked otherwise.
+ *
+ * @param {BookItem[]} books
+ * @returns {number}
+ */
+const getNextPopularity = (books) =>
+	books.reduce((last, { popularity }) => Math.max(last, popularity), 0) + 1;
+
+/**
+ * The book catalog the app displays: its books, authors and genres, loaded
+ * from a {@link DataProvider}. Every change of its `status` is announced with
+ * a `catalogStatusChanged` event, so that the app can display a loading
+ * indicator or an error, and render the catalog once it is `"ready"`.
+ *
+ * Books, authors and genres added, edited or deleted in the app (e.g. imported
+ * from a file) are kept in an overlay stored in `localStorage`, which is
+ * applied on top of the loaded catalog. A `catalogChanged` event is
+ * dispatched whenever the overlay changes the ready catalog. The methods
+ * changing the overlay return whether it was stored: a change that could not
+ * be stored is still applied, but is lost when the app is reloaded.
+ */
+class Catalog extends EventTarget {
+	/**
+	 * The catalog as loaded from the data provider.
+	 * @type {CatalogData}
+	 */
+	#base = { books: [], authors: {}, genres: {} };
+
+	/**
+	 * The changes made in the app. Overlays stored before deletions were
+	 * supported lack the lists of deleted IDs.
+	 * @type {CatalogOverlay}
+	 */
+	#overlay = {
+		...EMPTY_OVERLAY,
+		...readStorage(OVERLAY_STORAGE_KEY, EMPTY_OVERLAY),
+	};
+
+	/** @type {BookItem[]} */
+	#books = [];
+
+	/** @type {Object<string, string>} */
+	#authors = {};
+
+	/** @type {Object<string, string>} */
+	#genres = {};
+
+	/** @type {CatalogStatus} */
+	#status = "idle";
+
+	/** @type {Error | null} */
+	#error = null;
+
+	/**
+	 * Updates the status, and dispatches a `catalogStatusChanged` event.
+	 *
+	 * @param {CatalogStatus} status
+	 * @param {Error | null} error - The error the catalog failed to load with.
+	 * @returns {void}
+	 */
+	#setStatus(status, error) {
+		this.#status = status;
+		this.#error = error;
+
+		this.dispatchEvent(
+			new CustomEvent("catalogStatusChanged", { detail: { status, error } })
+		);
+	}
+
+	/**
+	 * Loads the catalog from the passed `provider`, replacing the current
+	 * catalog once it has loaded. The current catalog is kept if loading
+	 * fails, and `load` can be called again to retry.
+	 *
+	 * @param {DataProvider} provider
+	 * @returns {Promise<void>} Resolves once the catalog is loaded or failed to
+	 * load. It never rejects, as failures are reported by the `status`.
+	 */
+	async load(provider) {
+		this.#setStatus("loading", null);
+
+		try {
+			this.#base = await provider.load();
+			this.#applyOverlay();
+			this.#setStatus("ready", null);
+		} catch (error) {
+			this.#setStatus(
+				"error",
+				error instanceof Error ? error : new Error(String(error))
+			);
+		}
+	}
+
+	/**
+	 * Combines the loaded catalog with the overlay: the overlay's books replace
+	 * the loaded books with the same ID, and are added after them otherwise.
+	 * Deleted books, authors and genres are left out, and every book gets both
+	 * author fields (see {@link withAuthors}).
+	 *
+	 * @returns {void}
+	 */
+	#applyOverlay() {
+		const { deletedBooks, deletedAuthors, deletedGenres } = this.#overlay;
+		const overlayBooks = new Map(
+			this.#overlay.books.map((singleBook) => [singleBook.id, singleBook])
+		);
+		const baseIds = new Set(this.#base.books.map(({ id }) => id));
+
+		this.#books = [
+			...this.#base.books.map(
+				(singleBook) => overlayBooks.get(singleBook.id) || singleBook
+			),
+			...this.#overlay.books.filter(({ id }) => !baseIds.has(id)),
+		]
+			.filter(({ id }) => !deletedBooks.includes(id))
+			.map(withAuthors);
+		this.#authors = omitIds(
+			{ ...this.#base.authors, ...this.#overlay.authors },
+			deletedAuthors
+		);
+		this.#genres = omitIds(
+			{ ...this.#base.genres, ...this.#overlay.genres },
+			deletedGenres
+		);
+	}
+
+	/**
+	 * Replaces the overlay, stores it so that the changes are kept when the
+	 * app is reloaded, and applies it to the catalog.
+	 *
+	 * @param {CatalogOverlay} overlay
+	 * @returns {boolean} Whether the overlay was stored.
+	 */
+	#updateOverlay(overlay) {
+		this.#overlay = overlay;
+		const stored = writeStorage(OVERLAY_STORAGE_KEY, overlay);
+
+		this.#applyOverlay();
+		if (this.#status === "ready") {
+			this.dispatchEvent(new CustomEvent("catalogChanged"));
+		}
+
+		return stored;
+	}
+
+	/**
+	 * Merges the passed books, authors and genres into the catalog, replacing
+	 * the books with the same ID and renaming the authors and genres with the
+	 * same ID. Merged books, authors and genres that had been deleted are
+	 * restored.
+	 *
+	 * @param {CatalogData} data - The books, authors and genres to merge.
+	 * @returns {boolean} Whether the change was stored.
+	 */
+	merge({ books, authors, genres }) {
+		const ids = new Set(books.map(({ id }) => id));
+		const overlay = this.#overlay;
+
+		return this.#updateOverlay({
+			books: [...overlay.books.filter(({ id }) => !ids.has(id)), ...books],
+			authors: { ...overlay.authors, ...authors },
+			genres: { ...overlay.genres, ...genres },
+			deletedBooks: overlay.deletedBooks.filter((id) => !ids.has(id)),
+			deletedAuthors: overlay.deletedAuthors.filter(
+				(id) => !Object.hasOwn(authors, id)
+			),
+			deletedGenres: overlay.deletedGenres.filter(
+				(id) => !Object.hasOwn(genres, id)
+			),
+		});
+	}
+
+	/**
+	 * Adds the passed book to the catalog, or replaces the book with the same
+	 * ID.
+	 *
+	 * @param {BookItem} singleBook
+	 * @returns {boolean} Whether the change was stored.
+	 */
+	saveBook(singleBook) {
+		return this.merge({ books: [singleBook], authors: {}, genres: {} });
+	}
+
+	/**
+	 * Adds an author to the catalog, or renames the author with the same ID.
+	 *
+	 * @param {string} id - The author ID.
+	 * @param {string} name
+	 * @returns {boolean} Whether the change was stored.
+	 */
+	saveAuthor(id, name) {
+		return this.merge({ books: [], authors: { [id]: name }, genres: {} });
+	}
+
+	/**
+	 * Adds a genre to the catalog, or renames the genre with the same ID.
+	 *
+	 * @param {string} id - The genre ID.
+	 * @param {string} name
+	 * @returns {boolean} Whether the change was stored.
+	 */
+	saveGenre(id, name) {
+		return this.merge({ books: [], authors: {}, genres: { [id]: name } });
+	}
+
+	/**
+	 * Deletes the book with the passed `id` from the catalog.
+	 *
+	 * @param {string} id - The book ID.
+	 * @returns {boolean} Whether the change was stored.
+	 */
+	deleteBook(id) {
+		const overlay = this.#overlay;
+
+		return this.#updateOverlay({
+			...overlay,
+			books: overlay.books.filter((singleBook) => singleBook.id !== id),
+			deletedBooks: [...overlay.deletedBooks, id],
+		});
+	}
+
+	/**
+	 * Deletes the author with the passed `id` from the catalog.
+	 *
+	 * @param {string} id - The author ID.
+	 * @returns {boolean} Whether the change was stored.
+	 * @throws {Error} Throws an error if a book of the catalog is by the author,
+	 * alone or with co-authors, as the book would list an unknown author.
+	 */
+	deleteAuthor(id) {
+		const count = this.#books.filter(({ authors }) =>
+			authors.includes(id)
+		).length;
+		if (count > 0) {
+			throw new Error(
+				`${this.#authors[id]} is an author of ${count} book${
+					count === 1 ? "" : "s"
+				}`
+			);
+		}
+
+		const overlay = this.#overlay;
+
+		return this.#updateOverlay({
+			...overlay,
+			authors: omitIds(overlay.authors, [id]),
+			deletedAuthors: [...overlay.deletedAuthors, id],
+		});
+	}
+
+	/**
+	 * Deletes the genre with the passed `id` from the catalog.
+	 *
+	 * @param {string} id - The genre ID.
+	 * @returns {boolean} Whether the change was stored.
+	 * @throws {Error} Throws an error if a book of the catalog has the genre.
+	 */
+	deleteGenre(id) {
+		const count = this.#books.filter(({ genres }) =>
+			genres.includes(id)
+		).length;
+		if (count > 0) {
+			throw new Error(
+				`${count} book${count === 1 ? " has" : "s have"} the genre ${
+					this.#genres[id]
+				}`
+			);
+		}
+
+		const overlay = this.#overlay;
+
+		return this.#updateOverlay({
+			...overlay,
+			genres: omitIds(overlay.genres, [id]),
+			deletedGenres: [...overlay.deletedGenres, id],
+		});
+	}
+
+	/**
+	 * Discards every change made to the catalog in the app, restoring the
+	 * catalog loaded from the data provider.
+	 *
+	 * @returns {boolean} Whether the change was stored.
+	 */
+	discardChanges() {
+		return this.#updateOverlay(EMPTY_OVERLAY);
+	}
+
+	/**
+	 * Whether the catalog was changed in the app.
+	 * @returns {boolean}
+	 */
+	get hasChanges() {
+		return Object.values(this.#overlay).some(
+			(changes) => Object.keys(changes).length > 0
+		);
+	}
+
+	/**
+	 * Returns the book with the passed `id`.
+	 *
+	 * @param {string} id - The book ID.
+	 * @returns {BookItem | undefined}
+	 */
+	findBook(id) {
+		return this.#books.find((singleBook) => singleBook.id === id);
+	}
+
+	get books() {
+		return this.#books;
+	}
+
+	get authors() {
+		return this.#authors;
+	}
+
+	get genres() {
+		return this.#genres;
+	}
+
+	get status() {
+		return this.#status;
+	}
+
+	/**
+	 * The error the catalog last failed to load with, if its `status` is
+	 * `"error"`.
+	 * @returns {Error | null}
+	 */
+	get error() {
+		return this.#error;
+	}
+}
+
+/**
+ * The catalog displayed by the app. It is empty until it is loaded from the
+ * data provider configured in the page (see `scripts.js`).
+ */
+const catalog = new Catalog();
+
+export { Catalog, getNextPopularity };
+export default catalog;
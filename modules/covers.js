@@ -0,0 +1,177 @@
+// @ts-check
+
+/**
+ * @typedef {object} CoverDetails - The details a cover image is displayed
+ * with.
+ * @property {string} src - The URL of the cover image.
+ * @property {string} title - The book title, whose initials are displayed in
+ * the placeholder.
+ * @property {string | null} genre - The ID of the book's main genre, which
+ * determines the placeholder's background color.
+ */
+
+/**
+ * @typedef {object} CoverState - The loading state of a cover image element.
+ * @property {string} src - The URL being loaded.
+ * @property {number} attempts - The number of failed attempts so far.
+ * @property {boolean} failed - Whether the placeholder replaced the cover for
+ * good, after the last retry failed.
+ * @property {number | undefined} retryTimeout - The ID of the pending retry,
+ * if any.
+ */
+
+/**
+ * The number of times a cover that failed to load is requested again before
+ * the placeholder is displayed for good.
+ * @type {number}
+ */
+const MAX_RETRIES = 2;
+
+/**
+ * The delay before the first retry, in milliseconds. It doubles with every
+ * further attempt.
+ * @type {number}
+ */
+const RETRY_DELAY = 1000;
+
+/**
+ * The loading state of every image element a cover was loaded into. Elements
+ * are reused for different books, so the state tells a stale `error` event or
+ * retry apart from one for the current cover.
+ * @type {WeakMap<HTMLImageElement, CoverState>}
+ */
+const coverStates = new WeakMap();
+
+/**
+ * Returns the initials of the first two words of the passed `title`, e.g.
+ * `"TH"` for "The Hobbit".
+ *
+ * @param {string} title
+ * @returns {string}
+ */
+const getInitials = (title) =>
+	title
+		.split(/\s+/)
+		.filter((word) => /^[\p{L}\p{N}]/u.test(word))
+		.slice(0, 2)
+		.map((word) => word[0].toUpperCase())
+		.join("");
+
+/**
+ * Returns a background color for the passed genre ID. The hue is derived from
+ * the ID, so that every genre keeps the same color.
+ *
+ * @param {string | null} genre
+ * @returns {string} A CSS color.
+ */
+const getGenreColor = (genre) => {
+	if (!genre) return "hsl(0, 0%, 55%)";
+
+	const hue = Array.from(genre).reduce(
+		(hash, character) => (hash * 31 + character.charCodeAt(0)) % 360,
+		0
+	);
+
+	return `hsl(${hue}, 40%, 45%)`;
+};
+
+/**
+ * Creates a placeholder cover displaying the initials of the passed `title`
+ * on the color of the passed `genre`, in the 2:3 ratio of a book cover.
+ *
+ * @param {Omit<CoverDetails, "src">} details
+ * @returns {string} The placeholder, as an SVG data URL.
+ */
+const createCoverPlaceholder = ({ title, genre }) => {
+	const initials = getInitials(title);
+	const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 300">
+		<rect width="200" height="300" fill="${getGenreColor(genre)}" />
+		<text x="100" y="150" dy="0.35em" fill="#fff" font-family="Roboto, sans-serif" font-size="72" font-weight="bold" text-anchor="middle">${initials}</text>
+	</svg>`;
+
+	// Parentheses and quotes are escaped too, as the URL is also used in a CSS
+	// `url()` value.
+	const encodedSvg = encodeURIComponent(svg).replace(
+		/[()'"]/g,
+		(character) => `%${character.charCodeAt(0).toString(16).toUpperCase()}`
+	);
+
+	return `data:image/svg+xml,${encodedSvg}`;
+};
+
+/**
+ * Requests the cover again after a delay when it failed to load, or displays
+ * the placeholder instead once {@link MAX_RETRIES} is reached.
+ *
+ * @param {Event} event - The `error` event of the image element.
+ * @returns {void}
+ */
+const handleCoverError = (event) => {
+	const image = event.currentTarget;
+	if (!(image instanceof HTMLImageElement)) return;
+
+	const state = coverStates.get(image);
+	if (state === undefined || image.getAttribute("src") !== state.src) return;
+
+	if (state.attempts >= MAX_RETRIES) {
+		state.failed = true;
+		image.setAttribute("src", image.dataset.placeholder || "");
+		return;
+	}
+
+	state.retryTimeout = window.setTimeout(
+		() => {
+			state.retryTimeout = undefined;
+			image.setAttribute("src", state.src);
+		},
+		RETRY_DELAY * 2 ** state.attempts
+	);
+	state.attempts += 1;
+};
+
+/**
+ * Loads a cover into the passed image element. The image is only requested
+ * once it is near the viewport, and a generated placeholder (see
+ * {@link createCoverPlaceholder}) is displayed behind it while it loads. A
+ * cover that fails to load is retried a few times before the placeholder
+ * replaces it, so that a broken image is never shown.
+ *
+ * It can be called again for the same element whenever any of the `details`
+ * change: the cover is only requested again when its `src` changed.
+ *
+ * @param {HTMLImageElement} image - The image element to display the cover in.
+ * @param {CoverDetails} details
+ * @returns {void}
+ */
+const loadCover = (image, { src, title, genre }) => {
+	const placeholder = createCoverPlaceholder({ title, genre });
+	const state = coverStates.get(image);
+
+	image.setAttribute("loading", "lazy");
+	image.setAttribute("decoding", "async");
+	image.setAttribute("alt", title ? `Cover of ${title}` : "");
+	image.setAttribute("data-placeholder", placeholder);
+	image.style.setProperty("background-image", `url("${placeholder}")`);
+	image.style.setProperty("background-size", "cover");
+
+	if (state === undefined) image.addEventListener("error", handleCoverError);
+
+	if (state !== undefined && state.src === src) {
+		if (state.failed || !src) {
+			image.setAttribute("src", placeholder);
+		}
+		return;
+	}
+
+	window.clearTimeout(state?.retryTimeout);
+	coverStates.set(image, {
+		src,
+		attempts: 0,
+		failed: false,
+		retryTimeout: undefined,
+	});
+
+	image.setAttribute("src", src || placeholder);
+};
+
+export { getInitials, createCoverPlaceholder, loadCover };
@@ -0,0 +1,219 @@
+// @ts-check
+
+import validateCatalog from "./catalog-validator.js";
+
+/**
+ * @typedef {import("./books-preview.js").BookItem} BookItem
+ */
+
+/**
+ * @typedef {object} CatalogData - Everything the app needs to display the
+ * book catalog.
+ * @property {BookItem[]} books - The books of the catalog.
+ * @property {Object<string, string>} authors - The author names, keyed by
+ * author ID.
+ * @property {Object<string, string>} genres - The genre names, keyed by genre
+ * ID.
+ */
+
+/**
+ * @typedef {object} DataProvider - A source the catalog can be loaded from.
+ * @property {() => Promise<CatalogData>} load - Loads the catalog, rejecting
+ * with an error if it cannot be loaded or is not a valid catalog.
+ */
+
+/**
+ * @typedef {"static" | "json" | "rest"} DataProviderType - The kinds of
+ * {@link DataProvider} the app can be configured with.
+ */
+
+/**
+ * Checks whether `value` is an object mapping IDs to names.
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isNameMap = (value) =>
+	typeof value === "object" &&
+	value !== null &&
+	!Array.isArray(value) &&
+	Object.values(value).every((name) => typeof name === "string");
+
+/**
+ * Checks that the passed `data` has the shape of {@link CatalogData}, and
+ * that every book is valid (see {@link validateCatalog}), so that a malformed
+ * catalog fails when it is loaded rather than while it is displayed.
+ * Warnings, such as books without a cover, do not fail the catalog.
+ *
+ * @param {any} data - The loaded data.
+ * @param {string} source - A description of where the data was loaded from,
+ * for the error message.
+ * @returns {CatalogData}
+ * @throws {Error} Throws an error if `data` is not a valid catalog, naming its
+ * first error.
+ */
+const assertCatalogData = (data, source) => {
+	if (typeof data !== "object" || data === null) {
+		throw new Error(`The catalog loaded from ${source} is not an object`);
+	}
+	if (!Array.isArray(data.books)) {
+		throw new Error(`The catalog loaded from ${source} has no list of books`);
+	}
+	if (!isNameMap(data.authors) || !isNameMap(data.genres)) {
+		throw new Error(
+			`The catalog loaded from ${source} has no valid authors and genres`
+		);
+	}
+
+	const errors = validateCatalog(data).issues.filter(
+		({ severity }) => severity === "error"
+	);
+	if (errors.length > 0) {
+		const others =
+			errors.length > 1
+				? ` (and ${errors.length - 1} more error${
+						errors.length === 2 ? "" : "s"
+				  })`
+				: "";
+
+		throw new Error(
+			`The catalog loaded from ${source} is not valid: ${errors[0].message}${others}`
+		);
+	}
+
+	return { books: data.books, authors: data.authors, genres: data.genres };
+};
+
+/**
+ * Fetches the passed URL and parses its JSON response.
+ *
+ * @param {string} url
+ * @returns {Promise<any>}
+ * @throws {Error} Throws an error if the request fails or is answered with an
+ * error status.
+ */
+const fetchJSON = async (url) => {
+	const response = await fetch(url, {
+		headers: { Accept: "application/json" },
+	});
+
+	if (!response.ok) {
+		throw new Error(
+			`Could not load ${url} (${response.status} ${response.statusText})`
+		);
+	}
+
+	return response.json();
+};
+
+/**
+ * Creates a {@link DataProvider} loading the catalog bundled with the app in
+ * `data.js`. The module is only imported when the catalog is loaded, so that
+ * it is not downloaded when the app is pointed at a different catalog.
+ *
+ * @returns {DataProvider}
+ */
+const createStaticDataProvider = () => ({
+	load: async () => {
+		const { books, authors, genres } = await import("./data.js");
+		return assertCatalogData({ books, authors, genres }, "data.js");
+	},
+});
+
+/**
+ * Creates a {@link DataProvider} loading the catalog from a single JSON file
+ * holding a {@link CatalogData} object, e.g. an export of another catalog.
+ *
+ * @param {string} url - The URL of the JSON file.
+ * @returns {DataProvider}
+ */
+const createJsonDataProvider = (url) => ({
+	load: async () => assertCatalogData(await fetchJSON(url), url),
+});
+
+/**
+ * Creates a {@link DataProvider} loading the catalog from a REST API serving
+ * the books, authors and genres as separate JSON resources:
+ * `GET <baseUrl>/books` (a list of books), and `GET <baseUrl>/authors` and
+ * `GET <baseUrl>/genres` (objects mapping IDs to names). See
+ * `fixtures/mock-server.js` for a local example.
+ *
+ * @param {string} baseUrl - The URL the resources' paths are appended to.
+ * @returns {DataProvider}
+ */
+const createRestDataProvider = (baseUrl) => {
+	const base = baseUrl.replace(/\/+$/, "");
+
+	return {
+		load: async () => {
+			const [books, authors, genres] = await Promise.all(
+				["books", "authors", "genres"].map((resource) =>
+					fetchJSON(`${base}/${resource}`)
+				)
+			);
+
+			return assertCatalogData({ books, authors, genres }, base);
+		},
+	};
+};
+
+/**
+ * Creates the {@link DataProvider} of the passed type.
+ *
+ * @param {DataProviderType} type
+ * @param {string} [url] - The URL of the JSON file, or the base URL of the REST
+ * API. Not used by the `"static"` provider.
+ * @returns {DataProvider}
+ * @throws {Error} Throws an error if `type` is not supported, or if the
+ * provider needs a URL and none was passed.
+ */
+const createDataProvider = (type, url) => {
+	if (type === "static") return createStaticDataProvider();
+
+	if (type !== "json" && type !== "rest") {
+		throw new Error(`${type} is not a supported data provider`);
+	}
+	if (!url) {
+		throw new Error(`The ${type} data provider needs a URL`);
+	}
+
+	return type === "json"
+		? createJsonDataProvider(url)
+		: createRestDataProvider(url);
+};
+
+/**
+ * Creates the {@link DataProvider} configured in the page's
+ * `book-connect:data-provider` meta tag (one of the
+ * {@link DataProviderType}s), with the URL of its `book-connect:data-url`
+ * meta tag. The catalog bundled with the app is used when no provider is
+ * configured.
+ *
+ * @example
+ * <meta name="book-connect:data-provider" content="rest" />
+ * <meta name="book-connect:data-url" content="http://localhost:3000" />
+ *
+ * @returns {DataProvider}
+ */
+const getConfiguredDataProvider = () => {
+	/** @param {string} name */
+	const readMeta = (name) =>
+		document
+			.querySelector(`meta[name="book-connect:${name}"]`)
+			?.getAttribute("content") || "";
+
+	const type = /** @type {DataProviderType} */ (
+		readMeta("data-provider") || "static"
+	);
+
+	return createDataProvider(type, readMeta("data-url"));
+};
+
+export {
+	createStaticDataProvider,
+	createJsonDataProvider,
+	createRestDataProvider,
+	assertCatalogData,
+	createDataProvider,
+	getConfiguredDataProvider,
+};
@@ -456,7 +456,11 @@ export const books = [
 			"The New York Times best-selling Freakonomics was a worldwide sensation, selling over four million copies in thirty-five languages and changing the way we look at the world. Now, Steven D. Levitt and Stephen J. Dubner return with SuperFreakonomics, and fans and newcomers alike will find that the freakquel is even bolder, funnier, and more surprising than the first.\n\nFour years in the making, SuperFreakonomics asks not only the tough questions, but the unexpected ones: What's more dangerous, driving drunk or walking drunk? Why is chemotherapy prescribed so often if it's so ineffective? Can a sex change boost your salary?\n\nSuperFreakonomics challenges the way we think all over again, exploring the hidden side of everything with such questions as:\n\nHow is a street prostitute like a department-store Santa?\nWhy are doctors so bad at washing their hands?\nHow much good do car seats do?\nWhat's the best way to catch a terrorist?\nDid TV cause a rise in crime?\nWhat do hurricanes, heart attacks, and highway deaths have in common?\nAre people hard-wired for altruism or selfishness?\nCan eating kangaroo save the planet?\nWhich adds more value: a pimp or a Realtor?\n\nLevitt and Dubner mix smart thinking and great storytelling like no one else, whether investigating a solution to global warming or explaining why the price of oral sex has fallen so drastically. By examining how people respond to incentives, they show the world for what it really is – good, bad, ugly, and, in the final analysis, super freaky.\n\nFreakonomics has been imitated many times over – but only now, with SuperFreakonomics, has it met its match.",
 		pages: 270,
 		published: "2009-10-19T22:00:00.000Z",
-		author: "76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		author: "194e164b-9365-4358-b44a-f28a93cc528f",
+		authors: [
+			"194e164b-9365-4358-b44a-f28a93cc528f",
+			"76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		],
 	},
 	{
 		id: "632fa733-996e-4cc3-a00b-818c5a8bae86",
@@ -1223,7 +1227,11 @@ export const books = [
 			"The New York Times bestselling Freakonomics changed the way we see the world, exposing the hidden side of just about everything. Then came SuperFreakonomics, a documentary film, an award-winning podcast, and more.\n\nNow, with Think Like a Freak, Steven D. Levitt and Stephen J. Dubner have written their most revolutionary book yet. With their trademark blend of captivating storytelling and unconventional analysis, they take us inside their thought process and teach us all to think a bit more productively, more creatively, more rationally—to think, that is, like a Freak.\n\nLevitt and Dubner offer a blueprint for an entirely new way to solve problems, whether your interest lies in minor lifehacks or major global reforms. As always, no topic is off-limits. They range from business to philanthropy to sports to politics, all with the goal of retraining your brain. Along the way, you’ll learn the secrets of a Japanese hot-dog-eating champion, the reason an Australian doctor swallowed a batch of dangerous bacteria, and why Nigerian e-mail scammers make a point of saying they’re from Nigeria.\n\nSome of the steps toward thinking like a Freak:\n\nFirst, put away your moral compass—because it’s hard to see a problem clearly if you’ve already decided what to do about it.\nLearn to say “I don’t know”—for until you can admit what you don’t yet know, it’s virtually impossible to learn what you need to.\nThink like a child—because you’ll come up with better ideas and ask better questions.\nTake a master class in incentives—because for better or worse, incentives rule our world.\nLearn to persuade people who don’t want to be persuaded—because being right is rarely enough to carry the day.\nLearn to appreciate the upside of quitting—because you can’t solve tomorrow’s problem if you aren’t willing to abandon today’s dud.\nLevitt and Dubner plainly see the world like no one else. Now you can too. Never before have such iconoclastic thinkers been so revealing—and so much fun to read.",
 		pages: 304,
 		published: "2014-05-11T22:00:00.000Z",
-		author: "76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		author: "194e164b-9365-4358-b44a-f28a93cc528f",
+		authors: [
+			"194e164b-9365-4358-b44a-f28a93cc528f",
+			"76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		],
 	},
 	{
 		id: "fee507cf-388f-4013-bd32-caa8e63c6e25",
@@ -1565,7 +1573,11 @@ export const books = [
 			"In celebration of the 10th anniversary of the landmark book Freakonomics comes this curated collection from the most readable economics blog in the universe. It's the perfect solution for the millions of readers who love all things Freakonomics. Surprising and erudite, eloquent and witty, When to Rob a Bank demonstrates the brilliance that has made the Freakonomics guys an international sensation, with more than 7 million books sold in 40 languages, and 150 million downloads of their Freakonomics Radio podcast.\n\nWhen Freakonomics was first published, the authors started a blog--and they've kept it up. The writing is more casual, more personal, even more outlandish than in their books. In When to Rob a Bank, they ask a host of typically off-center questions: Why don't flight attendants get tipped? If you were a terrorist, how would you attack? And why does KFC always run out of fried chicken?\n\nOver the past decade, Steven D. Levitt and Stephen J. Dubner have published more than 8,000 blog posts on the Freakonomics website. Many of them, they freely admit, were rubbish. But now they've gone through and picked the best of the best. You'll discover what people lie about, and why; the best way to cut gun deaths; why it might be time for a sex tax; and, yes, when to rob a bank. (Short answer: never; the ROI is terrible.) You'll also learn a great deal about Levitt and Dubner's own quirks and passions, from gambling and golf to backgammon and the abolition of the penny.",
 		pages: 387,
 		published: "2015-05-04T22:00:00.000Z",
-		author: "76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		author: "194e164b-9365-4358-b44a-f28a93cc528f",
+		authors: [
+			"194e164b-9365-4358-b44a-f28a93cc528f",
+			"76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		],
 	},
 	{
 		id: "6ac44040-418f-4ceb-83d3-17a02638133b",
@@ -5072,7 +5084,11 @@ export const books = [
 			"Perguntas incomuns, que revelam fatos e dados e mudam a forma de vermos as coisas: Por que os traficantes de drogas moram com as mães? Por que os homens-bomba devem adquirir seguro de vida? Qual a importância real dos pais? O que os professores e os lutadores de sumô têm em comum? Embora incomuns na vida de um economista, essas são algumas das questões retratadas no livro Freakonomics + Superfreakonomics. Os autores abordam as mais variadas situações e acontecimentos do dia a dia para tratar de economia.",
 		pages: 561,
 		published: "2010-12-31T22:00:00.000Z",
-		author: "76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		author: "194e164b-9365-4358-b44a-f28a93cc528f",
+		authors: [
+			"194e164b-9365-4358-b44a-f28a93cc528f",
+			"76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		],
 	},
 	{
 		id: "cec28119-50b8-45bb-954a-b1ae891143a4",
@@ -5729,7 +5745,11 @@ export const books = [
 			"Which is more dangerous, a gun or a swimming pool? What do schoolteachers and sumo wrestlers have in common? Why do drug dealers still live with their moms? How much do parents really matter? What kind of impact did Roe v. Wade have on violent crime? Freakonomics will literally redefine the way we view the modern world.\n\nThese may not sound like typical questions for an economist to ask. But Steven D. Levitt is not a typical economist. He is a much heralded scholar who studies the stuff and riddles of everyday life -- from cheating and crime to sports and child rearing -- and whose conclusions regularly turn the conventional wisdom on its head. He usually begins with a mountain of data and a simple, unasked question. Some of these questions concern life-and-death issues; others have an admittedly freakish quality. Thus the new field of study contained in this book: freakonomics.\n\nThrough forceful storytelling and wry insight, Levitt and co-author Stephen J. Dubner show that economics is, at root, the study of incentives -- how people get what they want, or need, especially when other people want or need the same thing. In Freakonomics, they set out to explore the hidden side of ... well, everything. The inner workings of a crack gang. The truth about real-estate agents. The myths of campaign finance. The telltale marks of a cheating schoolteacher. The secrets of the Ku Klux Klan.\n\nWhat unites all these stories is a belief that the modern world, despite a surfeit of obfuscation, complication, and downright deceit, is not impenetrable, is not unknowable, and -- if the right questions are asked -- is even more intriguing than we think. All it takes is a new way of looking. Steven Levitt, through devilishly clever and clear-eyed thinking, shows how to see through all the clutter.\n\nFreakonomics establishes this unconventional premise: If morality represents how we would like the world to work, then economics represents how it actually does work. It is true that readers of this book will be armed with enough riddles and stories to last a thousand cocktail parties. But Freakonomics can provide more than that. It will literally redefine the way we view the modern world.\n(front flap)",
 		pages: 268,
 		published: "2005-04-11T22:00:00.000Z",
-		author: "76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		author: "194e164b-9365-4358-b44a-f28a93cc528f",
+		authors: [
+			"194e164b-9365-4358-b44a-f28a93cc528f",
+			"76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		],
 	},
 	{
 		id: "d71edc4f-8ce9-41bc-9654-f510be0d9fea",
@@ -11134,7 +11154,11 @@ export const books = [
 			"The New York Times bestselling Freakonomics changed the way we see the world, exposing the hidden side of just about everything. Then came SuperFreakonomics, a documentary film, an award-winning podcast, and more.\n\nNow, with Think Like a Freak, Steven D. Levitt and Stephen J. Dubner have written their most revolutionary book yet. With their trademark blend of captivating storytelling and unconventional analysis, they take us inside their thought process and teach us all to think a bit more productively, more creatively, more rationally—to think, that is, like a Freak.\n\nLevitt and Dubner offer a blueprint for an entirely new way to solve problems, whether your interest lies in minor lifehacks or major global reforms. As always, no topic is off-limits. They range from business to philanthropy to sports to politics, all with the goal of retraining your brain. Along the way, you’ll learn the secrets of a Japanese hot-dog-eating champion, the reason an Australian doctor swallowed a batch of dangerous bacteria, and why Nigerian e-mail scammers make a point of saying they’re from Nigeria.\n\nSome of the steps toward thinking like a Freak:\n\nFirst, put away your moral compass—because it’s hard to see a problem clearly if you’ve already decided what to do about it.\nLearn to say “I don’t know”—for until you can admit what you don’t yet know, it’s virtually impossible to learn what you need to.\nThink like a child—because you’ll come up with better ideas and ask better questions.\nTake a master class in incentives—because for better or worse, incentives rule our world.\nLearn to persuade people who don’t want to be persuaded—because being right is rarely enough to carry the day.\nLearn to appreciate the upside of quitting—because you can’t solve tomorrow’s problem if you aren’t willing to abandon today’s dud.\nLevitt and Dubner plainly see the world like no one else. Now you can too. Never before have such iconoclastic thinkers been so revealing—and so much fun to read.",
 		pages: 304,
 		published: "2014-05-11T22:00:00.000Z",
-		author: "76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		author: "194e164b-9365-4358-b44a-f28a93cc528f",
+		authors: [
+			"194e164b-9365-4358-b44a-f28a93cc528f",
+			"76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		],
 	},
 	{
 		id: "f7035c11-a29d-4cf4-a62f-7da802f7224f",
@@ -12777,7 +12801,11 @@ export const books = [
 			"Perguntas incomuns, que revelam fatos e dados e mudam a forma de vermos as coisas: Por que os traficantes de drogas moram com as mães? Por que os homens-bomba devem adquirir seguro de vida? Qual a importância real dos pais? O que os professores e os lutadores de sumô têm em comum? Embora incomuns na vida de um economista, essas são algumas das questões retratadas no livro Freakonomics + Superfreakonomics. Os autores abordam as mais variadas situações e acontecimentos do dia a dia para tratar de economia.",
 		pages: 561,
 		published: "2010-12-31T22:00:00.000Z",
-		author: "76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		author: "194e164b-9365-4358-b44a-f28a93cc528f",
+		authors: [
+			"194e164b-9365-4358-b44a-f28a93cc528f",
+			"76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		],
 	},
 	{
 		id: "4ad2fbc9-ff49-486c-9c1c-28a831a881b6",
@@ -22281,7 +22309,11 @@ export const books = [
 			"A lot of professors give talks titled 'The Last Lecture'. Professors are asked to consider their demise and to ruminate on what matters most to them: What wisdom would we impart to the world if we knew it was our last chance? If we had to vanish tomorrow, what would we want as our legacy?\n\nWhen Randy Pausch, a computer science professor at Carnegie Mellon, was asked to give such a lecture, he didn't have to imagine it as his last, since he had recently been diagnosed with terminal cancer. But the lecture he gave, 'Really Achieving Your Childhood Dreams', wasn't about dying. It was about the importance of overcoming obstacles, of enabling the dreams of others, of seizing every moment (because time is all you have and you may find one day that you have less than you think). It was a summation of everything Randy had come to believe. It was about living.\n\nIn this book, Randy Pausch has combined the humour, inspiration, and intelligence that made his lecture such a phenomenon and given it an indelible form. It is a book that will be shared for generations to come.",
 		pages: 217,
 		published: "2008-04-07T22:00:00.000Z",
-		author: "5abb0ae3-e351-4388-9d39-256a1a889bfc",
+		author: "76749e00-8dee-4f53-892e-ae5f17374aa2",
+		authors: [
+			"76749e00-8dee-4f53-892e-ae5f17374aa2",
+			"5abb0ae3-e351-4388-9d39-256a1a889bfc",
+		],
 	},
 	{
 		id: "6db4c28d-4387-4db4-9257-2cfce4b97cb6",
@@ -22301,7 +22333,11 @@ export const books = [
 			"A lot of professors give talks titled 'The Last Lecture'. Professors are asked to consider their demise and to ruminate on what matters most to them: What wisdom would we impart to the world if we knew it was our last chance? If we had to vanish tomorrow, what would we want as our legacy?\n\nWhen Randy Pausch, a computer science professor at Carnegie Mellon, was asked to give such a lecture, he didn't have to imagine it as his last, since he had recently been diagnosed with terminal cancer. But the lecture he gave, 'Really Achieving Your Childhood Dreams', wasn't about dying. It was about the importance of overcoming obstacles, of enabling the dreams of others, of seizing every moment (because time is all you have and you may find one day that you have less than you think). It was a summation of everything Randy had come to believe. It was about living.\n\nIn this book, Randy Pausch has combined the humour, inspiration, and intelligence that made his lecture such a phenomenon and given it an indelible form. It is a book that will be shared for generations to come.",
 		pages: 217,
 		published: "2008-04-07T22:00:00.000Z",
-		author: "5abb0ae3-e351-4388-9d39-256a1a889bfc",
+		author: "76749e00-8dee-4f53-892e-ae5f17374aa2",
+		authors: [
+			"76749e00-8dee-4f53-892e-ae5f17374aa2",
+			"5abb0ae3-e351-4388-9d39-256a1a889bfc",
+		],
 	},
 	{
 		id: "1b813280-ca74-4aa2-99e3-70e7129dfdf7",
@@ -23727,7 +23763,11 @@ export const books = [
 			"The New York Times best-selling Freakonomics was a worldwide sensation, selling over four million copies in thirty-five languages and changing the way we look at the world. Now, Steven D. Levitt and Stephen J. Dubner return with SuperFreakonomics, and fans and newcomers alike will find that the freakquel is even bolder, funnier, and more surprising than the first.\n\nFour years in the making, SuperFreakonomics asks not only the tough questions, but the unexpected ones: What's more dangerous, driving drunk or walking drunk? Why is chemotherapy prescribed so often if it's so ineffective? Can a sex change boost your salary?\n\nSuperFreakonomics challenges the way we think all over again, exploring the hidden side of everything with such questions as:\n\nHow is a street prostitute like a department-store Santa?\nWhy are doctors so bad at washing their hands?\nHow much good do car seats do?\nWhat's the best way to catch a terrorist?\nDid TV cause a rise in crime?\nWhat do hurricanes, heart attacks, and highway deaths have in common?\nAre people hard-wired for altruism or selfishness?\nCan eating kangaroo save the planet?\nWhich adds more value: a pimp or a Realtor?\n\nLevitt and Dubner mix smart thinking and great storytelling like no one else, whether investigating a solution to global warming or explaining why the price of oral sex has fallen so drastically. By examining how people respond to incentives, they show the world for what it really is – good, bad, ugly, and, in the final analysis, super freaky.\n\nFreakonomics has been imitated many times over – but only now, with SuperFreakonomics, has it met its match.",
 		pages: 270,
 		published: "2009-10-19T22:00:00.000Z",
-		author: "76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		author: "194e164b-9365-4358-b44a-f28a93cc528f",
+		authors: [
+			"194e164b-9365-4358-b44a-f28a93cc528f",
+			"76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		],
 	},
 	{
 		id: "edee4f30-78cf-4c04-9151-84e9862a1212",
@@ -26211,7 +26251,11 @@ export const books = [
 			"In celebration of the 10th anniversary of the landmark book Freakonomics comes this curated collection from the most readable economics blog in the universe. It's the perfect solution for the millions of readers who love all things Freakonomics. Surprising and erudite, eloquent and witty, When to Rob a Bank demonstrates the brilliance that has made the Freakonomics guys an international sensation, with more than 7 million books sold in 40 languages, and 150 million downloads of their Freakonomics Radio podcast.\n\nWhen Freakonomics was first published, the authors started a blog--and they've kept it up. The writing is more casual, more personal, even more outlandish than in their books. In When to Rob a Bank, they ask a host of typically off-center questions: Why don't flight attendants get tipped? If you were a terrorist, how would you attack? And why does KFC always run out of fried chicken?\n\nOver the past decade, Steven D. Levitt and Stephen J. Dubner have published more than 8,000 blog posts on the Freakonomics website. Many of them, they freely admit, were rubbish. But now they've gone through and picked the best of the best. You'll discover what people lie about, and why; the best way to cut gun deaths; why it might be time for a sex tax; and, yes, when to rob a bank. (Short answer: never; the ROI is terrible.) You'll also learn a great deal about Levitt and Dubner's own quirks and passions, from gambling and golf to backgammon and the abolition of the penny.",
 		pages: 387,
 		published: "2015-05-04T22:00:00.000Z",
-		author: "76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		author: "194e164b-9365-4358-b44a-f28a93cc528f",
+		authors: [
+			"194e164b-9365-4358-b44a-f28a93cc528f",
+			"76e8065c-fd7a-4a8b-a8ea-6105a47d0781",
+		],
 	},
 	{
 		id: "fc3e3595-fd04-4e8e-a44f-c8264d17868d",
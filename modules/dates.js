@@ -0,0 +1,49 @@
+// @ts-check
+
+/**
+ * Matches a date in the ISO format produced by `Date.prototype.toISOString`,
+ * e.g. `2005-01-01T00:00:00.000Z`. The milliseconds are optional.
+ * @type {RegExp}
+ */
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/;
+
+/**
+ * Checks whether the passed value is a valid date in the ISO format. Dates
+ * that match the format but do not exist, such as `2005-02-30`, are invalid.
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isISODate = (value) => {
+	if (!ISO_DATE_PATTERN.test(value)) return false;
+
+	const date = new Date(value);
+	return (
+		!Number.isNaN(date.getTime()) &&
+		date.toISOString().slice(0, 19) === value.slice(0, 19)
+	);
+};
+
+/**
+ * Converts a day to the ISO date of its midnight in the user's time zone,
+ * which is how the catalog's dates are stored and how they are displayed.
+ * Years below 100 are kept as they are, rather than read as 19xx.
+ *
+ * @param {number} year
+ * @param {number} month - The month, from 1 to 12.
+ * @param {number} day
+ * @returns {string | null} The ISO date, or `null` if the day does not exist,
+ * e.g. February 30th.
+ */
+const toLocalISODate = (year, month, day) => {
+	const date = new Date(2000, 0, 1);
+	date.setFullYear(year, month - 1, day);
+
+	return date.getFullYear() === year &&
+		date.getMonth() === month - 1 &&
+		date.getDate() === day
+		? date.toISOString()
+		: null;
+};
+
+export { isISODate, toLocalISODate };
@@ -1,6 +1,6 @@
 // @ts-check
 
-import { authors, genres } from "./data.js";
+import { getBookRanges } from "./book-filters.js";
 
 /**
  * Finds and returns the HTML element with the specified data attribute. Throws an error if the element
@@ -42,11 +42,23 @@ const book = {
 	header: {
 		search: getHTML({ dataAttr: "header-search" }),
 		settings: getHTML({ dataAttr: "header-settings" }),
+		shelf: getHTML({ dataAttr: "header-shelf" }),
+		offline: getHTML({ dataAttr: "header-offline" }),
+		editor: getHTML({ dataAttr: "header-editor" }),
 	},
 	list: {
 		items: getHTML({ dataAttr: "list-items" }),
+		loading: getHTML({ dataAttr: "list-loading" }),
+		error: getHTML({ dataAttr: "list-error" }),
+		errorMessage: getHTML({ dataAttr: "list-error-message" }),
+		retry: getHTML({ dataAttr: "list-retry" }),
 		message: getHTML({ dataAttr: "list-message" }),
-		button: getHTML({ dataAttr: "list-button" }),
+		suggestion: getHTML({ dataAttr: "list-suggestion" }),
+		status: getHTML({ dataAttr: "list-status" }),
+		pagination: getHTML({ dataAttr: "list-pagination" }),
+		pageInput: getHTML({ dataAttr: "list-page-input" }),
+		pageCount: getHTML({ dataAttr: "list-page-count" }),
+		export: getHTML({ dataAttr: "list-export" }),
 	},
 	search: {
 		dialog: getHTML({ dataAttr: "search-overlay" }),
@@ -54,53 +66,331 @@ const book = {
 		title: getHTML({ dataAttr: "search-title" }),
 		genres: getHTML({ dataAttr: "search-genres" }),
 		authors: getHTML({ dataAttr: "search-authors" }),
+		sort: getHTML({ dataAttr: "search-sort" }),
+		year: getHTML({ dataAttr: "search-year" }),
+		yearOutput: getHTML({ dataAttr: "search-year-output" }),
+		pages: getHTML({ dataAttr: "search-pages" }),
+		pagesOutput: getHTML({ dataAttr: "search-pages-output" }),
 		cancel: getHTML({ dataAttr: "search-cancel" }),
 	},
 	settings: {
 		dialog: getHTML({ dataAttr: "settings-overlay" }),
 		form: getHTML({ dataAttr: "settings-form" }),
 		theme: getHTML({ dataAttr: "settings-theme" }),
+		readingSpeed: getHTML({ dataAttr: "settings-reading-speed" }),
+		layout: getHTML({ dataAttr: "settings-layout" }),
+		listMode: getHTML({ dataAttr: "settings-list-mode" }),
+		pageSize: getHTML({ dataAttr: "settings-page-size" }),
+		adminMode: getHTML({ dataAttr: "settings-admin-mode" }),
+		themeEditor: {
+			name: getHTML({ dataAttr: "theme-editor-name" }),
+			colors: getHTML({ dataAttr: "theme-editor-colors" }),
+			create: getHTML({ dataAttr: "theme-editor-create" }),
+			update: getHTML({ dataAttr: "theme-editor-update" }),
+			delete: getHTML({ dataAttr: "theme-editor-delete" }),
+			export: getHTML({ dataAttr: "theme-editor-export" }),
+			import: getHTML({ dataAttr: "theme-editor-import" }),
+			status: getHTML({ dataAttr: "theme-editor-status" }),
+		},
+		catalogImport: {
+			format: getHTML({ dataAttr: "catalog-import-format" }),
+			file: getHTML({ dataAttr: "catalog-import-file" }),
+			status: getHTML({ dataAttr: "catalog-import-status" }),
+			errors: getHTML({ dataAttr: "catalog-import-errors" }),
+		},
+		diagnostics: {
+			check: getHTML({ dataAttr: "diagnostics-check" }),
+			status: getHTML({ dataAttr: "diagnostics-status" }),
+			issues: getHTML({ dataAttr: "diagnostics-issues" }),
+		},
 		cancel: getHTML({ dataAttr: "settings-cancel" }),
 	},
+	editor: {
+		dialog: getHTML({ dataAttr: "editor-overlay" }),
+		form: getHTML({ dataAttr: "editor-form" }),
+		heading: getHTML({ dataAttr: "editor-heading" }),
+		id: getHTML({ dataAttr: "editor-id" }),
+		author: getHTML({ dataAttr: "editor-author" }),
+		coAuthors: getHTML({ dataAttr: "editor-co-authors" }),
+		genres: getHTML({ dataAttr: "editor-genres" }),
+		status: getHTML({ dataAttr: "editor-status" }),
+		authorNames: {
+			select: getHTML({ dataAttr: "editor-authors-select" }),
+			name: getHTML({ dataAttr: "editor-authors-name" }),
+			create: getHTML({ dataAttr: "editor-authors-create" }),
+			rename: getHTML({ dataAttr: "editor-authors-rename" }),
+			delete: getHTML({ dataAttr: "editor-authors-delete" }),
+		},
+		genreNames: {
+			select: getHTML({ dataAttr: "editor-genres-select" }),
+			name: getHTML({ dataAttr: "editor-genres-name" }),
+			create: getHTML({ dataAttr: "editor-genres-create" }),
+			rename: getHTML({ dataAttr: "editor-genres-rename" }),
+			delete: getHTML({ dataAttr: "editor-genres-delete" }),
+		},
+		discard: getHTML({ dataAttr: "editor-discard" }),
+		delete: getHTML({ dataAttr: "editor-delete" }),
+		cancel: getHTML({ dataAttr: "editor-cancel" }),
+	},
 };
 
 // createBookAttributeHTML
 
 /**
- * Generates a document fragment containing option elements for a collection of
- * genres or authors.
+ * Generates a document fragment containing a checkbox chip for every genre or
+ * author in a collection, allowing several of them to be selected at once.
+ * When none of the chips are checked, no genre or author filter is applied.
  *
  * @param {Object<string, string>} bookAttributeSource - An object with a
  * collection of either genres or authors.
- * @param {"Genres" | "Authors"} attributeType - The type of book attribute
- * source (`"Genres"` or `"Authors"`).
- * @returns {DocumentFragment} A document fragment containing option elements to
+ * @param {"genre" | "author"} attributeType - The type of book attribute
+ * source (`"genre"` or `"author"`), used as the name of the checkboxes.
+ * @returns {DocumentFragment} A document fragment containing checkbox chips to
  * be added to the HTML DOM and displayed to the user.
  */
 const createBookAttributeHTML = (bookAttributeSource, attributeType) => {
 	const bookAttributeFragment = document.createDocumentFragment();
-	const firstOptionElement = document.createElement("option");
-
-	firstOptionElement.value = "any";
-	firstOptionElement.innerText = `All ${attributeType}`;
-
-	bookAttributeFragment.appendChild(firstOptionElement);
 
 	// eslint-disable-next-line no-restricted-syntax
 	for (const [id, name] of Object.entries(bookAttributeSource)) {
-		const optionElement = document.createElement("option");
+		const chipElement = document.createElement("label");
+		const inputElement = document.createElement("input");
+		const labelElement = document.createElement("span");
+		const countElement = document.createElement("span");
+
+		chipElement.className = "overlay__chip";
+
+		inputElement.className = "overlay__chip-input";
+		inputElement.type = "checkbox";
+		inputElement.name = attributeType;
+		inputElement.value = id;
 
-		optionElement.value = id;
-		optionElement.innerText = name;
-		bookAttributeFragment.appendChild(optionElement);
+		labelElement.className = "overlay__chip-label";
+		labelElement.innerText = name;
+
+		countElement.className = "overlay__chip-count";
+		countElement.setAttribute("data-count", "");
+		labelElement.appendChild(countElement);
+
+		chipElement.append(inputElement, labelElement);
+		bookAttributeFragment.appendChild(chipElement);
 	}
 	return bookAttributeFragment;
 };
 
-/* The below lines of code create genres and authors fragments which are then
-appended to the HTML DOM when the app loads. 
-*/
-book.search.genres.appendChild(createBookAttributeHTML(genres, "Genres"));
-book.search.authors.appendChild(createBookAttributeHTML(authors, "Authors"));
+// renderFacetCounts
+
+/**
+ * Displays the number of books each checkbox chip (created by
+ * {@link createBookAttributeHTML}) in the passed `container` would yield, and
+ * disables the chips that would not yield any books. Checked chips are never
+ * disabled, so that they can still be unchecked.
+ *
+ * @param {HTMLElement} container - The element holding the checkbox chips.
+ * @param {Map<string, number>} counts - The book count per genre or author ID.
+ * @returns {void}
+ */
+const renderFacetCounts = (container, counts) => {
+	container.querySelectorAll("label").forEach((chipElement) => {
+		const inputElement = chipElement.querySelector("input");
+		const countElement = getHTML({ dataAttr: "count", target: chipElement });
+
+		if (!(inputElement instanceof HTMLInputElement)) {
+			throw new Error(`${inputElement} is not an HTMLInputElement`);
+		}
+
+		const count = counts.get(inputElement.value) || 0;
+
+		countElement.textContent = String(count);
+		inputElement.disabled = count === 0 && !inputElement.checked;
+	});
+};
+
+// populateSearchForm
+
+/**
+ * Fills in the {@link book.search.form} with the passed `filters`, so that the
+ * form reflects the filters currently applied to the book list (e.g. after
+ * they were restored from the page's URL).
+ *
+ * @param {import("./book-filters.js").BookFilters} filters - The filters to display.
+ * @returns {void}
+ */
+const populateSearchForm = (filters) => {
+	const { form } = book.search;
+
+	if (!(form instanceof HTMLFormElement)) {
+		throw new Error(`${form} is not an HTMLFormElement`);
+	}
+
+	/** @type {Object<string, string[]>} */
+	const checkedValues = {
+		genre: filters.genres,
+		author: filters.authors,
+		genreMatch: [filters.genreMatch],
+		favorites: filters.favoritesOnly ? ["only"] : [],
+	};
+
+	/** @type {Object<string, number | string | null>} */
+	const values = {
+		title: filters.title,
+		sort: filters.sort,
+		rating: filters.ratingMin,
+		yearMin: filters.yearMin,
+		yearMax: filters.yearMax,
+		pagesMin: filters.pagesMin,
+		pagesMax: filters.pagesMax,
+	};
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const element of form.querySelectorAll("input, select")) {
+		const isInput = element instanceof HTMLInputElement;
+		const isSelect = element instanceof HTMLSelectElement;
+
+		if (isInput && element.name in checkedValues) {
+			element.checked = checkedValues[element.name].includes(element.value);
+		} else if (
+			(isInput || isSelect) &&
+			element.name in values &&
+			values[element.name] !== null
+		) {
+			element.value = String(values[element.name]);
+
+			// Lets the range filters update their displayed range.
+			element.dispatchEvent(new Event("input"));
+		}
+	}
+};
+
+// initRangeFilter
+
+/**
+ * Returns the lower and upper handle of the dual-handle range filter in the
+ * passed `container`.
+ *
+ * @param {HTMLElement} container - The element holding both range inputs.
+ * @returns {[HTMLInputElement, HTMLInputElement]}
+ */
+const getRangeInputs = (container) => {
+	const [lower, upper] = container.querySelectorAll("input");
 
-export { book, getHTML };
+	if (
+		!(lower instanceof HTMLInputElement) ||
+		!(upper instanceof HTMLInputElement)
+	) {
+		throw new Error(`${container} does not contain two HTMLInputElements`);
+	}
+
+	return [lower, upper];
+};
+
+/**
+ * Sets up a dual-handle range filter made of two range inputs (the lower and
+ * upper handle) inside the passed `container`. Whenever a handle is moved
+ * past the other one, the other handle is pushed along, so that the lower
+ * bound can never exceed the upper bound. The selected range is displayed in
+ * the passed `output` element. The handles' bounds are set once the catalog
+ * is loaded (see {@link setRangeFilterBounds}).
+ *
+ * @param {Object} props - The properties for the range filter.
+ * @param {HTMLElement} props.container - The element holding both range inputs.
+ * @param {HTMLElement} props.output - The element displaying the selected range.
+ * @returns {void}
+ */
+const initRangeFilter = (props) => {
+	const { container, output } = props;
+	const [lower, upper] = getRangeInputs(container);
+
+	const updateOutput = () => {
+		output.textContent = `${lower.value} – ${upper.value}`;
+	};
+
+	lower.addEventListener("input", () => {
+		if (Number(lower.value) > Number(upper.value)) upper.value = lower.value;
+		updateOutput();
+	});
+
+	upper.addEventListener("input", () => {
+		if (Number(upper.value) < Number(lower.value)) lower.value = upper.value;
+		updateOutput();
+	});
+
+	// The inputs are only reset after the `reset` event has been dispatched.
+	lower.form?.addEventListener("reset", () => setTimeout(updateOutput));
+
+	updateOutput();
+};
+
+/**
+ * Gives both handles of the range filter in the passed `container` (see
+ * {@link initRangeFilter}) the passed `bounds`, and moves them to either end
+ * of it. The range filter is disabled if the bounds are `null`, as no book
+ * has a value to filter by.
+ *
+ * @param {HTMLElement} container - The element holding both range inputs.
+ * @param {import("./book-filters.js").NumberRange} bounds - The lowest and highest selectable values.
+ * @returns {void}
+ */
+const setRangeFilterBounds = (container, bounds) => {
+	const [lower, upper] = getRangeInputs(container);
+	const isEmpty = bounds.min === null || bounds.max === null;
+
+	lower.disabled = isEmpty;
+	upper.disabled = isEmpty;
+	if (isEmpty) return;
+
+	[lower, upper].forEach((input) => {
+		input.setAttribute("min", String(bounds.min));
+		input.setAttribute("max", String(bounds.max));
+	});
+
+	lower.defaultValue = String(bounds.min);
+	upper.defaultValue = String(bounds.max);
+	lower.value = lower.defaultValue;
+	upper.value = upper.defaultValue;
+
+	// Lets the range filter update its displayed range.
+	lower.dispatchEvent(new Event("input"));
+};
+
+// renderSearchOptions
+
+/**
+ * Fills in the {@link book.search.form} with the options of the passed
+ * catalog: a checkbox chip for every genre and author, and range filters
+ * spanning the books' publication years and page counts. It is called
+ * whenever a catalog is loaded, replacing the options of the previous one.
+ *
+ * @param {import("./data-providers.js").CatalogData} catalogData
+ * @returns {void}
+ */
+const renderSearchOptions = ({ books, authors, genres }) => {
+	book.search.genres.replaceChildren(createBookAttributeHTML(genres, "genre"));
+	book.search.authors.replaceChildren(
+		createBookAttributeHTML(authors, "author")
+	);
+
+	const bookRanges = getBookRanges(books);
+
+	setRangeFilterBounds(book.search.year, bookRanges.year);
+	setRangeFilterBounds(book.search.pages, bookRanges.pages);
+};
+
+initRangeFilter({
+	container: book.search.year,
+	output: book.search.yearOutput,
+});
+
+initRangeFilter({
+	container: book.search.pages,
+	output: book.search.pagesOutput,
+});
+
+export {
+	book,
+	getHTML,
+	createBookAttributeHTML,
+	renderFacetCounts,
+	populateSearchForm,
+	renderSearchOptions,
+};
@@ -0,0 +1,27 @@
+// @ts-check
+
+/**
+ * Downloads the passed `content` as a file named `filename`, entirely on the
+ * client side, by clicking a temporary link to an object URL of the content.
+ *
+ * @param {string} filename - The name of the downloaded file.
+ * @param {string} content - The content of the file.
+ * @param {string} type - The MIME type of the file, e.g. `"application/json"`.
+ * @returns {void}
+ */
+const downloadFile = (filename, content, type) => {
+	const blob = new Blob([content], { type });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+
+	// Revoking the URL right away can cancel the download in some browsers.
+	setTimeout(() => URL.revokeObjectURL(url));
+};
+
+export default downloadFile;
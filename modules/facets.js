@@ -0,0 +1,74 @@
+// @ts-check
+
+import { matchesFilters } from "./book-filters.js";
+
+/**
+ * @typedef {import("./books-preview.js").BookItem} BookItem
+ * @typedef {import("./book-filters.js").BookFilters} BookFilters
+ */
+
+/**
+ * @typedef {object} FacetCounts - The number of books each genre and author option would yield.
+ * @property {Map<string, number>} genres - The book count per genre ID.
+ * @property {Map<string, number>} authors - The book count per author ID.
+ */
+
+/**
+ * Counts how many of the passed books have each of the values returned by
+ * `getValues`.
+ *
+ * @param {BookItem[]} booksSource - The books to count.
+ * @param {(singleBook: BookItem) => string[]} getValues - Returns the facet values of a book.
+ * @returns {Map<string, number>} The book count per facet value.
+ */
+const countValues = (booksSource, getValues) => {
+	/** @type {Map<string, number>} */
+	const counts = new Map();
+
+	booksSource.forEach((singleBook) => {
+		getValues(singleBook).forEach((value) => {
+			counts.set(value, (counts.get(value) || 0) + 1);
+		});
+	});
+
+	return counts;
+};
+
+/**
+ * Computes how many books each genre and author option of the search form
+ * would yield, given the other currently chosen `filters`.
+ *
+ * An author option's count is the number of books by that author matching
+ * every filter except the author selection, as checking an author adds their
+ * books to the result. The same goes for genre options when any of the
+ * selected genres may match. When all selected genres need to match, checking
+ * a genre narrows the result down instead, so its count is the number of
+ * currently matching books that also have that genre.
+ *
+ * @param {BookItem[]} booksSource - The books matching the free-text search
+ * query, or the whole library if no query was entered.
+ * @param {BookFilters} filters - The currently chosen filters.
+ * @returns {FacetCounts}
+ */
+const countFacets = (booksSource, filters) => {
+	const genreFilters =
+		filters.genreMatch === "all" ? filters : { ...filters, genres: [] };
+	const authorFilters = { ...filters, authors: [] };
+
+	return {
+		genres: countValues(
+			booksSource.filter((singleBook) =>
+				matchesFilters(singleBook, genreFilters)
+			),
+			(singleBook) => singleBook.genres
+		),
+		authors: countValues(
+			booksSource.filter((singleBook) =>
+				matchesFilters(singleBook, authorFilters)
+			),
+			(singleBook) => singleBook.authors
+		),
+	};
+};
+
+export default countFacets;
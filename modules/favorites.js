@@ -0,0 +1,59 @@
+// @ts-check
+
+import { readStorage, writeStorage, watchStorage } from "./storage.js";
+
+/**
+ * The `localStorage` key the IDs of the user's favorite books are stored
+ * under.
+ * @type {string}
+ */
+const FAVORITES_STORAGE_KEY = "favorites";
+
+/**
+ * Reads the stored favorite book IDs, ignoring anything that is not a list
+ * of IDs.
+ *
+ * @returns {Set<string>}
+ */
+const readFavorites = () => {
+	const stored = readStorage(FAVORITES_STORAGE_KEY, []);
+	if (!Array.isArray(stored)) return new Set();
+
+	return new Set(stored.filter((id) => typeof id === "string"));
+};
+
+/**
+ * The IDs of the user's favorite books.
+ * @type {Set<string>}
+ */
+let favorites = readFavorites();
+
+watchStorage(FAVORITES_STORAGE_KEY, () => {
+	favorites = readFavorites();
+});
+
+/**
+ * Checks whether the book with the passed `id` is one of the user's
+ * favorites.
+ *
+ * @param {string} id - The book ID.
+ * @returns {boolean}
+ */
+const isFavorite = (id) => favorites.has(id);
+
+/**
+ * Adds the book with the passed `id` to the user's favorites, or removes it
+ * when `favorite` is `false`, and stores the change.
+ *
+ * @param {string} id - The book ID.
+ * @param {boolean} favorite - Whether the book is a favorite.
+ * @returns {void}
+ */
+const setFavorite = (id, favorite) => {
+	if (favorite) favorites.add(id);
+	else favorites.delete(id);
+
+	writeStorage(FAVORITES_STORAGE_KEY, [...favorites]);
+};
+
+export { isFavorite, setFavorite };
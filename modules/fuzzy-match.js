@@ -0,0 +1,168 @@
+// @ts-check
+
+/**
+ * @typedef {object} FuzzyMatch - A candidate entry that closely resembles a query.
+ * @property {string} entry - The matched entry, as it was passed to the matcher.
+ * @property {number} distance - The number of single-character edits needed to turn the query into the entry.
+ */
+
+/**
+ * Calculates the optimal string alignment distance between `source` and
+ * `target`: the minimum number of insertions, deletions, substitutions and
+ * transpositions of adjacent characters needed to turn one string into the
+ * other. Transpositions are counted as a single edit, so "kanheman" is only
+ * `1` edit away from "kahneman".
+ *
+ * @param {string} source
+ * @param {string} target
+ * @returns {number} The edit distance between the two strings.
+ */
+const editDistance = (source, target) => {
+	if (source === target) return 0;
+	if (source.length === 0) return target.length;
+	if (target.length === 0) return source.length;
+
+	/** @type {number[][]} */
+	const distances = Array.from({ length: source.length + 1 }, (_, row) =>
+		Array.from({ length: target.length + 1 }, (__, column) =>
+			row === 0 ? column : row
+		)
+	);
+
+	for (let row = 1; row <= source.length; row += 1) {
+		for (let column = 1; column <= target.length; column += 1) {
+			const cost = source[row - 1] === target[column - 1] ? 0 : 1;
+
+			distances[row][column] = Math.min(
+				distances[row - 1][column] + 1,
+				distances[row][column - 1] + 1,
+				distances[row - 1][column - 1] + cost
+			);
+
+			if (
+				row > 1 &&
+				column > 1 &&
+				source[row - 1] === target[column - 2] &&
+				source[row - 2] === target[column - 1]
+			) {
+				distances[row][column] = Math.min(
+					distances[row][column],
+					distances[row - 2][column - 2] + 1
+				);
+			}
+		}
+	}
+
+	return distances[source.length][target.length];
+};
+
+/**
+ * Breaks the passed `text` into its set of three-character sequences
+ * (trigrams). The text is padded with spaces so that its first and last
+ * characters also form trigrams of their own.
+ *
+ * @param {string} text
+ * @returns {Set<string>} The unique trigrams of the text.
+ */
+const trigrams = (text) => {
+	const padded = `  ${text.toLowerCase()} `;
+	const result = new Set();
+
+	for (let index = 0; index < padded.length - 2; index += 1) {
+		result.add(padded.slice(index, index + 3));
+	}
+
+	return result;
+};
+
+/**
+ * The number of edits tolerated for a query of the passed `length`. Short
+ * queries only allow a single typo, as two edits would turn most short words
+ * into unrelated ones.
+ *
+ * @param {number} length - The length of the query.
+ * @returns {number}
+ */
+const getMaxDistance = (length) => {
+	if (length < 4) return 0;
+	if (length < 7) return 1;
+	return 2;
+};
+
+/**
+ * A class that finds the entries of a fixed list of strings that most closely
+ * resemble a (possibly misspelled) query. Entries sharing trigrams with the
+ * query are used as candidates, which are then confirmed by their edit
+ * distance to the query.
+ */
+class FuzzyMatcher {
+	/** @type {string[]} */
+	#entries;
+
+	/** @type {Map<string, number[]>} */
+	#trigramIndex = new Map();
+
+	/**
+	 * Creates an instance of the FuzzyMatcher class and indexes the trigrams
+	 * of the passed entries.
+	 *
+	 * @param {string[]} entries - The strings that queries are matched against.
+	 */
+	constructor(entries) {
+		this.#entries = [...new Set(entries)];
+
+		this.#entries.forEach((entry, index) => {
+			trigrams(entry).forEach((trigram) => {
+				if (!this.#trigramIndex.has(trigram)) {
+					this.#trigramIndex.set(trigram, []);
+				}
+				this.#trigramIndex.get(trigram).push(index);
+			});
+		});
+	}
+
+	/**
+	 * Finds the entries that are within the tolerated edit distance of the
+	 * passed `query`, closest first. Ties are broken in favor of the entry
+	 * sharing the most trigrams with the query.
+	 *
+	 * @param {string} query - The possibly misspelled query.
+	 * @param {number} [limit] - The maximum number of matches to return.
+	 * @returns {FuzzyMatch[]} The closest matching entries.
+	 */
+	findClosest(query, limit = 5) {
+		const normalizedQuery = query.toLowerCase();
+		const maxDistance = getMaxDistance(normalizedQuery.length);
+		if (maxDistance === 0) return [];
+
+		/** @type {Map<number, number>} */
+		const sharedTrigrams = new Map();
+
+		trigrams(normalizedQuery).forEach((trigram) => {
+			(this.#trigramIndex.get(trigram) || []).forEach((index) => {
+				sharedTrigrams.set(index, (sharedTrigrams.get(index) || 0) + 1);
+			});
+		});
+
+		return [...sharedTrigrams.entries()]
+			.filter(
+				([index]) =>
+					Math.abs(this.#entries[index].length - normalizedQuery.length) <=
+					maxDistance
+			)
+			.map(([index, shared]) => ({
+				entry: this.#entries[index],
+				distance: editDistance(
+					normalizedQuery,
+					this.#entries[index].toLowerCase()
+				),
+				shared,
+			}))
+			.filter(({ distance }) => distance <= maxDistance)
+			.sort((a, b) => a.distance - b.distance || b.shared - a.shared)
+			.slice(0, limit)
+			.map(({ entry, distance }) => ({ entry, distance }));
+	}
+}
+
+export { FuzzyMatcher, editDistance, trigrams };
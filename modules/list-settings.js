@@ -0,0 +1,157 @@
+// @ts-check
+
+import { readStorage, writeStorage } from "./storage.js";
+
+/**
+ * @typedef {"scroll" | "pages"} ListMode - How the book list is browsed: by
+ * loading more books while scrolling, or by jumping between numbered pages.
+ */
+
+/**
+ * @typedef {"grid" | "list" | "compact"} Layout - How every book is displayed
+ * in the book list: as a cover in a grid, as a card with its cover and details,
+ * or as a compact table-style row.
+ */
+
+/**
+ * The layouts the user can choose from in the settings, mapped to the name
+ * displayed to the user.
+ * @type {Object<Layout, string>}
+ */
+const LAYOUTS = {
+	grid: "Cover grid",
+	list: "Comfortable list",
+	compact: "Compact rows",
+};
+
+/**
+ * The page sizes the user can choose from in the settings.
+ * @type {number[]}
+ */
+const PAGE_SIZES = [12, 24, 36, 48, 96];
+
+/**
+ * The number of books on a page until the user chooses a different size.
+ * @type {number}
+ */
+const DEFAULT_PAGE_SIZE = 36;
+
+/**
+ * The `localStorage` key the chosen {@link ListMode} is stored under.
+ * @type {string}
+ */
+const LIST_MODE_STORAGE_KEY = "list-mode";
+
+/**
+ * The `localStorage` key the chosen page size is stored under.
+ * @type {string}
+ */
+const PAGE_SIZE_STORAGE_KEY = "page-size";
+
+/**
+ * The `localStorage` key the chosen {@link Layout} is stored under.
+ * @type {string}
+ */
+const LAYOUT_STORAGE_KEY = "layout";
+
+/**
+ * Checks whether `value` is a valid {@link ListMode}.
+ *
+ * @param {unknown} value
+ * @returns {value is ListMode}
+ */
+const isListMode = (value) => value === "scroll" || value === "pages";
+
+/**
+ * Returns the {@link ListMode} chosen by the user, defaulting to infinite
+ * scrolling.
+ *
+ * @returns {ListMode}
+ */
+const getListMode = () => {
+	const mode = readStorage(LIST_MODE_STORAGE_KEY, "scroll");
+	return isListMode(mode) ? mode : "scroll";
+};
+
+/**
+ * Stores the {@link ListMode} chosen by the user.
+ *
+ * @param {ListMode} mode
+ * @returns {void}
+ * @throws {Error} Throws an error if `mode` is not a valid list mode.
+ */
+const setListMode = (mode) => {
+	if (!isListMode(mode))
+		throw new Error(`${mode} is not a supported list mode`);
+	writeStorage(LIST_MODE_STORAGE_KEY, mode);
+};
+
+/**
+ * Returns the number of books per page chosen by the user.
+ *
+ * @returns {number}
+ */
+const getPageSize = () => {
+	const size = readStorage(PAGE_SIZE_STORAGE_KEY, DEFAULT_PAGE_SIZE);
+	return PAGE_SIZES.includes(size) ? size : DEFAULT_PAGE_SIZE;
+};
+
+/**
+ * Stores the number of books per page chosen by the user.
+ *
+ * @param {number} size - One of the {@link PAGE_SIZES}.
+ * @returns {void}
+ * @throws {Error} Throws an error if `size` is not one of the page sizes.
+ */
+const setPageSize = (size) => {
+	if (!PAGE_SIZES.includes(size)) {
+		throw new Error(`${size} is not a supported page size`);
+	}
+
+	writeStorage(PAGE_SIZE_STORAGE_KEY, size);
+};
+
+/**
+ * Checks whether `value` is one of the {@link LAYOUTS}.
+ *
+ * @param {unknown} value
+ * @returns {value is Layout}
+ */
+const isLayout = (value) =>
+	typeof value === "string" && Object.keys(LAYOUTS).includes(value);
+
+/**
+ * Returns the {@link Layout} chosen by the user, defaulting to the
+ * comfortable list.
+ *
+ * @returns {Layout}
+ */
+const getLayout = () => {
+	const layout = readStorage(LAYOUT_STORAGE_KEY, "list");
+	return isLayout(layout) ? layout : "list";
+};
+
+/**
+ * Stores the {@link Layout} chosen by the user.
+ *
+ * @param {Layout} layout
+ * @returns {void}
+ * @throws {Error} Throws an error if `layout` is not one of the layouts.
+ */
+const setLayout = (layout) => {
+	if (!isLayout(layout)) throw new Error(`${layout} is not a supported layout`);
+	writeStorage(LAYOUT_STORAGE_KEY, layout);
+};
+
+export {
+	LAYOUTS,
+	PAGE_SIZES,
+	isListMode,
+	getListMode,
+	setListMode,
+	getPageSize,
+	setPageSize,
+	isLayout,
+	getLayout,
+	setLayout,
+};
@@ -0,0 +1,55 @@
+// @ts-check
+
+import { book } from "./dom-manipulation.js";
+
+/**
+ * The error the service worker failed to register with, if it did. The app
+ * is then not cached, so it cannot be used without a network connection.
+ * @type {Error | null}
+ */
+let registrationError = null;
+
+/**
+ * Displays the {@link book.header.offline} indicator while the browser has no
+ * network connection, or while the app cannot be used offline because its
+ * service worker failed to register.
+ *
+ * @returns {void}
+ */
+const renderOfflineIndicator = () => {
+	const { offline } = book.header;
+
+	if (registrationError) {
+		offline.textContent = navigator.onLine ? "Offline unavailable" : "Offline";
+		offline.title = `The app could not be saved on this device for offline use: ${registrationError.message}`;
+	} else {
+		offline.textContent = "Offline";
+		offline.title = "Showing the books and covers saved on this device";
+	}
+
+	offline.hidden = navigator.onLine && !registrationError;
+};
+
+/**
+ * Registers the service worker in `sw.js`, which caches the app and the
+ * cover images so that the app keeps working without a network connection,
+ * and keeps the {@link book.header.offline} indicator up to date. Browsers
+ * without service worker support only get the indicator.
+ *
+ * @returns {void}
+ */
+const initOfflineSupport = () => {
+	renderOfflineIndicator();
+	window.addEventListener("online", renderOfflineIndicator);
+	window.addEventListener("offline", renderOfflineIndicator);
+
+	if (!("serviceWorker" in navigator)) return;
+
+	navigator.serviceWorker.register("./sw.js").catch((error) => {
+		registrationError =
+			error instanceof Error ? error : new Error(String(error));
+		renderOfflineIndicator();
+	});
+};
+
+export default initOfflineSupport;
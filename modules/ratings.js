@@ -0,0 +1,131 @@
+// @ts-check
+
+import { readStorage, writeStorage, watchStorage } from "./storage.js";
+
+/**
+ * The `localStorage` key the user's ratings are stored under, as an object
+ * mapping book IDs to a number of stars.
+ * @type {string}
+ */
+const RATINGS_STORAGE_KEY = "ratings";
+
+/**
+ * The `localStorage` key the user's private notes are stored under, as an
+ * object mapping book IDs to the note's text.
+ * @type {string}
+ */
+const NOTES_STORAGE_KEY = "notes";
+
+/**
+ * The highest number of stars a book can be rated with.
+ * @type {number}
+ */
+const MAX_RATING = 5;
+
+/**
+ * Checks whether `value` is a valid rating: a whole number of stars between
+ * `1` and {@link MAX_RATING}.
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isRating = (value) =>
+	Number.isInteger(value) && Number(value) >= 1 && Number(value) <= MAX_RATING;
+
+/**
+ * Reads the object stored under the passed `key`, keeping only the entries
+ * whose value passes the passed `isValid` check.
+ *
+ * @param {string} key - The storage key.
+ * @param {(value: unknown) => boolean} isValid
+ * @returns {Object<string, any>}
+ */
+const readEntries = (key, isValid) => {
+	const stored = readStorage(key, {});
+	if (typeof stored !== "object" || stored === null) return {};
+
+	return Object.fromEntries(
+		Object.entries(stored).filter(([, value]) => isValid(value))
+	);
+};
+
+/**
+ * Checks whether `value` is a valid note: a string.
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isNote = (value) => typeof value === "string";
+
+/**
+ * The user's ratings, keyed by book ID.
+ * @type {Object<string, number>}
+ */
+let ratings = readEntries(RATINGS_STORAGE_KEY, isRating);
+
+/**
+ * The user's private notes, keyed by book ID.
+ * @type {Object<string, string>}
+ */
+let notes = readEntries(NOTES_STORAGE_KEY, isNote);
+
+watchStorage(RATINGS_STORAGE_KEY, () => {
+	ratings = readEntries(RATINGS_STORAGE_KEY, isRating);
+});
+watchStorage(NOTES_STORAGE_KEY, () => {
+	notes = readEntries(NOTES_STORAGE_KEY, isNote);
+});
+
+/**
+ * Returns the user's rating of the book with the passed `id`.
+ *
+ * @param {string} id - The book ID.
+ * @returns {number | null} The number of stars, or `null` if the book was not
+ * rated.
+ */
+const getRating = (id) => ratings[id] || null;
+
+/**
+ * Rates the book with the passed `id`, or clears its rating when `rating` is
+ * `null`, and stores the change.
+ *
+ * @param {string} id - The book ID.
+ * @param {number | null} rating - The number of stars.
+ * @returns {void}
+ * @throws {Error} Throws an error if `rating` is not a valid number of stars.
+ */
+const setRating = (id, rating) => {
+	if (rating !== null && !isRating(rating)) {
+		throw new Error(`${rating} is not a rating between 1 and ${MAX_RATING}`);
+	}
+
+	if (rating === null) delete ratings[id];
+	else ratings[id] = rating;
+
+	writeStorage(RATINGS_STORAGE_KEY, ratings);
+};
+
+/**
+ * Returns the user's private notes on the book with the passed `id`.
+ *
+ * @param {string} id - The book ID.
+ * @returns {string} The notes, or an empty string if there are none.
+ */
+const getNotes = (id) => (Object.hasOwn(notes, id) ? notes[id] : "");
+
+/**
+ * Stores the user's private notes on the book with the passed `id`. Notes
+ * consisting of whitespace only are removed.
+ *
+ * @param {string} id - The book ID.
+ * @param {string} text - The text of the notes.
+ * @returns {void}
+ */
+const setNotes = (id, text) => {
+	if (text.trim() === "") delete notes[id];
+	else notes[id] = text;
+
+	writeStorage(NOTES_STORAGE_KEY, notes);
+};
+
+export { MAX_RATING, getRating, setRating, getNotes, setNotes };
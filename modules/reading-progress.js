@@ -0,0 +1,177 @@
+// @ts-check
+
+import { readStorage, writeStorage, watchStorage } from "./storage.js";
+
+/**
+ * @typedef {object} ProgressEntry - A page the user logged for a book.
+ * @property {number} page - The page the user was on.
+ * @property {string} loggedAt - When the page was logged, in the ISO Date format.
+ */
+
+/**
+ * The `localStorage` key the progress history of every book is stored under,
+ * as an object mapping book IDs to their {@link ProgressEntry} lists.
+ * @type {string}
+ */
+const PROGRESS_STORAGE_KEY = "reading-progress";
+
+/**
+ * The `localStorage` key the user's reading speed is stored under.
+ * @type {string}
+ */
+const READING_SPEED_STORAGE_KEY = "reading-speed";
+
+/**
+ * The reading speed, in pages per hour, assumed until the user sets their
+ * own.
+ * @type {number}
+ */
+const DEFAULT_READING_SPEED = 40;
+
+/**
+ * Checks whether `value` is a valid {@link ProgressEntry}.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isProgressEntry = (value) =>
+	typeof value === "object" &&
+	value !== null &&
+	Number.isInteger(value.page) &&
+	value.page >= 0 &&
+	typeof value.loggedAt === "string";
+
+/**
+ * Reads the stored progress history of every book, keyed by book ID.
+ *
+ * @returns {Object<string, ProgressEntry[]>}
+ */
+const readAllProgress = () => {
+	const stored = readStorage(PROGRESS_STORAGE_KEY, {});
+	return typeof stored === "object" && stored !== null ? stored : {};
+};
+
+/**
+ * The progress history of every book, keyed by book ID.
+ * @type {Object<string, ProgressEntry[]>}
+ */
+let allProgress = readAllProgress();
+
+watchStorage(PROGRESS_STORAGE_KEY, () => {
+	allProgress = readAllProgress();
+});
+
+/**
+ * Returns the pages logged for the book with the passed `id`, oldest first.
+ *
+ * @param {string} id - The book ID.
+ * @returns {ProgressEntry[]}
+ */
+const getProgressHistory = (id) => {
+	const history = Object.hasOwn(allProgress, id) ? allProgress[id] : null;
+	return Array.isArray(history) ? history.filter(isProgressEntry) : [];
+};
+
+/**
+ * Returns the page last logged for the book with the passed `id`.
+ *
+ * @param {string} id - The book ID.
+ * @returns {number | null} The page, or `null` if no page was logged yet.
+ */
+const getCurrentPage = (id) => {
+	const history = getProgressHistory(id);
+	return history.length > 0 ? history[history.length - 1].page : null;
+};
+
+/**
+ * Returns how far the user has read into the passed book, as a whole
+ * percentage.
+ *
+ * @param {import("./books-preview.js").BookItem} singleBook
+ * @returns {number | null} The percentage, or `null` if no page was logged
+ * for the book yet.
+ */
+const getProgressPercentage = (singleBook) => {
+	const currentPage = getCurrentPage(singleBook.id);
+	if (currentPage === null || singleBook.pages <= 0) return null;
+
+	return Math.min(100, Math.round((currentPage / singleBook.pages) * 100));
+};
+
+/**
+ * Logs the page the user is on for the passed book, adding it to the book's
+ * progress history.
+ *
+ * @param {import("./books-preview.js").BookItem} singleBook - The book read.
+ * @param {number} page - The page the user is on.
+ * @returns {ProgressEntry} The logged entry.
+ * @throws {Error} Throws an error if `page` is not a whole number between `0`
+ * and the book's number of pages.
+ */
+const logProgress = (singleBook, page) => {
+	if (!Number.isInteger(page) || page < 0 || page > singleBook.pages) {
+		throw new Error(
+			`${page} is not a page between 0 and ${singleBook.pages} of "${singleBook.title}"`
+		);
+	}
+
+	const entry = { page, loggedAt: new Date().toISOString() };
+
+	allProgress[singleBook.id] = [...getProgressHistory(singleBook.id), entry];
+	writeStorage(PROGRESS_STORAGE_KEY, allProgress);
+
+	return entry;
+};
+
+/**
+ * Returns the user's reading speed, in pages per hour.
+ *
+ * @returns {number}
+ */
+const getReadingSpeed = () => {
+	const speed = readStorage(READING_SPEED_STORAGE_KEY, DEFAULT_READING_SPEED);
+	return typeof speed === "number" && speed > 0 ? speed : DEFAULT_READING_SPEED;
+};
+
+/**
+ * Stores the user's reading speed, used to estimate the time needed to finish
+ * a book.
+ *
+ * @param {number} speed - The reading speed, in pages per hour.
+ * @returns {void}
+ * @throws {Error} Throws an error if `speed` is not a positive number.
+ */
+const setReadingSpeed = (speed) => {
+	if (!Number.isFinite(speed) || speed <= 0) {
+		throw new Error(`${speed} is not a valid reading speed`);
+	}
+
+	writeStorage(READING_SPEED_STORAGE_KEY, speed);
+};
+
+/**
+ * Formats the estimated time needed to read the passed number of pages at
+ * the passed reading speed, e.g. `"2 h 15 min"`.
+ *
+ * @param {number} pagesLeft - The number of pages left to read.
+ * @param {number} speed - The reading speed, in pages per hour.
+ * @returns {string}
+ */
+const formatTimeRemaining = (pagesLeft, speed) => {
+	const minutes = Math.ceil((pagesLeft / speed) * 60);
+	const hours = Math.floor(minutes / 60);
+
+	if (hours === 0) return `${minutes} min`;
+	if (minutes % 60 === 0) return `${hours} h`;
+	return `${hours} h ${minutes % 60} min`;
+};
+
+export {
+	getProgressHistory,
+	getCurrentPage,
+	getProgressPercentage,
+	logProgress,
+	getReadingSpeed,
+	setReadingSpeed,
+	formatTimeRemaining,
+};
@@ -0,0 +1,186 @@
+// @ts-check
+
+/**
+ * @typedef {object} Route - A path pattern and the handler to call when the URL hash matches it.
+ * @property {RegExp} pattern - The compiled path pattern.
+ * @property {string[]} paramNames - The names of the pattern's `:param` segments, in order.
+ * @property {(params: Object<string, string>) => void} handler - Called with the values of the `:param` segments.
+ */
+
+/**
+ * Compiles a path pattern such as `"/book/:id"` into a regular expression
+ * matching the whole path, with a capture group for every `:param` segment.
+ *
+ * @param {string} path - The path pattern to compile.
+ * @returns {{ pattern: RegExp, paramNames: string[] }}
+ */
+const compilePath = (path) => {
+	/** @type {string[]} */
+	const paramNames = [];
+
+	const source = path
+		.split("/")
+		.map((segment) => {
+			if (!segment.startsWith(":")) {
+				return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+			}
+
+			paramNames.push(segment.slice(1));
+			return "([^/]+)";
+		})
+		.join("/");
+
+	return { pattern: new RegExp(`^${source}$`), paramNames };
+};
+
+/**
+ * Decodes a `:param` segment of the URL hash. A malformed segment (e.g.
+ * `%E0`) is passed on as it is, so that the route's handler reports it like
+ * any other unknown value rather than the hash change throwing.
+ *
+ * @param {string} segment
+ * @returns {string}
+ */
+const decodeSegment = (segment) => {
+	try {
+		return decodeURIComponent(segment);
+	} catch (error) {
+		if (error instanceof URIError) return segment;
+		throw error;
+	}
+};
+
+/**
+ * A class that creates a Router object, which maps the path in the page's URL
+ * hash (e.g. `#/book/<id>`) to handlers. The hash is used instead of the
+ * path itself so that routes keep working on static hosting, and do not
+ * interfere with the filters stored in the URL's query string.
+ */
+class Router {
+	/** @type {Route[]} */
+	#routes = [];
+
+	/** @type {((path: string) => void) | null} */
+	#fallback = null;
+
+	/**
+	 * The hash {@link navigate} last added a history entry for, on top of an
+	 * entry without a hash, or `null` if it has not navigated from one yet.
+	 * @type {string | null}
+	 */
+	#pushedHash = null;
+
+	/**
+	 * Resolves the current URL hash to the first matching route, and calls
+	 * its handler. The fallback handler is called if no route matches, which
+	 * includes an empty hash.
+	 *
+	 * @returns {void}
+	 */
+	#resolve = () => {
+		const path = window.location.hash.replace(/^#/, "");
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const { pattern, paramNames, handler } of this.#routes) {
+			const match = path.match(pattern);
+
+			if (match) {
+				/** @type {Object<string, string>} */
+				const params = {};
+
+				paramNames.forEach((name, index) => {
+					params[name] = decodeSegment(match[index + 1]);
+				});
+
+				handler(params);
+				return;
+			}
+		}
+
+		if (this.#fallback) this.#fallback(path);
+	};
+
+	/**
+	 * Registers a handler for the passed path pattern. Segments starting with
+	 * a colon (e.g. `:id`) match any value, which is passed to the handler.
+	 *
+	 * @param {string} path - The path pattern, e.g. `"/book/:id"`.
+	 * @param {(params: Object<string, string>) => void} handler - Called when
+	 * the URL hash matches the path.
+	 * @returns {Router} The router itself, to allow chaining.
+	 */
+	addRoute(path, handler) {
+		this.#routes.push({ ...compilePath(path), handler });
+		return this;
+	}
+
+	/**
+	 * Registers the handler called when the URL hash matches none of the
+	 * routes, including when the hash is empty.
+	 *
+	 * @param {(path: string) => void} handler - Called with the unmatched path.
+	 * @returns {Router} The router itself, to allow chaining.
+	 */
+	setFallback(handler) {
+		this.#fallback = handler;
+		return this;
+	}
+
+	/**
+	 * Navigates to the passed path by updating the URL hash, which adds a new
+	 * browser history entry and resolves the matching route.
+	 *
+	 * @param {string} path - The path to navigate to, e.g. `"/book/<id>"`.
+	 * @returns {void}
+	 */
+	navigate(path) {
+		const hadHash = window.location.hash !== "";
+
+		window.location.hash = path;
+		this.#pushedHash = hadHash ? null : window.location.hash;
+	}
+
+	/**
+	 * Removes the hash from the page's URL, keeping its path and query string.
+	 * If the hash was added by {@link navigate}, the app goes back to the
+	 * history entry before it, so that the history does not hold the same page
+	 * twice. Otherwise, e.g. for a deep link opened in a new tab, the current
+	 * history entry is replaced, so that going back does not reopen the
+	 * dialog. The fallback handler is called when going back, which the caller
+	 * has already reflected in the app (e.g. by closing a dialog).
+	 *
+	 * @returns {void}
+	 */
+	clear() {
+		if (window.location.hash === "") return;
+
+		if (window.location.hash === this.#pushedHash) {
+			this.#pushedHash = null;
+			window.history.back();
+			return;
+		}
+
+		const { pathname, search } = window.location;
+		window.history.replaceState(null, "", `${pathname}${search}`);
+	}
+
+	/**
+	 * Starts listening to URL hash changes, and resolves the current hash so
+	 * that a deep link opened in a new tab is handled when the app loads.
+	 *
+	 * @returns {void}
+	 */
+	start() {
+		window.addEventListener("hashchange", this.#resolve);
+		this.#resolve();
+	}
+}
+
+/**
+ * The app's router. Routes are registered by the app's script before the
+ * router is started.
+ */
+const router = new Router();
+
+export { Router };
+export default router;
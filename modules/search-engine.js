@@ -0,0 +1,399 @@
+// @ts-check
+
+import { FuzzyMatcher } from "./fuzzy-match.js";
+
+/**
+ * @typedef {import("./books-preview.js").BookItem} BookItem
+ */
+
+/**
+ * @typedef {"title" | "author" | "genres" | "description"} SearchField
+ */
+
+/**
+ * The relative importance of each indexed book field when scoring a match. A
+ * query term found in a title counts three times as much as the same term
+ * found in a description.
+ * @type {Object<SearchField, number>}
+ */
+const FIELD_WEIGHTS = {
+	title: 3,
+	author: 2.5,
+	genres: 1.5,
+	description: 1,
+};
+
+/**
+ * BM25 term frequency saturation parameter.
+ * @type {number}
+ */
+const BM25_K1 = 1.2;
+
+/**
+ * BM25 field length normalization parameter.
+ * @type {number}
+ */
+const BM25_B = 0.75;
+
+/**
+ * The weight multiplier applied to a term that only matched a query term by
+ * its prefix (e.g. "freak" matching "freakonomics").
+ * @type {number}
+ */
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+/**
+ * Common English words that carry no meaning on their own and are ignored when
+ * indexing and searching.
+ * @type {Set<string>}
+ */
+const STOP_WORDS = new Set([
+	"a",
+	"an",
+	"and",
+	"are",
+	"as",
+	"at",
+	"be",
+	"by",
+	"for",
+	"from",
+	"has",
+	"he",
+	"in",
+	"is",
+	"it",
+	"its",
+	"of",
+	"on",
+	"or",
+	"that",
+	"the",
+	"to",
+	"was",
+	"were",
+	"will",
+	"with",
+]);
+
+/**
+ * Splits the passed `text` into lowercase, accent-free word tokens. Stop words
+ * and single letters are dropped, as they would otherwise match nearly every
+ * book in the library.
+ *
+ * @param {string} text - The text to tokenize.
+ * @returns {string[]} The tokens found in the text, in order of appearance.
+ */
+const tokenize = (text) =>
+	text
+		.toLowerCase()
+		.normalize("NFD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.split(/[^a-z0-9]+/)
+		.filter(
+			(token) =>
+				(token.length > 1 || /\d/.test(token)) && !STOP_WORDS.has(token)
+		);
+
+/**
+ * A class that builds an inverted index over a library of books and ranks the
+ * books matching a free-text query using a field-weighted BM25 (BM25F) score.
+ */
+class SearchEngine {
+	/** @type {BookItem[]} */
+	#booksSource;
+
+	/**
+	 * Maps every indexed term to the books containing it, and to how many
+	 * times the term appears in each of the book's fields.
+	 *
+	 * @type {Map<string, Map<number, Object<SearchField, number>>>}
+	 */
+	#postings = new Map();
+
+	/**
+	 * The token count of each field, per book, in the same order as
+	 * `booksSource`.
+	 *
+	 * @type {Array<Object<SearchField, number>>}
+	 */
+	#fieldLengths = [];
+
+	/** @type {Object<SearchField, number>} */
+	#averageFieldLengths = { title: 0, author: 0, genres: 0, description: 0 };
+
+	/**
+	 * All indexed terms in alphabetical order, used for prefix lookups.
+	 * @type {string[]}
+	 */
+	#vocabulary = [];
+
+	/**
+	 * The terms found in book titles and author names, mapped to the way they
+	 * are written in the source (e.g. `"kahneman"` to `"Kahneman"`).
+	 *
+	 * @type {Map<string, string>}
+	 */
+	#nameTerms = new Map();
+
+	/**
+	 * Matches misspelled query tokens against the {@link #nameTerms}.
+	 * @type {FuzzyMatcher}
+	 */
+	#fuzzyMatcher;
+
+	/**
+	 * Creates an instance of the SearchEngine class and indexes the passed
+	 * books source.
+	 *
+	 * @param {Object} props - The properties for the SearchEngine instance.
+	 * @param {BookItem[]} props.booksSource - The library/source of books to index.
+	 * @param {Object<string, string>} props.authorsSource - The authors source database.
+	 * @param {Object<string, string>} props.genresSource - The genres source database.
+	 */
+	constructor(props) {
+		this.#booksSource = props.booksSource;
+
+		const totals = { title: 0, author: 0, genres: 0, description: 0 };
+
+		this.#booksSource.forEach((singleBook, index) => {
+			/** @type {Object<SearchField, string>} */
+			const fields = {
+				title: singleBook.title,
+				author: singleBook.authors
+					.map((authorId) => props.authorsSource[authorId] || "")
+					.join(" "),
+				genres: singleBook.genres
+					.map((genreId) => props.genresSource[genreId] || "")
+					.join(" "),
+				description: singleBook.description,
+			};
+
+			const lengths = { title: 0, author: 0, genres: 0, description: 0 };
+
+			Object.entries(fields).forEach(([field, text]) => {
+				const tokens = tokenize(text);
+				lengths[field] = tokens.length;
+				totals[field] += tokens.length;
+
+				tokens.forEach((token) => this.#addPosting(token, index, field));
+
+				if (field === "title" || field === "author") this.#addNameTerms(text);
+			});
+
+			this.#fieldLengths.push(lengths);
+		});
+
+		const bookCount = Math.max(1, this.#booksSource.length);
+
+		Object.keys(totals).forEach((field) => {
+			this.#averageFieldLengths[field] = totals[field] / bookCount || 1;
+		});
+
+		this.#vocabulary = [...this.#postings.keys()].sort();
+		this.#fuzzyMatcher = new FuzzyMatcher([...this.#nameTerms.keys()]);
+	}
+
+	/**
+	 * Records how each word of a title or author name is written, so that
+	 * corrected query tokens can be suggested back to the user as they appear
+	 * in the library rather than in their lowercase, tokenized form.
+	 *
+	 * @param {string} text - A book title or author name.
+	 * @returns {void}
+	 */
+	#addNameTerms(text) {
+		text.split(/\s+/).forEach((word) => {
+			const tokens = tokenize(word);
+			if (tokens.length !== 1 || this.#nameTerms.has(tokens[0])) return;
+
+			this.#nameTerms.set(tokens[0], word.replace(/^\W+|\W+$|['’]s$/g, ""));
+		});
+	}
+
+	/**
+	 * Increments the frequency of `term` in the given `field` of the book at
+	 * `bookIndex`.
+	 *
+	 * @param {string} term
+	 * @param {number} bookIndex
+	 * @param {string} field
+	 * @returns {void}
+	 */
+	#addPosting(term, bookIndex, field) {
+		if (!this.#postings.has(term)) this.#postings.set(term, new Map());
+
+		const termPostings = this.#postings.get(term);
+		const frequencies = termPostings.get(bookIndex) || {};
+
+		frequencies[field] = (frequencies[field] || 0) + 1;
+		termPostings.set(bookIndex, frequencies);
+	}
+
+	/**
+	 * Finds the indexed terms that a single query token should match: the
+	 * token itself when it has been indexed, as well as any longer terms that
+	 * start with it. Prefix-only matches receive a reduced weight.
+	 *
+	 * @param {string} token - A single query token.
+	 * @returns {Map<string, number>} The matching terms and their weights.
+	 */
+	#expandToken(token) {
+		const expansions = new Map();
+
+		if (this.#postings.has(token)) expansions.set(token, 1);
+		if (token.length < 3) return expansions;
+
+		let low = 0;
+		let high = this.#vocabulary.length;
+
+		while (low < high) {
+			const middle = Math.floor((low + high) / 2);
+			if (this.#vocabulary[middle] < token) low = middle + 1;
+			else high = middle;
+		}
+
+		for (
+			let index = low;
+			index < this.#vocabulary.length &&
+			this.#vocabulary[index].startsWith(token);
+			index += 1
+		) {
+			const term = this.#vocabulary[index];
+			if (term !== token) expansions.set(term, PREFIX_MATCH_WEIGHT);
+		}
+
+		return expansions;
+	}
+
+	/**
+	 * Calculates the BM25F contribution of a single `term` to each of the
+	 * books that contain it.
+	 *
+	 * @param {string} term - An indexed term.
+	 * @returns {Map<number, number>} The score of the term per book index.
+	 */
+	#scoreTerm(term) {
+		const termPostings = this.#postings.get(term) || new Map();
+		const bookCount = this.#booksSource.length;
+		const idf = Math.log(
+			1 + (bookCount - termPostings.size + 0.5) / (termPostings.size + 0.5)
+		);
+		const scores = new Map();
+
+		termPostings.forEach((frequencies, bookIndex) => {
+			const weightedFrequency = Object.entries(frequencies).reduce(
+				(sum, [field, frequency]) => {
+					const lengthRatio =
+						this.#fieldLengths[bookIndex][field] /
+						this.#averageFieldLengths[field];
+					const normalization = 1 - BM25_B + BM25_B * lengthRatio;
+
+					return sum + (FIELD_WEIGHTS[field] * frequency) / normalization;
+				},
+				0
+			);
+
+			scores.set(
+				bookIndex,
+				(idf * weightedFrequency) / (BM25_K1 + weightedFrequency)
+			);
+		});
+
+		return scores;
+	}
+
+	/**
+	 * Scores every book matching a single query `token`, either exactly or
+	 * by prefix. When a book matches several expansions of the token, only
+	 * its best score is kept.
+	 *
+	 * @param {string} token - A single query token.
+	 * @returns {Map<number, number>} The score of the token per book index.
+	 */
+	#scoreToken(token) {
+		/** @type {Map<number, number>} */
+		const tokenScores = new Map();
+
+		this.#expandToken(token).forEach((weight, term) => {
+			this.#scoreTerm(term).forEach((score, bookIndex) => {
+				const best = tokenScores.get(bookIndex) || 0;
+				tokenScores.set(bookIndex, Math.max(best, score * weight));
+			});
+		});
+
+		return tokenScores;
+	}
+
+	/**
+	 * Searches the indexed books for the passed free-text `query`. Only books
+	 * matching every query token (in any of their title, author, genres or
+	 * description) are returned, ordered from most to least relevant.
+	 *
+	 * @param {string} query - The free-text query entered by the user.
+	 * @returns {BookItem[]} The matching books, ranked by relevance.
+	 */
+	search(query) {
+		const tokens = [...new Set(tokenize(query))];
+		if (tokens.length === 0) return [];
+
+		const [firstScores, ...otherScores] = tokens.map((token) =>
+			this.#scoreToken(token)
+		);
+
+		const totals = otherScores.reduce((previousTotals, tokenScores) => {
+			/** @type {Map<number, number>} */
+			const combined = new Map();
+
+			tokenScores.forEach((score, bookIndex) => {
+				if (previousTotals.has(bookIndex)) {
+					combined.set(bookIndex, previousTotals.get(bookIndex) + score);
+				}
+			});
+
+			return combined;
+		}, firstScores);
+
+		return [...totals.entries()]
+			.sort(([, scoreA], [, scoreB]) => scoreB - scoreA)
+			.map(([bookIndex]) => this.#booksSource[bookIndex]);
+	}
+
+	/**
+	 * Suggests a corrected version of a `query` that may contain typos. Every
+	 * word of the query that does not match any indexed term is replaced by
+	 * the closest word found in a book title or author name (e.g. "Kanheman"
+	 * becomes "Kahneman"). A suggestion is only returned if it differs from
+	 * the query and actually yields search results.
+	 *
+	 * @param {string} query - The free-text query entered by the user.
+	 * @returns {string | null} The corrected query, or `null` if no better
+	 * query could be found.
+	 */
+	suggest(query) {
+		let corrected = false;
+
+		const words = query
+			.trim()
+			.split(/\s+/)
+			.map((word) => {
+				const tokens = tokenize(word);
+				if (tokens.length !== 1 || this.#expandToken(tokens[0]).size > 0) {
+					return word;
+				}
+
+				const [closest] = this.#fuzzyMatcher.findClosest(tokens[0], 1);
+				if (!closest) return word;
+
+				corrected = true;
+				return this.#nameTerms.get(closest.entry) || closest.entry;
+			});
+
+		if (!corrected) return null;
+
+		const suggestion = words.join(" ");
+		return this.search(suggestion).length > 0 ? suggestion : null;
+	}
+}
+
+export { SearchEngine, tokenize };
@@ -0,0 +1,128 @@
+// @ts-check
+
+import { readStorage, writeStorage, watchStorage } from "./storage.js";
+
+/**
+ * @typedef {import("./books-preview.js").BookItem} BookItem
+ */
+
+/**
+ * The shelves a book can be placed on, mapped to the name displayed to the
+ * user. A book can only be on one shelf at a time, as the shelves track the
+ * user's progress through it.
+ * @type {Object<string, string>}
+ */
+const SHELVES = {
+	"want-to-read": "Want to read",
+	reading: "Reading",
+	finished: "Finished",
+};
+
+/**
+ * The `localStorage` key the shelf of every shelved book is stored under, as
+ * an object mapping book IDs to shelf IDs.
+ * @type {string}
+ */
+const SHELVES_STORAGE_KEY = "shelves";
+
+/**
+ * Checks whether `value` is the ID of one of the {@link SHELVES}.
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isShelf = (value) =>
+	typeof value === "string" && Object.keys(SHELVES).includes(value);
+
+/**
+ * Reads the stored shelf of every shelved book, keyed by book ID. Entries
+ * with an unknown shelf ID (e.g. edited by hand) are left out.
+ *
+ * @returns {Object<string, string>}
+ */
+const readShelvedBooks = () => {
+	const stored = readStorage(SHELVES_STORAGE_KEY, {});
+	if (typeof stored !== "object" || stored === null) return {};
+
+	/** @type {Object<string, string>} */
+	const validEntries = {};
+
+	Object.entries(stored).forEach(([id, shelf]) => {
+		if (isShelf(shelf)) validEntries[id] = shelf;
+	});
+
+	return validEntries;
+};
+
+/**
+ * The shelf of every shelved book, keyed by book ID.
+ * @type {Object<string, string>}
+ */
+let shelvedBooks = readShelvedBooks();
+
+watchStorage(SHELVES_STORAGE_KEY, () => {
+	shelvedBooks = readShelvedBooks();
+});
+
+/**
+ * Returns the ID of the shelf the book with the passed `id` is on.
+ *
+ * @param {string} id - The book ID.
+ * @returns {string | null} The shelf ID, or `null` if the book is not shelved.
+ */
+const getShelf = (id) => shelvedBooks[id] || null;
+
+/**
+ * Moves the book with the passed `id` to the passed `shelf`, taking it off
+ * any shelf it was on before. Passing `null` removes the book from its shelf.
+ *
+ * @param {string} id - The book ID.
+ * @param {string | null} shelf - The ID of the shelf to move the book to.
+ * @returns {void}
+ * @throws {Error} Throws an error if `shelf` is not one of the {@link SHELVES}.
+ */
+const setShelf = (id, shelf) => {
+	if (shelf !== null && !isShelf(shelf)) {
+		throw new Error(`${shelf} is not a supported shelf`);
+	}
+
+	if (shelf === null) delete shelvedBooks[id];
+	else shelvedBooks[id] = shelf;
+
+	writeStorage(SHELVES_STORAGE_KEY, shelvedBooks);
+};
+
+/**
+ * Returns the books of the passed `booksSource` that are on the passed
+ * `shelf`, keeping their original order.
+ *
+ * @param {BookItem[]} booksSource - The books to filter.
+ * @param {string} shelf - The shelf ID.
+ * @returns {BookItem[]}
+ */
+const filterByShelf = (booksSource, shelf) =>
+	booksSource.filter((singleBook) => shelvedBooks[singleBook.id] === shelf);
+
+/**
+ * Counts how many of the passed books are on each of the {@link SHELVES}.
+ *
+ * @param {BookItem[]} booksSource - The books to count, so that shelved books
+ * that no longer exist in the catalog are not counted.
+ * @returns {Object<string, number>} The book count per shelf ID.
+ */
+const countShelves = (booksSource) => {
+	/** @type {Object<string, number>} */
+	const counts = {};
+	Object.keys(SHELVES).forEach((shelf) => {
+		counts[shelf] = 0;
+	});
+
+	booksSource.forEach((singleBook) => {
+		const shelf = shelvedBooks[singleBook.id];
+		if (shelf) counts[shelf] += 1;
+	});
+
+	return counts;
+};
+
+export { SHELVES, isShelf, getShelf, setShelf, filterByShelf, countShelves };
@@ -0,0 +1,72 @@
+// @ts-check
+
+/**
+ * The prefix added to every key the app stores in `localStorage`, to avoid
+ * collisions with other apps served from the same origin.
+ * @type {string}
+ */
+const STORAGE_PREFIX = "book-connect:";
+
+/**
+ * Reads and parses the JSON value stored under the passed `key` in
+ * `localStorage`. The `fallback` is returned if nothing has been stored yet,
+ * if the stored value is not valid JSON, or if storage is unavailable (e.g.
+ * in some private browsing modes).
+ *
+ * @template T
+ * @param {string} key - The key the value was stored under, without the prefix.
+ * @param {T} fallback - The value to return if no valid value was stored.
+ * @returns {T}
+ */
+const readStorage = (key, fallback) => {
+	try {
+		const value = window.localStorage.getItem(`${STORAGE_PREFIX}${key}`);
+		return value === null ? fallback : JSON.parse(value);
+	} catch (error) {
+		return fallback;
+	}
+};
+
+/**
+ * Stores the passed `value` as JSON under the passed `key` in `localStorage`.
+ * Failing to store the value (e.g. when the storage quota is exceeded) does
+ * not interrupt the app, as the value is still applied for the current
+ * session. Callers whose data would be lost on reload report the failure to
+ * the user.
+ *
+ * @param {string} key - The key to store the value under, without the prefix.
+ * @param {unknown} value - The value to store. It must be JSON serializable.
+ * @returns {boolean} Whether the value was stored.
+ */
+const writeStorage = (key, value) => {
+	try {
+		window.localStorage.setItem(
+			`${STORAGE_PREFIX}${key}`,
+			JSON.stringify(value)
+		);
+		return true;
+	} catch (error) {
+		return false;
+	}
+};
+
+/**
+ * Calls the passed `callback` whenever the value stored under the passed
+ * `key` is changed or cleared in another tab of the app. Modules that keep a
+ * stored value in memory, as it is looked up for every displayed book,
+ * re-read it from the callback, so that their next write does not overwrite
+ * the other tab's change.
+ *
+ * @param {string} key - The key the value is stored under, without the prefix.
+ * @param {() => void} callback
+ * @returns {void}
+ */
+const watchStorage = (key, callback) => {
+	window.addEventListener("storage", (event) => {
+		if (event.key === null || event.key === `${STORAGE_PREFIX}${key}`) {
+			callback();
+		}
+	});
+};
+
+export { STORAGE_PREFIX, readStorage, writeStorage, watchStorage };
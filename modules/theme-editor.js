@@ -0,0 +1,262 @@
+// @ts-check
+
+import { book } from "./dom-manipulation.js";
+import downloadFile from "./download.js";
+import {
+	THEME_VARIABLES,
+	rgbToHex,
+	hexToRgb,
+	getThemes,
+	getTheme,
+	getStoredTheme,
+	saveCustomTheme,
+	deleteCustomTheme,
+	serializeTheme,
+	parseThemeFile,
+} from "./theme.js";
+
+const { theme: themeSelect, themeEditor } = book.settings;
+
+/**
+ * The color inputs of the theme editor, keyed by the CSS variable they edit.
+ * @type {Object<string, HTMLInputElement>}
+ */
+const colorInputs = {};
+
+/**
+ * Returns the {@link book.settings.theme} select element.
+ *
+ * @returns {HTMLSelectElement}
+ */
+const getThemeSelect = () => {
+	if (!(themeSelect instanceof HTMLSelectElement)) {
+		throw new Error(`${themeSelect} is not an HTMLSelectElement`);
+	}
+	return themeSelect;
+};
+
+/**
+ * Returns the theme editor's name input element.
+ *
+ * @returns {HTMLInputElement}
+ */
+const getNameInput = () => {
+	if (!(themeEditor.name instanceof HTMLInputElement)) {
+		throw new Error(`${themeEditor.name} is not an HTMLInputElement`);
+	}
+	return themeEditor.name;
+};
+
+/**
+ * Displays the passed `message` below the theme editor's buttons.
+ *
+ * @param {string} message
+ * @returns {void}
+ */
+const showStatus = (message) => {
+	themeEditor.status.textContent = message;
+};
+
+/**
+ * Regenerates the options of the theme select: the `auto` theme, followed by
+ * the built-in themes and the user's custom themes, and selects the theme
+ * with the passed `selectedId`.
+ *
+ * @param {string} selectedId - The ID of the theme to select.
+ * @returns {void}
+ */
+const renderThemeOptions = (selectedId) => {
+	const select = getThemeSelect();
+	const autoOption = new Option("Auto (system)", "auto");
+	const builtInGroup = document.createElement("optgroup");
+	const customGroup = document.createElement("optgroup");
+
+	builtInGroup.label = "Built-in";
+	customGroup.label = "Custom";
+
+	getThemes().forEach((theme) => {
+		const group = theme.builtIn ? builtInGroup : customGroup;
+		group.appendChild(new Option(theme.name, theme.id));
+	});
+
+	select.replaceChildren(autoOption, builtInGroup);
+	if (customGroup.children.length > 0) select.appendChild(customGroup);
+
+	select.value = selectedId;
+};
+
+/**
+ * Loads the theme currently chosen in the theme select into the theme editor.
+ * The `auto` theme loads the `day` theme's colors. Only custom themes can be
+ * updated or deleted, so those buttons are disabled for the other themes.
+ *
+ * @returns {void}
+ */
+const loadSelectedTheme = () => {
+	const { value } = getThemeSelect();
+	const theme = getTheme(value === "auto" ? "day" : value);
+	if (!theme) return;
+
+	const isCustom = !theme.builtIn;
+
+	getNameInput().value = isCustom ? theme.name : `${theme.name} (copy)`;
+
+	Object.keys(colorInputs).forEach((variable) => {
+		colorInputs[variable].value = rgbToHex(theme.colors[variable]);
+	});
+
+	[themeEditor.update, themeEditor.delete].forEach((button) => {
+		button.toggleAttribute("disabled", !isCustom);
+	});
+
+	showStatus("");
+};
+
+/**
+ * Reads the theme currently entered in the theme editor.
+ *
+ * @returns {{ name: string, colors: Object<string, string> }}
+ */
+const readEditorTheme = () => {
+	/** @type {Object<string, string>} */
+	const colors = {};
+
+	Object.entries(colorInputs).forEach(([variable, input]) => {
+		colors[variable] = hexToRgb(input.value);
+	});
+
+	return { name: getNameInput().value, colors };
+};
+
+/**
+ * Saves the theme entered in the theme editor, either as a new custom theme,
+ * or over the selected custom theme when `update` is `true`. The saved theme
+ * is selected, so that it is applied when the settings form is submitted.
+ *
+ * @param {boolean} update - Whether to update the selected custom theme.
+ * @returns {void}
+ */
+const handleSaveTheme = (update) => {
+	try {
+		const savedTheme = saveCustomTheme({
+			...readEditorTheme(),
+			id: update ? getThemeSelect().value : undefined,
+		});
+
+		renderThemeOptions(savedTheme.id);
+		loadSelectedTheme();
+		showStatus(`Saved "${savedTheme.name}". Press Save to apply it.`);
+	} catch (error) {
+		showStatus(error.message);
+	}
+};
+
+/**
+ * Deletes the selected custom theme, after the user confirms it.
+ *
+ * @returns {void}
+ */
+const handleDeleteTheme = () => {
+	const theme = getTheme(getThemeSelect().value);
+	if (!theme || theme.builtIn) return;
+
+	// eslint-disable-next-line no-alert
+	if (!window.confirm(`Delete the "${theme.name}" theme?`)) return;
+
+	deleteCustomTheme(theme.id);
+	renderThemeOptions(getStoredTheme());
+	loadSelectedTheme();
+	showStatus(`Deleted "${theme.name}".`);
+};
+
+/**
+ * Downloads the selected theme as a JSON file that can be imported again.
+ *
+ * @returns {void}
+ */
+const handleExportTheme = () => {
+	const { value } = getThemeSelect();
+	const theme = getTheme(value === "auto" ? "day" : value);
+	if (!theme) return;
+
+	const filename = theme.name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+	downloadFile(
+		`${filename}.theme.json`,
+		serializeTheme(theme),
+		"application/json"
+	);
+};
+
+/**
+ * Imports the themes in the file chosen by the user as custom themes. None of
+ * the themes are imported if any of them is invalid.
+ *
+ * @param {Event} event - The change event of the import file input.
+ * @returns {Promise<void>}
+ */
+const handleImportTheme = async (event) => {
+	const input = event.target;
+	if (!(input instanceof HTMLInputElement) || !input.files?.length) return;
+
+	const [file] = input.files;
+
+	try {
+		const themes = parseThemeFile(await file.text());
+		const savedThemes = themes.map((theme) => saveCustomTheme(theme));
+
+		renderThemeOptions(savedThemes[savedThemes.length - 1].id);
+		loadSelectedTheme();
+		showStatus(
+			`Imported ${savedThemes.length} theme${
+				savedThemes.length === 1 ? "" : "s"
+			}. Press Save to apply.`
+		);
+	} catch (error) {
+		showStatus(`Could not import "${file.name}": ${error.message}`);
+	} finally {
+		input.value = "";
+	}
+};
+
+/**
+ * Resets the theme select and editor to the theme currently applied, e.g.
+ * when the settings dialog is opened after choices were left unsaved.
+ *
+ * @returns {void}
+ */
+const resetThemeEditor = () => {
+	renderThemeOptions(getStoredTheme());
+	loadSelectedTheme();
+};
+
+/**
+ * Creates a color input for every CSS variable in {@link THEME_VARIABLES}, and
+ * adds the theme editor's event listeners.
+ *
+ * @returns {void}
+ */
+const initThemeEditor = () => {
+	Object.entries(THEME_VARIABLES).forEach(([variable, description]) => {
+		const label = document.createElement("label");
+		const input = document.createElement("input");
+
+		label.className = "overlay__color";
+		input.className = "overlay__color-input";
+		input.type = "color";
+
+		label.append(input, description);
+		themeEditor.colors.appendChild(label);
+		colorInputs[variable] = input;
+	});
+
+	getThemeSelect().addEventListener("change", loadSelectedTheme);
+	themeEditor.create.addEventListener("click", () => handleSaveTheme(false));
+	themeEditor.update.addEventListener("click", () => handleSaveTheme(true));
+	themeEditor.delete.addEventListener("click", handleDeleteTheme);
+	themeEditor.export.addEventListener("click", handleExportTheme);
+	themeEditor.import.addEventListener("change", handleImportTheme);
+
+	resetThemeEditor();
+};
+
+export { initThemeEditor, resetThemeEditor };
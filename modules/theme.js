@@ -0,0 +1,377 @@
+// @ts-check
+
+import { readStorage, writeStorage } from "./storage.js";
+
+/**
+ * @typedef {object} ThemeItem - A palette of values for the CSS color
+ * variables used by the app.
+ * @property {string} id - The theme ID, stored when the theme is selected.
+ * @property {string} name - The name of the theme, as displayed to the user.
+ * @property {Object<string, string>} colors - The RGB value (e.g.
+ * `"10, 10, 20"`) of each CSS variable in {@link THEME_VARIABLES}.
+ * @property {boolean} [builtIn] - Whether the theme ships with the app, in
+ * which case it cannot be edited or deleted.
+ */
+
+/**
+ * The CSS color variables a theme defines, mapped to the description shown
+ * to the user in the theme editor.
+ * @type {Object<string, string>}
+ */
+const THEME_VARIABLES = {
+	"--color-blue": "Accent",
+	"--color-force-dark": "Header background",
+	"--color-force-light": "Header text",
+	"--color-dark": "Text",
+	"--color-light": "Background",
+};
+
+/**
+ * The themes that ship with the app. The `day` and `night` themes match the
+ * default values in the stylesheet.
+ * @type {ThemeItem[]}
+ */
+const BUILT_IN_THEMES = [
+	{
+		id: "day",
+		name: "Day",
+		builtIn: true,
+		colors: {
+			"--color-blue": "0, 150, 255",
+			"--color-force-dark": "10, 10, 20",
+			"--color-force-light": "255, 255, 255",
+			"--color-dark": "10, 10, 20",
+			"--color-light": "255, 255, 255",
+		},
+	},
+	{
+		id: "night",
+		name: "Night",
+		builtIn: true,
+		colors: {
+			"--color-blue": "0, 150, 255",
+			"--color-force-dark": "10, 10, 20",
+			"--color-force-light": "255, 255, 255",
+			"--color-dark": "255, 255, 255",
+			"--color-light": "10, 10, 20",
+		},
+	},
+	{
+		id: "high-contrast",
+		name: "High contrast",
+		builtIn: true,
+		colors: {
+			"--color-blue": "255, 221, 0",
+			"--color-force-dark": "0, 0, 0",
+			"--color-force-light": "255, 255, 255",
+			"--color-dark": "255, 255, 255",
+			"--color-light": "0, 0, 0",
+		},
+	},
+	{
+		id: "sepia",
+		name: "Sepia",
+		builtIn: true,
+		colors: {
+			"--color-blue": "160, 82, 45",
+			"--color-force-dark": "67, 52, 34",
+			"--color-force-light": "251, 246, 234",
+			"--color-dark": "67, 52, 34",
+			"--color-light": "244, 236, 216",
+		},
+	},
+];
+
+/**
+ * The `localStorage` key the selected theme ID is stored under. The inline
+ * script in `index.html` reads the same key to apply the theme before the
+ * first paint.
+ * @type {string}
+ */
+const THEME_STORAGE_KEY = "theme";
+
+/**
+ * The `localStorage` key the colors of the selected theme are cached under,
+ * for the inline script in `index.html` to apply before the first paint.
+ * @type {string}
+ */
+const THEME_COLORS_STORAGE_KEY = "theme-colors";
+
+/**
+ * The `localStorage` key the user's custom themes are stored under.
+ * @type {string}
+ */
+const CUSTOM_THEMES_STORAGE_KEY = "custom-themes";
+
+/**
+ * Matches when the operating system is set to a dark color scheme.
+ * @type {MediaQueryList}
+ */
+const darkColorScheme = window.matchMedia("(prefers-color-scheme: dark)");
+
+/**
+ * Checks whether `value` is a valid `"r, g, b"` color value, with each
+ * channel being a whole number between `0` and `255`.
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isRgbValue = (value) => {
+	if (typeof value !== "string") return false;
+
+	const channels = value.split(",").map((channel) => channel.trim());
+
+	return (
+		channels.length === 3 &&
+		channels.every(
+			(channel) => /^\d{1,3}$/.test(channel) && Number(channel) <= 255
+		)
+	);
+};
+
+/**
+ * Converts an `"r, g, b"` color value to a hexadecimal color (e.g.
+ * `"#0a0a14"`), as used by color inputs.
+ *
+ * @param {string} rgb
+ * @returns {string}
+ */
+const rgbToHex = (rgb) =>
+	`#${rgb
+		.split(",")
+		.map((channel) => Number(channel).toString(16).padStart(2, "0"))
+		.join("")}`;
+
+/**
+ * Converts a hexadecimal color (e.g. `"#0a0a14"`), as returned by color
+ * inputs, to an `"r, g, b"` color value.
+ *
+ * @param {string} hex
+ * @returns {string}
+ */
+const hexToRgb = (hex) =>
+	[1, 3, 5]
+		.map((start) => parseInt(hex.slice(start, start + 2), 16))
+		.join(", ");
+
+/**
+ * Creates a unique ID for a new custom theme.
+ *
+ * @returns {string}
+ */
+const createThemeId = () =>
+	`custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Returns the custom themes created or imported by the user.
+ *
+ * @returns {ThemeItem[]}
+ */
+const getCustomThemes = () => {
+	const customThemes = readStorage(CUSTOM_THEMES_STORAGE_KEY, []);
+	return Array.isArray(customThemes) ? customThemes : [];
+};
+
+/**
+ * Returns every available theme: the built-in themes, followed by the user's
+ * custom themes.
+ *
+ * @returns {ThemeItem[]}
+ */
+const getThemes = () => [...BUILT_IN_THEMES, ...getCustomThemes()];
+
+/**
+ * Returns the theme with the passed `id`, if it exists.
+ *
+ * @param {string} id
+ * @returns {ThemeItem | undefined}
+ */
+const getTheme = (id) => getThemes().find((theme) => theme.id === id);
+
+/**
+ * Returns the ID of the theme selected by the user, defaulting to `"auto"`,
+ * which follows the operating system's `prefers-color-scheme` setting. The
+ * `"auto"` ID is also returned if the selected theme no longer exists.
+ *
+ * @returns {string}
+ */
+const getStoredTheme = () => {
+	const id = readStorage(THEME_STORAGE_KEY, "auto");
+	return typeof id === "string" && getTheme(id) ? id : "auto";
+};
+
+/**
+ * Applies the theme with the passed `id` by setting each of its CSS color
+ * variables on the root element. The `"auto"` ID is resolved to the `day` or
+ * `night` theme based on the current `prefers-color-scheme` setting. The
+ * applied colors are cached, so that they can be applied before the first
+ * paint the next time the app loads.
+ *
+ * @param {string} id - The ID of the theme to apply.
+ * @returns {void}
+ */
+const applyTheme = (id) => {
+	let resolvedId = id;
+
+	if (id === "auto") {
+		resolvedId = darkColorScheme.matches ? "night" : "day";
+	}
+
+	const theme = getTheme(resolvedId) || BUILT_IN_THEMES[0];
+	const rootStyle = document.documentElement.style;
+
+	Object.entries(theme.colors).forEach(([variable, value]) => {
+		rootStyle.setProperty(variable, value);
+	});
+
+	document.documentElement.setAttribute("data-theme", theme.id);
+	writeStorage(THEME_COLORS_STORAGE_KEY, theme.colors);
+};
+
+/**
+ * Applies the theme with the passed `id` and stores it, so that it is applied
+ * again the next time the app loads.
+ *
+ * @param {string} id - The ID of the theme selected by the user, or `"auto"`.
+ * @returns {void}
+ */
+const setTheme = (id) => {
+	writeStorage(THEME_STORAGE_KEY, id);
+	applyTheme(id);
+};
+
+/**
+ * Validates a theme-like object, as created in the theme editor or read from
+ * an imported file, and returns a clean copy of it that only includes the
+ * known CSS variables.
+ *
+ * @param {any} theme - The theme to validate.
+ * @returns {{ name: string, colors: Object<string, string> }}
+ * @throws {Error} Throws an error describing the first problem found if the
+ * theme has no name, or is missing a valid value for one of the variables.
+ */
+const validateTheme = (theme) => {
+	if (typeof theme !== "object" || theme === null) {
+		throw new Error("A theme must be an object");
+	}
+
+	const name = typeof theme.name === "string" ? theme.name.trim() : "";
+	if (name === "") throw new Error("A theme must have a name");
+
+	/** @type {Object<string, string>} */
+	const colors = {};
+
+	Object.keys(THEME_VARIABLES).forEach((variable) => {
+		const value = theme.colors?.[variable];
+
+		if (!isRgbValue(value)) {
+			throw new Error(
+				`The "${name}" theme has no valid "r, g, b" value for ${variable}`
+			);
+		}
+
+		colors[variable] = value;
+	});
+
+	return { name, colors };
+};
+
+/**
+ * Creates a new custom theme, or updates the custom theme with the passed
+ * `id`. Built-in themes cannot be updated; saving one creates a new custom
+ * theme instead. If the saved theme is the selected one, it is re-applied.
+ *
+ * @param {{ id?: string, name: string, colors: Object<string, string> }} theme
+ * - The theme to save.
+ * @returns {ThemeItem} The saved theme.
+ */
+const saveCustomTheme = (theme) => {
+	const { name, colors } = validateTheme(theme);
+	const customThemes = getCustomThemes();
+	const index = customThemes.findIndex(({ id }) => id === theme.id);
+
+	/** @type {ThemeItem} */
+	const savedTheme = {
+		id: index === -1 ? createThemeId() : customThemes[index].id,
+		name,
+		colors,
+	};
+
+	if (index === -1) customThemes.push(savedTheme);
+	else customThemes[index] = savedTheme;
+
+	writeStorage(CUSTOM_THEMES_STORAGE_KEY, customThemes);
+
+	if (getStoredTheme() === savedTheme.id) applyTheme(savedTheme.id);
+	return savedTheme;
+};
+
+/**
+ * Deletes the custom theme with the passed `id`. If it was the selected
+ * theme, the `"auto"` theme is selected instead.
+ *
+ * @param {string} id - The ID of the custom theme to delete.
+ * @returns {void}
+ */
+const deleteCustomTheme = (id) => {
+	const wasSelected = getStoredTheme() === id;
+
+	writeStorage(
+		CUSTOM_THEMES_STORAGE_KEY,
+		getCustomThemes().filter((theme) => theme.id !== id)
+	);
+
+	if (wasSelected) setTheme("auto");
+};
+
+/**
+ * Serializes the passed theme as JSON, in the format accepted by
+ * {@link parseThemeFile}, so that it can be exported and shared.
+ *
+ * @param {ThemeItem} theme - The theme to export.
+ * @returns {string}
+ */
+const serializeTheme = (theme) =>
+	JSON.stringify({ name: theme.name, colors: theme.colors }, null, 2);
+
+/**
+ * Parses the content of an exported theme file: either a single theme, or an
+ * array of themes. Every theme is validated before any of them is returned.
+ *
+ * @param {string} content - The content of the theme file.
+ * @returns {Array<{ name: string, colors: Object<string, string> }>}
+ * @throws {Error} Throws an error if the file is not valid JSON, or if any of
+ * its themes is invalid.
+ */
+const parseThemeFile = (content) => {
+	let parsed;
+
+	try {
+		parsed = JSON.parse(content);
+	} catch (error) {
+		throw new Error("The theme file is not valid JSON");
+	}
+
+	return (Array.isArray(parsed) ? parsed : [parsed]).map(validateTheme);
+};
+
+// The `auto` theme tracks changes to the operating system's color scheme live.
+darkColorScheme.addEventListener("change", () => {
+	if (getStoredTheme() === "auto") applyTheme("auto");
+});
+
+applyTheme(getStoredTheme());
+
+export {
+	THEME_VARIABLES,
+	rgbToHex,
+	hexToRgb,
+	getThemes,
+	getTheme,
+	getStoredTheme,
+	setTheme,
+	saveCustomTheme,
+	deleteCustomTheme,
+	serializeTheme,
+	parseThemeFile,
+};
@@ -0,0 +1,84 @@
+// @ts-check
+
+import { readSearchFilters } from "./book-filters.js";
+
+/**
+ * @typedef {import("./book-filters.js").BookFilters} BookFilters
+ */
+
+/**
+ * @typedef {object} FilterState - The state of the filtered book list, as stored in the page's URL.
+ * @property {BookFilters} filters - The active search filters.
+ * @property {number} page - The number of pages loaded by the user.
+ */
+
+/**
+ * The range filters, which are left out of the URL when they span the whole
+ * library.
+ * @type {Array<"yearMin" | "yearMax" | "pagesMin" | "pagesMax">}
+ */
+const RANGE_KEYS = ["yearMin", "yearMax", "pagesMin", "pagesMax"];
+
+/**
+ * Encodes the passed filter `state` into a URL query string (e.g.
+ * `"?title=sagan&genre=…&page=2"`). Filters left at their `defaults` are
+ * omitted, to keep shared links short. An empty string is returned if every
+ * filter is at its default and only the first page is loaded.
+ *
+ * @param {FilterState} state - The filter state to encode.
+ * @param {BookFilters} defaults - The filters that match every book.
+ * @returns {string} The query string, including the leading `?`.
+ */
+const encodeFilterState = (state, defaults) => {
+	const { filters, page } = state;
+	const params = new URLSearchParams();
+
+	if (filters.title.trim() !== "") params.set("title", filters.title.trim());
+	filters.genres.forEach((genreId) => params.append("genre", genreId));
+
+	if (filters.genreMatch !== defaults.genreMatch) {
+		params.set("genreMatch", filters.genreMatch);
+	}
+
+	filters.authors.forEach((authorId) => params.append("author", authorId));
+
+	RANGE_KEYS.forEach((key) => {
+		if (filters[key] !== null && filters[key] !== defaults[key]) {
+			params.set(key, String(filters[key]));
+		}
+	});
+
+	if (filters.favoritesOnly) params.set("favorites", "only");
+	if (filters.ratingMin > 0) params.set("rating", String(filters.ratingMin));
+	if (filters.sort !== defaults.sort) params.set("sort", filters.sort);
+	if (page > 1) params.set("page", String(page));
+
+	const query = params.toString();
+	return query === "" ? "" : `?${query}`;
+};
+
+/**
+ * Decodes a URL query string created by {@link encodeFilterState} back into a
+ * filter state. Filters missing from the query string fall back to their
+ * `defaults`, and invalid page numbers fall back to the first page.
+ *
+ * @param {string} search - The query string to decode, usually `location.search`.
+ * @param {BookFilters} defaults - The filters that match every book.
+ * @returns {FilterState}
+ */
+const decodeFilterState = (search, defaults) => {
+	const params = new URLSearchParams(search);
+	const filters = readSearchFilters(params);
+	const page = Math.floor(Number(params.get("page")));
+
+	RANGE_KEYS.forEach((key) => {
+		if (filters[key] === null) filters[key] = defaults[key];
+	});
+
+	return {
+		filters,
+		page: Number.isFinite(page) && page > 1 ? page : 1,
+	};
+};
+
+export { encodeFilterState, decodeFilterState };
@@ -1,9 +1,69 @@
 // @ts-check
 
 import "./components/book-preview.js";
-import { books } from "./modules/data.js";
-import { book } from "./modules/dom-manipulation.js";
-import booksPreview from "./modules/books-preview.js";
+import catalog from "./modules/catalog.js";
+import { getConfiguredDataProvider } from "./modules/data-providers.js";
+import {
+	book,
+	renderFacetCounts,
+	populateSearchForm,
+	renderSearchOptions,
+} from "./modules/dom-manipulation.js";
+import booksPreview, {
+	parseSortOrder,
+	formatAuthorNames,
+} from "./modules/books-preview.js";
+import { SearchEngine, tokenize } from "./modules/search-engine.js";
+import {
+	getBookRanges,
+	createDefaultFilters,
+	readSearchFilters,
+	filterBooks,
+} from "./modules/book-filters.js";
+import { encodeFilterState, decodeFilterState } from "./modules/url-state.js";
+import router from "./modules/router.js";
+import { getTheme, setTheme } from "./modules/theme.js";
+import { initThemeEditor, resetThemeEditor } from "./modules/theme-editor.js";
+import countFacets from "./modules/facets.js";
+import initOfflineSupport from "./modules/offline.js";
+import initCatalogImportPanel from "./modules/catalog-import-panel.js";
+import initCatalogDiagnostics from "./modules/catalog-diagnostics.js";
+import {
+	getAdminMode,
+	setAdminMode,
+	openBookEditor,
+	initCatalogEditor,
+} from "./modules/catalog-editor.js";
+import { exportBooks } from "./modules/book-export.js";
+import downloadFile from "./modules/download.js";
+import {
+	SHELVES,
+	getShelf,
+	setShelf,
+	filterByShelf,
+	countShelves,
+} from "./modules/shelves.js";
+import { setFavorite } from "./modules/favorites.js";
+import {
+	getProgressHistory,
+	getProgressPercentage,
+	logProgress,
+	getReadingSpeed,
+	setReadingSpeed,
+} from "./modules/reading-progress.js";
+import { getRating, setRating, getNotes, setNotes } from "./modules/ratings.js";
+import {
+	LAYOUTS,
+	PAGE_SIZES,
+	isListMode,
+	getListMode,
+	setListMode,
+	getPageSize,
+	setPageSize,
+	isLayout,
+	getLayout,
+	setLayout,
+} from "./modules/list-settings.js";
 import BookPreviewDialog from "./components/book-preview-dialog.js";
 
 // toggleDialogHandler
@@ -26,160 +86,888 @@ const handleToggleDialog = (feature) => {
 	}
 };
 
-// toggleThemeHandler
+// openBookPreviewDialog
 
 /**
- * Event handler function triggered when a user submits the
- * {@link book.settings.form}. This function retrieves the selected
- * {@link book.settings.theme} value, which can be either `night` or `day`. The
- * selected theme is used as a key to fetch the corresponding CSS RGB color
- * styles for the dark and light themes from the {@link css} object literal.
- * These CSS property values are then individually parsed into the
- * `CSSStyleDeclaration.setProperty()` method as new values. Subsequently, the
- * CSS properties (`--color-dark` or `--color-light`) are updated using this
- * method, effectively toggling the app's theme between 'night' and 'day.'
+ * The `book-preview-dialog` currently displayed to the user, if any.
+ * @type {BookPreviewDialog | null}
+ */
+let currentBookPreviewDialog = null;
+
+/**
+ * Closes and removes the {@link currentBookPreviewDialog}, if any.
+ */
+const closeBookPreviewDialog = () => {
+	if (currentBookPreviewDialog === null) return;
+
+	const bookPreviewDialog = currentBookPreviewDialog;
+	currentBookPreviewDialog = null;
+
+	bookPreviewDialog.open = false;
+	bookPreviewDialog.remove();
+};
+
+/**
+ * Opens a `book-preview-dialog` for the book with the passed `id`. The book's
+ * `title`, `image`, `description` and date `published` are fetched from the
+ * {@link catalog}'s books, and its author's name from the catalog's authors.
+ * These values are assigned as attributes to the `book-preview-dialog`, along
+ * with the shelf the book is on (if any), and the user's rating and notes,
+ * before displaying the dialog modal to the user. If no book has the passed
+ * `id` (e.g. a mistyped link was shared), the dialog is displayed in its "book
+ * not found" state instead.
  *
- * @param {Event} event - The event object representing the form submission.
+ * @param {string} id - The ID of the book to display.
  */
-const toggleThemeHandler = (event) => {
-	event.preventDefault();
+const openBookPreviewDialog = (id) => {
+	closeBookPreviewDialog();
 
-	const css = {
-		day: { dark: "10, 10, 20", light: "255, 255, 255" },
-		night: { dark: "255, 255, 255", light: "10, 10, 20" },
-	};
+	const bookPreviewDialog = document.createElement("book-preview-dialog");
+	const singleBook = catalog.findBook(id);
 
-	if (!(event.target instanceof HTMLFormElement)) {
-		throw new Error(
-			`${event.target} is not an instance of HTMLFormElement type`
+	if (singleBook === undefined) {
+		bookPreviewDialog.setAttribute("not-found", "");
+		bookPreviewDialog.setAttribute(
+			"description",
+			`No book with the ID "${id}" exists in the catalog. The link you followed may be incorrect or out of date.`
 		);
-	}
+	} else {
+		const publishedYear = new Date(singleBook.published).getFullYear();
+		const subtitle = `${formatAuthorNames(
+			singleBook,
+			catalog.authors
+		)} (${publishedYear})`;
 
-	const formData = new FormData(event.target);
-	const { theme } = Object.fromEntries(formData);
+		bookPreviewDialog.setAttribute("title", singleBook.title);
+		bookPreviewDialog.setAttribute("image", singleBook.image);
+		bookPreviewDialog.setAttribute("blur", singleBook.image);
+		if (singleBook.genres.length > 0) {
+			bookPreviewDialog.setAttribute("genre", singleBook.genres[0]);
+		}
+		bookPreviewDialog.setAttribute("subtitle", subtitle);
+		bookPreviewDialog.setAttribute("description", singleBook.description);
+		bookPreviewDialog.setAttribute("book-id", singleBook.id);
+		bookPreviewDialog.setAttribute("pages", String(singleBook.pages));
+		bookPreviewDialog.setAttribute("reading-speed", String(getReadingSpeed()));
+		bookPreviewDialog.toggleAttribute("editable", getAdminMode());
 
-	const cssRule = document.styleSheets[0].cssRules[0];
+		const shelf = getShelf(singleBook.id);
+		if (shelf) bookPreviewDialog.setAttribute("shelf", shelf);
 
-	if (!(cssRule instanceof CSSStyleRule)) {
-		throw new Error(`${cssRule} is not a CSSSyleRule`);
+		const rating = getRating(singleBook.id);
+		if (rating) bookPreviewDialog.setAttribute("rating", String(rating));
+		bookPreviewDialog.setAttribute("notes", getNotes(singleBook.id));
 	}
 
-	const styleDeclaration = cssRule.style;
+	// Insert the custom element to ensure all dialog-related elements are grouped together.
+	document.body.insertBefore(bookPreviewDialog, book.search.dialog);
 
-	styleDeclaration.setProperty("--color-dark", css[theme].dark);
-	styleDeclaration.setProperty("--color-light", css[theme].light);
+	if (!(bookPreviewDialog instanceof BookPreviewDialog)) {
+		throw new Error(
+			`The ${bookPreviewDialog} instance is not an instance of BookPreviewDialog class`
+		);
+	}
 
-	handleToggleDialog("settings");
+	if (singleBook !== undefined) {
+		bookPreviewDialog.progressHistory = getProgressHistory(singleBook.id);
+	}
+
+	bookPreviewDialog.open = true;
+	currentBookPreviewDialog = bookPreviewDialog;
 };
 
 // handleBookPreviewDialog
 
 /**
- * Handles the 'BookPreviewClicked' event by extracting essential book details
- * from the custom event's `detail`. The extracted information includes the
- * book's `id`, `title`, `image`, and `author`. The handler then fetches
- * additional metadata such as the book's `description` and date `published`
- * from the {@link books} database. These values are assigned as attributes to
- * the `book-preview-dialog` before displaying the dialog modal to the user.
+ * Handles the 'BookPreviewClicked' event by extracting the book's `id` from
+ * the custom event's `detail`, and navigating to the book's `#/book/<id>`
+ * route. The {@link router} then opens the dialog (see
+ * {@link openBookPreviewDialog}), so that the link to the book can be copied
+ * and shared.
  * @param {Event} event - The click event with custom detail data.
  */
 const handleBookPreviewDialog = (event) => {
 	if (!(event instanceof CustomEvent)) {
 		throw new Error(`${event} is not an instance of CustomEvent`);
 	}
-	const { id, title, image, author } = event.detail;
+	const { id } = event.detail;
 
-	const bookPreviewDialog = document.createElement("book-preview-dialog");
+	router.navigate(`/book/${encodeURIComponent(id)}`);
+};
 
-	bookPreviewDialog.setAttribute("title", title);
-	bookPreviewDialog.setAttribute("image", image);
-	bookPreviewDialog.setAttribute("blur", image);
+// handleBookPreviewClosed
 
-	books.forEach((singleBook) => {
-		if (singleBook.id === id) {
-			const publishedYear = new Date(singleBook.published).getFullYear();
-			const subtitle = `${author} (${publishedYear})`;
+/**
+ * Clears the `#/book/<id>` route from the page's URL when the user closes the
+ * {@link currentBookPreviewDialog}. Dialogs closed by the app itself (see
+ * {@link closeBookPreviewDialog}) are ignored, as the route has already
+ * changed.
+ * @param {Event} event - The event dispatched by the closed dialog.
+ */
+const handleBookPreviewClosed = (event) => {
+	if (event.target !== currentBookPreviewDialog) return;
 
-			bookPreviewDialog.setAttribute("subtitle", subtitle);
-			bookPreviewDialog.setAttribute("description", singleBook.description);
-		}
-	});
+	currentBookPreviewDialog = null;
+	router.clear();
+};
 
-	// Insert the custom element to ensure all dialog-related elements are grouped together.
-	document.body.insertBefore(bookPreviewDialog, book.search.dialog);
+// handleBookEditRequested
 
-	if (!(bookPreviewDialog instanceof BookPreviewDialog)) {
-		throw new Error(
-			`The ${bookPreviewDialog} instance is not an instance of BookPreviewDialog class`
-		);
+/**
+ * Opens the catalog editor with the book whose `book-preview-dialog` "Edit"
+ * button was clicked, which is only displayed when catalog editing is turned
+ * on in the settings.
+ * @param {Event} event - The custom event dispatched by the dialog.
+ */
+const handleBookEditRequested = (event) => {
+	if (!(event instanceof CustomEvent)) {
+		throw new Error(`${event} is not an instance of CustomEvent`);
 	}
 
-	bookPreviewDialog.open = true;
+	openBookEditor(event.detail.id);
 };
 
-// handleBookFilterSearch
+// renderShelfOptions
 
 /**
- * This event handler takes a user's book search inputs (`title`, `authors`,
- * and/or `genres`) when the {@link book.search.form} is submitted. It iterates
- * over the {@link books} book library and assigns the result of all books that
- * match the supplied search inputs to the {@link current.booksSource} as the
- * new reference book library, but filtered. The {@link current.page} is reset
- * to `1`, the {@link book.list.items} book preview catalog is cleared, and the
- * {@link createBookPreviewsHTML} function is called to create the first
- * filtered book previews fragment, which is then appended to the HTML DOM.
- * Additional filtered book previews fragments will be created and appended to
- * the HTML DOM when the user loads more books by clicking the
- * {@link book.list.button}. If the book search returns fewer than `1` book from
- * the main book library, an error message will be displayed to the user.
+ * The ID of the shelf the book list is currently narrowed down to, or `null`
+ * when the whole library is displayed.
+ * @type {string | null}
  */
-const handleBookFilterSearch = (event) => {
-	event.preventDefault();
+let currentShelf = null;
 
-	const formData = new FormData(event.target);
-	const filters = Object.fromEntries(formData);
-	const result = [];
+/**
+ * Regenerates the options of the {@link book.header.shelf} select: all
+ * books, followed by every shelf in {@link SHELVES} along with the number of
+ * books on it. The {@link currentShelf} is kept selected.
+ */
+const renderShelfOptions = () => {
+	if (!(book.header.shelf instanceof HTMLSelectElement)) {
+		throw new Error(`${book.header.shelf} is not an HTMLSelectElement`);
+	}
 
-	// eslint-disable-next-line no-restricted-syntax, no-shadow
-	for (const book of books) {
-		let genreMatch = filters.genre === "any";
+	const counts = countShelves(catalog.books);
 
-		// eslint-disable-next-line no-restricted-syntax
-		for (const singleGenre of book.genres) {
-			if (genreMatch) break;
-			if (singleGenre === filters.genre) genreMatch = true;
-		}
+	book.header.shelf.replaceChildren(
+		new Option("All books", "all"),
+		...Object.entries(SHELVES).map(
+			([shelf, name]) => new Option(`${name} (${counts[shelf]})`, shelf)
+		)
+	);
 
-		if (typeof filters.title !== "string") {
-			throw new Error(`${filters.title} is not a string`);
-		}
+	book.header.shelf.value = currentShelf || "all";
+};
 
-		if (
-			(filters.title.trim() === "" ||
-				book.title.toLowerCase().includes(filters.title.toLowerCase())) &&
-			(filters.author === "any" || book.author === filters.author) &&
-			genreMatch
-		) {
-			result.push(book);
-		}
+/**
+ * Narrows the passed `booksSource` down to the books on the
+ * {@link currentShelf}, if any.
+ *
+ * @param {import("./modules/books-preview.js").BookItem[]} booksSource
+ * @returns {import("./modules/books-preview.js").BookItem[]}
+ */
+const narrowToCurrentShelf = (booksSource) =>
+	currentShelf === null
+		? booksSource
+		: filterByShelf(booksSource, currentShelf);
+
+// renderSearchSuggestion
+
+/**
+ * Displays a "Did you mean …?" message in the {@link book.list.suggestion}
+ * element when the user's search `query` had no exact matches, and the
+ * results of the corrected `suggestion` are shown instead. Passing a `null`
+ * suggestion hides the message.
+ *
+ * @param {string} query - The free-text query entered by the user.
+ * @param {string | null} suggestion - The corrected query, if any.
+ */
+const renderSearchSuggestion = (query, suggestion) => {
+	book.list.suggestion.replaceChildren();
+
+	if (suggestion === null) {
+		book.list.suggestion.classList.remove("list__suggestion_show");
+		return;
+	}
+
+	const suggestionElement = document.createElement("strong");
+	suggestionElement.textContent = suggestion;
+
+	book.list.suggestion.append(
+		`No exact matches for "${query.trim()}". Did you mean `,
+		suggestionElement,
+		"? Showing the closest matches instead."
+	);
+	book.list.suggestion.classList.add("list__suggestion_show");
+};
+
+// findRankedBooks
+
+/**
+ * The search engine indexing the {@link catalog}. It is replaced whenever a
+ * catalog is loaded (see {@link renderCatalog}).
+ * @type {SearchEngine}
+ */
+let searchEngine = new SearchEngine({
+	booksSource: [],
+	authorsSource: {},
+	genresSource: {},
+});
+
+/**
+ * Runs the passed free-text `query` through the {@link searchEngine}. If the
+ * query has no exact matches, it is checked for typos, and the books matching
+ * the corrected query are returned along with the correction as a
+ * `suggestion`. An empty query, or one made of stop words only (see
+ * {@link tokenize}), matches the whole {@link catalog}.
+ *
+ * @param {string} query - The free-text query entered by the user.
+ * @returns {{ rankedBooks: import("./modules/books-preview.js").BookItem[], suggestion: string | null }}
+ */
+const findRankedBooks = (query) => {
+	if (tokenize(query).length === 0) {
+		return { rankedBooks: catalog.books, suggestion: null };
 	}
 
+	const rankedBooks = searchEngine.search(query);
+	if (rankedBooks.length > 0) return { rankedBooks, suggestion: null };
+
+	const suggestion = searchEngine.suggest(query);
+	if (suggestion === null) return { rankedBooks, suggestion };
+
+	return { rankedBooks: searchEngine.search(suggestion), suggestion };
+};
+
+// handleFacetCounts
+
+/**
+ * Updates the book counts displayed next to every genre and author option of
+ * the {@link book.search.form}, based on the filters currently chosen in the
+ * form (see {@link countFacets}). Called whenever the form's inputs change, so
+ * that the user can see which options would return no books before searching.
+ */
+const handleFacetCounts = () => {
+	if (!(book.search.form instanceof HTMLFormElement)) {
+		throw new Error(`${book.search.form} is not an HTMLFormElement`);
+	}
+
+	const filters = readSearchFilters(new FormData(book.search.form));
+	const { rankedBooks } = findRankedBooks(filters.title);
+	const counts = countFacets(narrowToCurrentShelf(rankedBooks), filters);
+
+	renderFacetCounts(book.search.genres, counts.genres);
+	renderFacetCounts(book.search.authors, counts.authors);
+};
+
+// renderPagination
+
+/**
+ * Updates the {@link book.list.pagination} controls to the page displayed by
+ * the {@link booksPreview}. The controls are only shown in the `"pages"` list
+ * mode, when the list has more than one page.
+ */
+const renderPagination = () => {
+	if (!(book.list.pageInput instanceof HTMLInputElement)) {
+		throw new Error(`${book.list.pageInput} is not an HTMLInputElement`);
+	}
+
+	const { currentMode, currentPage, totalPages } = booksPreview;
+	const page = currentPage || 1;
+
+	book.list.pagination.hidden = currentMode !== "pages" || totalPages <= 1;
+	book.list.pageInput.max = String(totalPages);
+	book.list.pageInput.value = String(page);
+	book.list.pageCount.textContent = String(totalPages);
+
+	book.list.pagination
+		.querySelectorAll("[data-list-page]")
+		.forEach((button) => {
+			if (!(button instanceof HTMLButtonElement)) return;
+
+			const isBackward = ["first", "previous"].includes(
+				button.dataset.listPage || ""
+			);
+			button.toggleAttribute(
+				"disabled",
+				isBackward ? page <= 1 : page >= totalPages
+			);
+		});
+};
+
+// applyFilterState
+
+/**
+ * The filters matching every book in the {@link catalog}, used for the filters
+ * missing from the page's URL. They are computed again whenever a catalog is
+ * loaded (see {@link renderCatalog}).
+ * @type {import("./modules/book-filters.js").BookFilters}
+ */
+let defaultFilters = createDefaultFilters(getBookRanges([]));
+
+/**
+ * The message displayed when the applied filters match no books.
+ * @type {string}
+ */
+const noResultsMessage = book.list.message.textContent || "";
+
+/**
+ * The filters currently applied to the book list.
+ * @type {import("./modules/book-filters.js").BookFilters}
+ */
+let currentFilters = defaultFilters;
+
+/**
+ * Stores the currently applied filters and the number of loaded pages in the
+ * page's URL query string, using the History API. Pass `"pushState"` to add a
+ * new browser history entry (e.g. when new filters are applied), or
+ * `"replaceState"` to update the current one (e.g. when more books are
+ * loaded).
+ *
+ * @param {"pushState" | "replaceState"} method - The History API method to use.
+ */
+const saveFilterState = (method) => {
+	const search = encodeFilterState(
+		{ filters: currentFilters, page: booksPreview.currentPage || 1 },
+		defaultFilters
+	);
+
+	const { pathname, hash } = window.location;
+	window.history[method](null, "", `${pathname}${search}${hash}`);
+};
+
+/**
+ * Applies the passed filter `state` to the book list.
+ *
+ * The free-text `title` filter is run through the {@link searchEngine} (see
+ * {@link findRankedBooks}). It matches the text against the title, author,
+ * genres and description of every book, and ranks the results by relevance.
+ * If the text has no exact matches, it is checked for typos against the book
+ * titles and author names. The results of the corrected query are then shown
+ * with a {@link renderSearchSuggestion} message instead.
+ *
+ * The ranked books, or all the {@link catalog}'s books when no text was
+ * entered, are narrowed down to the books on the {@link currentShelf}, if
+ * any. They are then filtered by the selected favorites, rating, authors,
+ * genres, years and page counts (see {@link filterBooks}), and ordered by the
+ * selected sort order, which keeps the relevance ranking by default.
+ *
+ * The result is assigned to the {@link booksPreview} as its new books source,
+ * and the state's `page` is displayed (see {@link BooksPreview.goToPage}). If
+ * no book matches, an error message is displayed to the user. Finally, the
+ * {@link book.search.form} is filled in with the applied filters.
+ *
+ * @param {import("./modules/url-state.js").FilterState} state - The filters
+ * and number of pages to apply.
+ */
+const applyFilterState = (state) => {
+	const { filters, page } = state;
+
+	const { rankedBooks, suggestion } = findRankedBooks(filters.title);
+	const shelfBooks = narrowToCurrentShelf(rankedBooks);
+	const result = filterBooks(shelfBooks, filters);
+
 	if (result.length < 1) {
+		book.list.message.textContent =
+			currentShelf !== null && countShelves(catalog.books)[currentShelf] === 0
+				? `There are no books on your "${SHELVES[currentShelf]}" shelf yet. Open a book to add it to this shelf.`
+				: noResultsMessage;
 		book.list.message.classList.add("list__message_show");
+		renderSearchSuggestion(filters.title, null);
 	} else {
 		book.list.message.classList.remove("list__message_show");
+		renderSearchSuggestion(filters.title, suggestion);
 	}
 
-	booksPreview.currentBooksSource = result;
-	booksPreview.loadFirstPage();
+	booksPreview.setBooksSource(result, parseSortOrder(filters.sort));
+	booksPreview.goToPage(page);
+	renderPagination();
+	book.list.export.hidden = result.length < 1;
+
+	currentFilters = filters;
+	populateSearchForm(filters);
+};
+
+// handleBookFilterSearch
+
+/**
+ * This event handler takes a user's book search inputs (`title`, `authors`,
+ * and/or `genres`, see {@link readSearchFilters}) when the
+ * {@link book.search.form} is submitted, and applies them to the first page of
+ * the book list (see {@link applyFilterState}). The applied filters are stored
+ * in a new browser history entry, so that the filtered view survives a reload,
+ * can be shared, and can be navigated with the back and forward buttons.
+ */
+const handleBookFilterSearch = (event) => {
+	event.preventDefault();
+
+	const formData = new FormData(event.target);
+	const filters = readSearchFilters(formData);
+
+	applyFilterState({ filters, page: 1 });
+	saveFilterState("pushState");
 
 	window.scrollTo({ top: 0, behavior: "smooth" });
 	handleToggleDialog("search");
+};
 
-	if (!(book.search.form instanceof HTMLFormElement)) {
-		throw new Error(`${book.search.form} is not an HTMLFormElement`);
+// handlePageLoaded
+
+/**
+ * Updates the page number stored in the page's URL when the
+ * {@link booksPreview} loads the next page as the user scrolls down the book
+ * list.
+ */
+const handlePageLoaded = () => {
+	saveFilterState("replaceState");
+};
+
+// handlePaginationClick
+
+/**
+ * Displays the page with the passed number in the `"pages"` list mode, stores
+ * it in a new browser history entry and scrolls back to the top of the list.
+ *
+ * @param {number} pageNumber - The page to display. Numbers outside of the
+ * available pages are clamped to the first or last page.
+ */
+const showPage = (pageNumber) => {
+	booksPreview.goToPage(pageNumber);
+	renderPagination();
+	saveFilterState("pushState");
+
+	window.scrollTo({ top: 0, behavior: "smooth" });
+};
+
+/**
+ * Displays the first, previous, next or last page when one of the
+ * {@link book.list.pagination} buttons is clicked.
+ *
+ * @param {Event} event - The click event of the pagination controls.
+ */
+const handlePaginationClick = (event) => {
+	if (!(event.target instanceof Element)) return;
+
+	const button = event.target.closest("[data-list-page]");
+	if (!(button instanceof HTMLButtonElement)) return;
+
+	const page = booksPreview.currentPage || 1;
+	const targets = {
+		first: 1,
+		previous: page - 1,
+		next: page + 1,
+		last: booksPreview.totalPages,
+	};
+
+	showPage(targets[button.dataset.listPage || "first"]);
+};
+
+/**
+ * Displays the page typed into the {@link book.list.pageInput}.
+ *
+ * @param {Event} event - The change event of the page number input.
+ */
+const handlePageInputChange = (event) => {
+	if (!(event.target instanceof HTMLInputElement)) {
+		throw new Error(`${event.target} is not an HTMLInputElement`);
+	}
+
+	showPage(event.target.valueAsNumber);
+};
+
+// handleSettingsSubmit
+
+/**
+ * Fills in the {@link book.settings.form} with the stored settings, in case
+ * different choices were left unsaved when it was last closed.
+ */
+const populateSettingsForm = () => {
+	if (!(book.settings.readingSpeed instanceof HTMLInputElement)) {
+		throw new Error(`${book.settings.readingSpeed} is not an HTMLInputElement`);
+	}
+	if (!(book.settings.layout instanceof HTMLSelectElement)) {
+		throw new Error(`${book.settings.layout} is not an HTMLSelectElement`);
+	}
+	if (!(book.settings.listMode instanceof HTMLSelectElement)) {
+		throw new Error(`${book.settings.listMode} is not an HTMLSelectElement`);
+	}
+	if (!(book.settings.pageSize instanceof HTMLSelectElement)) {
+		throw new Error(`${book.settings.pageSize} is not an HTMLSelectElement`);
+	}
+	if (!(book.settings.adminMode instanceof HTMLInputElement)) {
+		throw new Error(`${book.settings.adminMode} is not an HTMLInputElement`);
+	}
+
+	book.settings.readingSpeed.value = String(getReadingSpeed());
+	book.settings.layout.replaceChildren(
+		...Object.entries(LAYOUTS).map(([layout, name]) => new Option(name, layout))
+	);
+	book.settings.layout.value = getLayout();
+	book.settings.listMode.value = getListMode();
+	book.settings.pageSize.replaceChildren(
+		...PAGE_SIZES.map((size) => new Option(String(size)))
+	);
+	book.settings.pageSize.value = String(getPageSize());
+	book.settings.adminMode.checked = getAdminMode();
+	resetThemeEditor();
+};
+
+/**
+ * Event handler function triggered when a user submits the
+ * {@link book.settings.form}. This function stores the entered
+ * {@link book.settings.readingSpeed}, used to estimate the time left to finish
+ * a book, and the chosen {@link book.settings.layout},
+ * {@link book.settings.listMode} and {@link book.settings.pageSize}. When any
+ * of those changed, the book list is displayed again from its first page. It
+ * also retrieves the selected {@link book.settings.theme} value, which is
+ * either the ID of a built-in or custom theme (see {@link getTheme}), or
+ * `auto` (following the operating system's `prefers-color-scheme` setting),
+ * and passes it to {@link setTheme}. The theme is applied immediately and stored,
+ * so that it survives a reload of the app.
+ *
+ * @param {Event} event - The event object representing the form submission.
+ */
+const handleSettingsSubmit = (event) => {
+	event.preventDefault();
+
+	if (!(event.target instanceof HTMLFormElement)) {
+		throw new Error(
+			`${event.target} is not an instance of HTMLFormElement type`
+		);
+	}
+
+	const formData = new FormData(event.target);
+	const { theme, readingSpeed, layout, listMode, pageSize, adminMode } =
+		Object.fromEntries(formData);
+
+	if (typeof theme !== "string" || (theme !== "auto" && !getTheme(theme))) {
+		throw new Error(`${theme} is not a supported theme`);
+	}
+	if (!isLayout(layout)) {
+		throw new Error(`${layout} is not a supported layout`);
+	}
+	if (!isListMode(listMode)) {
+		throw new Error(`${listMode} is not a supported list mode`);
+	}
+
+	setReadingSpeed(Number(readingSpeed));
+	setLayout(layout);
+	setListMode(listMode);
+	setPageSize(Number(pageSize));
+	setAdminMode(adminMode === "on");
+
+	if (
+		layout !== booksPreview.currentLayout ||
+		listMode !== booksPreview.currentMode ||
+		Number(pageSize) !== booksPreview.currentPageSize
+	) {
+		booksPreview.currentLayout = layout;
+		booksPreview.currentMode = listMode;
+		booksPreview.currentPageSize = Number(pageSize);
+		applyFilterState({ filters: currentFilters, page: 1 });
+		saveFilterState("replaceState");
+	}
+
+	setTheme(theme);
+	handleToggleDialog("settings");
+};
+
+// handleFilterStateNavigation
+
+/**
+ * Re-applies the filters stored in the page's URL when the user navigates
+ * the browser history with the back and forward buttons. Navigation that
+ * leaves the query string unchanged (e.g. a hash change) is ignored, so that
+ * the loaded pages are not reset.
+ */
+const handleFilterStateNavigation = () => {
+	const state = decodeFilterState(window.location.search, defaultFilters);
+	const currentSearch = encodeFilterState(
+		{ filters: currentFilters, page: booksPreview.currentPage || 1 },
+		defaultFilters
+	);
+
+	if (encodeFilterState(state, defaultFilters) === currentSearch) return;
+	applyFilterState(state);
+};
+
+// handleShelfView
+
+/**
+ * Narrows the book list down to the shelf chosen in the
+ * {@link book.header.shelf} select, or displays the whole library again when
+ * "All books" is chosen. The applied filters are kept, and the first page of
+ * the shelf's books is loaded.
+ * @param {Event} event - The change event of the shelf select.
+ */
+const handleShelfView = (event) => {
+	if (!(event.target instanceof HTMLSelectElement)) {
+		throw new Error(`${event.target} is not an HTMLSelectElement`);
+	}
+
+	const { value } = event.target;
+	currentShelf = value in SHELVES ? value : null;
+
+	applyFilterState({ filters: currentFilters, page: 1 });
+	window.scrollTo({ top: 0, behavior: "smooth" });
+};
+
+// handleExportClick
+
+/**
+ * Downloads the books currently listed (the results of the applied filters,
+ * on the shelf being viewed) in the format of the clicked
+ * {@link book.list.export} button, in the order they are listed.
+ * @param {Event} event - The click event of the export buttons.
+ */
+const handleExportClick = (event) => {
+	if (!(event.target instanceof Element)) return;
+
+	const button = event.target.closest("[data-list-export-format]");
+	if (!(button instanceof HTMLButtonElement)) return;
+
+	const format =
+		/** @type {import("./modules/book-export.js").ExportFormat} */ (
+			button.dataset.listExportFormat
+		);
+	const { filename, content, type } = exportBooks(
+		format,
+		booksPreview.currentBooksSource,
+		{
+			authors: catalog.authors,
+			genres: catalog.genres,
+			title:
+				currentShelf === null
+					? "Book Connect reading list"
+					: `${SHELVES[currentShelf]} shelf`,
+		}
+	);
+
+	downloadFile(filename, content, type);
+};
+
+// handleBookShelfChanged
+
+/**
+ * Stores the shelf a book was moved to in its `book-preview-dialog`, and
+ * updates the book's `book-preview` badge and the shelf counts of the
+ * {@link book.header.shelf} select. When a shelf is being viewed, the book
+ * list is refreshed, so that books taken off it disappear from the list.
+ * @param {Event} event - The custom event dispatched by the dialog.
+ */
+const handleBookShelfChanged = (event) => {
+	if (!(event instanceof CustomEvent)) {
+		throw new Error(`${event} is not an instance of CustomEvent`);
+	}
+	const { id, shelf } = event.detail;
+
+	setShelf(id, shelf);
+
+	const bookPreviewElement = document.getElementById(id);
+	if (bookPreviewElement !== null && shelf !== null) {
+		bookPreviewElement.setAttribute("shelf", shelf);
+	} else if (bookPreviewElement !== null) {
+		bookPreviewElement.removeAttribute("shelf");
+	}
+
+	renderShelfOptions();
+
+	if (currentShelf !== null) {
+		applyFilterState({
+			filters: currentFilters,
+			page: booksPreview.currentPage || 1,
+		});
+	}
+};
+
+// handleBookProgressLogged
+
+/**
+ * Adds the page logged in a `book-preview-dialog` to the book's progress
+ * history, and updates the progress displayed by the dialog and by the book's
+ * `book-preview`.
+ * @param {Event} event - The custom event dispatched by the dialog.
+ */
+const handleBookProgressLogged = (event) => {
+	if (!(event instanceof CustomEvent)) {
+		throw new Error(`${event} is not an instance of CustomEvent`);
+	}
+	const { id, page } = event.detail;
+	const singleBook = catalog.findBook(id);
+
+	if (singleBook === undefined) {
+		throw new Error(`No book with the ID "${id}" exists`);
+	}
+
+	logProgress(singleBook, page);
+
+	if (currentBookPreviewDialog !== null) {
+		currentBookPreviewDialog.progressHistory = getProgressHistory(id);
+	}
+
+	const bookPreviewElement = document.getElementById(id);
+	if (bookPreviewElement !== null) {
+		bookPreviewElement.setAttribute(
+			"progress",
+			String(getProgressPercentage(singleBook))
+		);
+	}
+};
+
+// handleBookRated
+
+/**
+ * Stores the rating given to a book in its `book-preview-dialog`, and updates
+ * the stars displayed by the book's `book-preview`. When the book list is
+ * filtered or sorted by the user's ratings, it is refreshed to reflect the
+ * new rating.
+ * @param {Event} event - The custom event dispatched by the dialog.
+ */
+const handleBookRated = (event) => {
+	if (!(event instanceof CustomEvent)) {
+		throw new Error(`${event} is not an instance of CustomEvent`);
+	}
+	const { id, rating } = event.detail;
+
+	setRating(id, rating);
+
+	const bookPreviewElement = document.getElementById(id);
+	if (bookPreviewElement !== null && rating !== null) {
+		bookPreviewElement.setAttribute("rating", String(rating));
+	} else if (bookPreviewElement !== null) {
+		bookPreviewElement.removeAttribute("rating");
+	}
+
+	if (
+		currentFilters.ratingMin > 0 ||
+		currentFilters.sort.startsWith("rating")
+	) {
+		applyFilterState({
+			filters: currentFilters,
+			page: booksPreview.currentPage || 1,
+		});
+	}
+};
+
+// handleBookNotesChanged
+
+/**
+ * Stores the notes written about a book in its `book-preview-dialog` as the
+ * user types them.
+ * @param {Event} event - The custom event dispatched by the dialog.
+ */
+const handleBookNotesChanged = (event) => {
+	if (!(event instanceof CustomEvent)) {
+		throw new Error(`${event} is not an instance of CustomEvent`);
+	}
+	const { id, notes } = event.detail;
+
+	setNotes(id, notes);
+};
+
+// handleBookFavoriteToggled
+
+/**
+ * Stores whether a book was added to or removed from the user's favorites
+ * with the toggle of its `book-preview`. When only favorites are displayed,
+ * the book list is refreshed, so that books removed from the favorites
+ * disappear from the list.
+ * @param {Event} event - The custom event dispatched by the `book-preview`.
+ */
+const handleBookFavoriteToggled = (event) => {
+	if (!(event instanceof CustomEvent)) {
+		throw new Error(`${event} is not an instance of CustomEvent`);
+	}
+	const { id, favorite } = event.detail;
+
+	setFavorite(id, favorite);
+
+	if (currentFilters.favoritesOnly) {
+		applyFilterState({
+			filters: currentFilters,
+			page: booksPreview.currentPage || 1,
+		});
+	}
+};
+
+// handleCatalogStatusChanged
+
+/**
+ * Whether the {@link router} was started, which happens once the first
+ * catalog is loaded, so that a linked book can be found in it.
+ * @type {boolean}
+ */
+let isRouterStarted = false;
+
+/**
+ * Displays the loaded {@link catalog}, and displays it again whenever it
+ * changes (e.g. when books are imported): the {@link searchEngine} indexes its
+ * books, the {@link defaultFilters} and the search form's options are derived
+ * from it, and the filters stored in the page's URL (if any) are applied
+ * before the first `book-preview`'s batch is generated and appended to the
+ * first page of the app.
+ */
+const renderCatalog = () => {
+	const { books, authors, genres } = catalog;
+
+	searchEngine = new SearchEngine({
+		booksSource: books,
+		authorsSource: authors,
+		genresSource: genres,
+	});
+	defaultFilters = createDefaultFilters(getBookRanges(books));
+
+	booksPreview.currentAuthorsSource = authors;
+	booksPreview.currentGenresSource = genres;
+
+	renderSearchOptions({ books, authors, genres });
+	renderShelfOptions();
+	applyFilterState(decodeFilterState(window.location.search, defaultFilters));
+
+	if (!isRouterStarted) {
+		router.start();
+		isRouterStarted = true;
+	}
+};
+
+/**
+ * Displays the loading indicator while the {@link catalog} loads, and an error
+ * message with a retry button if it fails to load. The catalog is rendered
+ * once it is ready (see {@link renderCatalog}).
+ * @param {Event} event - The `catalogStatusChanged` event of the catalog.
+ */
+const handleCatalogStatusChanged = (event) => {
+	if (!(event instanceof CustomEvent)) {
+		throw new Error(`${event} is not an instance of CustomEvent`);
+	}
+	const { status, error } = event.detail;
+
+	book.list.loading.hidden = status !== "loading";
+	book.list.error.hidden = status !== "error";
+
+	if (status === "error") {
+		book.list.errorMessage.textContent = `The books could not be loaded: ${error.message}`;
+	} else if (status === "ready") {
+		renderCatalog();
+	}
+};
+
+/**
+ * Displays the {@link catalog} again after it was edited or imported into,
+ * and reopens the {@link currentBookPreviewDialog} so that it displays the
+ * edited book. The dialog is closed if its book was deleted.
+ */
+const handleCatalogChanged = () => {
+	renderCatalog();
+
+	if (currentBookPreviewDialog === null) return;
+
+	const id = currentBookPreviewDialog.getAttribute("book-id") || "";
+
+	if (catalog.findBook(id)) {
+		openBookPreviewDialog(id);
+	} else {
+		closeBookPreviewDialog();
+		router.clear();
 	}
-	book.search.form.reset();
 };
 
 // Event Handlers
@@ -193,15 +981,58 @@ book.settings.cancel.addEventListener("click", () => {
 });
 
 book.header.search.addEventListener("click", () => {
+	handleFacetCounts();
 	handleToggleDialog("search");
 	book.search.title.focus();
 });
 
+book.header.editor.addEventListener("click", () => openBookEditor());
+
 book.header.settings.addEventListener("click", () => {
+	populateSettingsForm();
 	handleToggleDialog("settings");
 });
 
-book.list.button.addEventListener("click", booksPreview.loadNextPage);
+book.list.items.addEventListener("booksPageLoaded", handlePageLoaded);
+book.list.pagination.addEventListener("click", handlePaginationClick);
+book.list.pageInput.addEventListener("change", handlePageInputChange);
 book.list.items.addEventListener("bookPreviewClicked", handleBookPreviewDialog);
+book.list.items.addEventListener(
+	"bookFavoriteToggled",
+	handleBookFavoriteToggled
+);
+document.addEventListener("bookPreviewClosed", handleBookPreviewClosed);
+document.addEventListener("bookEditRequested", handleBookEditRequested);
+document.addEventListener("bookShelfChanged", handleBookShelfChanged);
+document.addEventListener("bookProgressLogged", handleBookProgressLogged);
+document.addEventListener("bookRated", handleBookRated);
+document.addEventListener("bookNotesChanged", handleBookNotesChanged);
+book.header.shelf.addEventListener("change", handleShelfView);
+book.list.export.addEventListener("click", handleExportClick);
 book.search.form.addEventListener("submit", handleBookFilterSearch);
-book.settings.form.addEventListener("submit", toggleThemeHandler);
+book.search.form.addEventListener("input", handleFacetCounts);
+book.search.form.addEventListener("reset", () => setTimeout(handleFacetCounts));
+book.settings.form.addEventListener("submit", handleSettingsSubmit);
+window.addEventListener("popstate", handleFilterStateNavigation);
+catalog.addEventListener("catalogStatusChanged", handleCatalogStatusChanged);
+catalog.addEventListener("catalogChanged", handleCatalogChanged);
+book.list.retry.addEventListener("click", () => {
+	catalog.load(getConfiguredDataProvider());
+});
+
+initThemeEditor();
+initCatalogImportPanel();
+initCatalogDiagnostics();
+initCatalogEditor();
+initOfflineSupport();
+
+// Book details can be linked to directly, e.g. `#/book/<id>`. Any other path
+// (including an empty one, when navigating back) closes the open dialog. The
+// router is started once the catalog is loaded (see `renderCatalog`).
+router
+	.addRoute("/book/:id", ({ id }) => openBookPreviewDialog(id))
+	.setFallback(closeBookPreviewDialog);
+
+// Upon app loading, the catalog is loaded from the data provider configured
+// in the page, and displayed once it is ready.
+catalog.load(getConfiguredDataProvider());
@@ -0,0 +1,73 @@
+/**
+ * Validates a catalog with `modules/catalog-validator.js`, and prints its
+ * integrity report. It validates the catalog bundled in `modules/data.js`, or
+ * a JSON catalog file passed as argument, such as `fixtures/catalog.json`:
+ *
+ * ```sh
+ * npm run validate-catalog
+ * npm run validate-catalog -- fixtures/catalog.json
+ * ```
+ *
+ * The `--json` option prints the report as JSON instead. The script exits
+ * with a non-zero code if the catalog has errors, so that it can be run
+ * before deploying.
+ */
+
+import { readFile } from "node:fs/promises";
+import validateCatalog from "../modules/catalog-validator.js";
+
+const asJson = process.argv.includes("--json");
+const file = process.argv.slice(2).find((arg) => !arg.startsWith("--"));
+
+/**
+ * Loads the catalog from the passed JSON file, or from `modules/data.js` if
+ * no file is passed.
+ *
+ * @param {string | undefined} filePath
+ * @returns {Promise<unknown>}
+ */
+const loadCatalog = async (filePath) => {
+	if (filePath) return JSON.parse(await readFile(filePath, "utf8"));
+
+	const { books, authors, genres } = await import("../modules/data.js");
+	return { books, authors, genres };
+};
+
+/**
+ * Prints the passed report, one issue per line followed by a summary.
+ *
+ * @param {import("../modules/catalog-validator.js").CatalogReport} report
+ * @param {string} source - The name of the validated catalog.
+ * @returns {void}
+ */
+const printReport = (report, source) => {
+	const { bookCount, authorCount, genreCount, errorCount, warningCount } =
+		report;
+
+	report.issues.forEach(({ severity, code, message, bookId }) => {
+		const id = bookId ? ` (${bookId})` : "";
+		process.stdout.write(
+			`${severity.padEnd(7)} ${code.padEnd(15)} ${message}${id}\n`
+		);
+	});
+
+	if (report.issues.length) process.stdout.write("\n");
+	process.stdout.write(
+		`${source}: ${bookCount} books, ${authorCount} authors and ${genreCount} genres checked, ${errorCount} errors, ${warningCount} warnings.\n`
+	);
+};
+
+try {
+	const report = validateCatalog(await loadCatalog(file));
+
+	if (asJson) {
+		process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+	} else {
+		printReport(report, file || "modules/data.js");
+	}
+
+	if (report.errorCount) process.exitCode = 1;
+} catch (error) {
+	process.stderr.write(`Could not validate the catalog: ${error.message}\n`);
+	process.exitCode = 2;
+}
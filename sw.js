@@ -0,0 +1,221 @@
+// @ts-check
+
+/**
+ * The service worker making the app usable offline. The app shell (the page,
+ * its styles, scripts and the book catalog in `modules/data.js`) is precached
+ * when the worker is installed, and cover images are cached as they are
+ * displayed, up to {@link MAX_CACHED_COVERS} of them.
+ *
+ * The worker is a classic script rather than a module, as module service
+ * workers are not supported by every browser yet.
+ */
+
+/**
+ * The service worker's global scope.
+ * @type {ServiceWorkerGlobalScope}
+ */
+const worker = /** @type {any} */ (globalThis);
+
+/**
+ * The version of the caches. Bump it whenever a file is added to or removed
+ * from {@link APP_SHELL}, so that the previous caches are replaced.
+ * @type {number}
+ */
+const CACHE_VERSION = 10;
+
+/**
+ * The name of the cache holding the {@link APP_SHELL}.
+ * @type {string}
+ */
+const SHELL_CACHE = `book-connect-shell-v${CACHE_VERSION}`;
+
+/**
+ * The name of the cache holding the cover images.
+ * @type {string}
+ */
+const COVERS_CACHE = `book-connect-covers-v${CACHE_VERSION}`;
+
+/**
+ * The max number of cover images kept in the {@link COVERS_CACHE}. The
+ * covers cached first are removed once it is exceeded.
+ * @type {number}
+ */
+const MAX_CACHED_COVERS = 300;
+
+/**
+ * The files needed to start the app without a network connection, relative
+ * to the service worker.
+ * @type {string[]}
+ */
+const APP_SHELL = [
+	"./",
+	"./index.html",
+	"./scripts.js",
+	"./css/styles.css",
+	"./components/book-preview.js",
+	"./components/book-preview-dialog.js",
+	"./modules/book-authors.js",
+	"./modules/book-export.js",
+	"./modules/book-filters.js",
+	"./modules/books-preview.js",
+	"./modules/catalog-diagnostics.js",
+	"./modules/catalog-editor.js",
+	"./modules/catalog-import-panel.js",
+	"./modules/catalog-import.js",
+	"./modules/catalog-validator.js",
+	"./modules/catalog.js",
+	"./modules/covers.js",
+	"./modules/data-providers.js",
+	"./modules/data.js",
+	"./modules/dates.js",
+	"./modules/dom-manipulation.js",
+	"./modules/download.js",
+	"./modules/facets.js",
+	"./modules/favorites.js",
+	"./modules/fuzzy-match.js",
+	"./modules/list-settings.js",
+	"./modules/offline.js",
+	"./modules/ratings.js",
+	"./modules/reading-progress.js",
+	"./modules/router.js",
+	"./modules/search-engine.js",
+	"./modules/shelves.js",
+	"./modules/storage.js",
+	"./modules/theme-editor.js",
+	"./modules/theme.js",
+	"./modules/url-state.js",
+	"./meta/manifest.json",
+	"./meta/favicon.ico",
+	"./meta/favicon-16x16.png",
+	"./meta/favicon-32x32.png",
+];
+
+/**
+ * Removes the oldest covers from the {@link COVERS_CACHE} until at most
+ * {@link MAX_CACHED_COVERS} are left. The cache's keys are listed in the
+ * order the covers were added.
+ *
+ * @param {Cache} cache - The covers cache.
+ * @returns {Promise<void>}
+ */
+const trimCoversCache = async (cache) => {
+	const keys = await cache.keys();
+	const excessKeys = keys.slice(
+		0,
+		Math.max(0, keys.length - MAX_CACHED_COVERS)
+	);
+
+	await Promise.all(excessKeys.map((key) => cache.delete(key)));
+};
+
+/**
+ * Fetches a cover image from its host. Covers are hosted on other origins, so
+ * they are requested with CORS to get a response whose status can be read.
+ * Hosts without CORS headers get the page's own request, whose opaque response
+ * is displayed but not cached: its status is unknown, and browsers count every
+ * opaque response as several megabytes of the storage quota.
+ *
+ * @param {Request} request - The request of the cover image.
+ * @returns {Promise<Response>}
+ */
+const fetchCover = async (request) => {
+	try {
+		return await fetch(request.url, { mode: "cors", credentials: "omit" });
+	} catch (error) {
+		return fetch(request);
+	}
+};
+
+/**
+ * Responds with the cached cover image if there is one, or fetches it
+ * otherwise (see {@link fetchCover}). Only successful responses are cached.
+ *
+ * @param {Request} request - The request of the cover image.
+ * @returns {Promise<Response>}
+ */
+const respondWithCover = async (request) => {
+	const cache = await caches.open(COVERS_CACHE);
+	const cachedResponse = await cache.match(request);
+	if (cachedResponse) return cachedResponse;
+
+	const response = await fetchCover(request);
+
+	if (response.ok) {
+		await cache.put(request, response.clone());
+		await trimCoversCache(cache);
+	}
+
+	return response;
+};
+
+/**
+ * Responds with a file of the app itself from the network, so that changes
+ * are picked up as soon as they are deployed, and updates its cached copy.
+ * The cached copy is used when there is no network connection, falling back
+ * to the cached page for navigation requests (e.g. a URL with a query
+ * string).
+ *
+ * @param {Request} request - The request of a file of the app.
+ * @returns {Promise<Response>}
+ */
+const respondWithAppFile = async (request) => {
+	const cache = await caches.open(SHELL_CACHE);
+
+	try {
+		const response = await fetch(request);
+
+		// The query string only holds the app's state (see `url-state.js`), so
+		// the page is cached once rather than for every filtered view.
+		const url = new URL(request.url);
+		url.search = "";
+		if (response.ok) await cache.put(url, response.clone());
+
+		return response;
+	} catch (error) {
+		const cachedResponse =
+			(await cache.match(request, { ignoreSearch: true })) ||
+			(request.mode === "navigate" && (await cache.match("./index.html")));
+
+		if (!cachedResponse) throw error;
+		return cachedResponse;
+	}
+};
+
+worker.addEventListener("install", (event) => {
+	event.waitUntil(
+		caches
+			.open(SHELL_CACHE)
+			.then((cache) => cache.addAll(APP_SHELL))
+			.then(() => worker.skipWaiting())
+	);
+});
+
+worker.addEventListener("activate", (event) => {
+	const currentCaches = [SHELL_CACHE, COVERS_CACHE];
+
+	event.waitUntil(
+		caches
+			.keys()
+			.then((names) =>
+				Promise.all(
+					names
+						.filter((name) => !currentCaches.includes(name))
+						.map((name) => caches.delete(name))
+				)
+			)
+			.then(() => worker.clients.claim())
+	);
+});
+
+worker.addEventListener("fetch", (event) => {
+	const { request } = event;
+	if (request.method !== "GET") return;
+
+	const isSameOrigin = new URL(request.url).origin === worker.location.origin;
+
+	if (isSameOrigin) {
+		event.respondWith(respondWithAppFile(request));
+	} else if (request.destination === "image") {
+		event.respondWith(respondWithCover(request));
+	}
+});
@@ -0,0 +1,14 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import getAuthorIds from "../modules/book-authors.js";
+
+describe("getAuthorIds", () => {
+	it("prefers the authors list over the single author", () => {
+		assert.deepEqual(getAuthorIds({ author: "a", authors: ["b", "c"] }), [
+			"b",
+			"c",
+		]);
+		assert.deepEqual(getAuthorIds({ author: "a", authors: [] }), ["a"]);
+		assert.deepEqual(getAuthorIds({}), []);
+	});
+});
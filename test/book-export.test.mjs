@@ -0,0 +1,144 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./fake-window.mjs";
+import { exportBooks } from "../modules/book-export.js";
+import { parseCatalogImport } from "../modules/catalog-import.js";
+import { setShelf } from "../modules/shelves.js";
+import { setRating } from "../modules/ratings.js";
+import { setFavorite } from "../modules/favorites.js";
+import { authors, genres, books } from "./books.mjs";
+
+setShelf("shadows", "reading");
+setRating("shadows", 4);
+setFavorite("shadows", true);
+
+const [cosmos, shadows] = books;
+
+describe("exportBooks", () => {
+	it("exports books as CSV, with the names of their authors and genres", () => {
+		const { filename, content, type } = exportBooks("csv", [shadows], {
+			authors,
+			genres,
+			title: "Reading",
+		});
+		const [header, row] = content.split("\r\n");
+
+		assert.equal(filename, "reading.csv");
+		assert.equal(type, "text/csv");
+		assert.equal(
+			header,
+			"id,title,authors,genres,pages,published,description,image,shelf,rating,favorite"
+		);
+		assert.equal(
+			row,
+			"shadows,Shadows of Forgotten Ancestors,Carl Sagan; Ann Druyan,Science; Psychology,505,1992-06-01T00:00:00.000Z,How the human species came to be.,https://example.com/shadows.jpg,Reading,4,true"
+		);
+	});
+
+	it("quotes CSV cells with commas, quotes and line breaks", () => {
+		const { content } = exportBooks(
+			"csv",
+			[{ ...cosmos, title: 'The "Cosmos"', description: "Space, time" }],
+			{ authors, genres, title: "All books" }
+		);
+		const [, row] = content.split("\r\n");
+
+		assert.match(row, /^cosmos,"The ""Cosmos""",Carl Sagan,/);
+		assert.match(row, /,"Space, time",/);
+	});
+
+	it("neutralizes CSV cells that spreadsheet apps would run as formulas", () => {
+		const { content } = exportBooks(
+			"csv",
+			[
+				{ ...cosmos, title: '=HYPERLINK("https://example.com")' },
+				{ ...cosmos, title: "-2 + 2" },
+			],
+			{ authors, genres, title: "All books" }
+		);
+		const rows = content.split("\r\n");
+
+		assert.match(
+			rows[1],
+			/^cosmos,"'=HYPERLINK\(""https:\/\/example\.com""\)",/
+		);
+		assert.match(rows[2], /^cosmos,'-2 \+ 2,Carl Sagan,Science,396,/);
+	});
+
+	it("exports CSV files that can be imported again", () => {
+		const { content } = exportBooks("csv", [cosmos, shadows], {
+			authors,
+			genres,
+			title: "All books",
+		});
+		const result = parseCatalogImport(content, {
+			catalog: { authors, genres, books },
+		});
+
+		assert.deepEqual(result.errors, []);
+		assert.deepEqual(result.books, [cosmos, shadows]);
+	});
+
+	it("exports books as JSON", () => {
+		const { filename, content } = exportBooks("json", [shadows], {
+			authors,
+			genres,
+			title: "Reading",
+		});
+
+		assert.equal(filename, "reading.json");
+		assert.deepEqual(JSON.parse(content), [
+			{
+				id: "shadows",
+				title: "Shadows of Forgotten Ancestors",
+				authors: ["Carl Sagan", "Ann Druyan"],
+				genres: ["Science", "Psychology"],
+				pages: 505,
+				published: "1992-06-01T00:00:00.000Z",
+				description: "How the human species came to be.",
+				image: "https://example.com/shadows.jpg",
+				shelf: "Reading",
+				rating: 4,
+				favorite: true,
+			},
+		]);
+	});
+
+	it("exports books as an HTML reading list, escaping their text", () => {
+		const { content, type } = exportBooks(
+			"html",
+			[{ ...cosmos, title: "<Cosmos & co>" }],
+			{ authors, genres, title: "Sagan's books" }
+		);
+
+		assert.equal(type, "text/html");
+		assert.match(content, /<title>Sagan&#39;s books<\/title>/);
+		assert.match(content, /<strong>&lt;Cosmos &amp; co&gt;<\/strong>/);
+		assert.match(content, /Carl Sagan · 1980 · 396 pages · Science/);
+	});
+
+	it("names the file after the title, or a default name", () => {
+		const options = { authors, genres };
+
+		assert.equal(
+			exportBooks("csv", [], { ...options, title: "Want to read!" }).filename,
+			"want-to-read.csv"
+		);
+		assert.equal(
+			exportBooks("html", [], { ...options, title: "★ ★" }).filename,
+			"book-connect-export.html"
+		);
+	});
+
+	it("throws an error for an unsupported format", () => {
+		assert.throws(
+			() =>
+				exportBooks(/** @type {any} */ ("pdf"), books, {
+					authors,
+					genres,
+					title: "All",
+				}),
+			{ message: "pdf is not a supported export format" }
+		);
+	});
+});
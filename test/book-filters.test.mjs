@@ -0,0 +1,184 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./fake-window.mjs";
+import {
+	getBookRanges,
+	createDefaultFilters,
+	readSearchFilters,
+	filterBooks,
+} from "../modules/book-filters.js";
+import { setFavorite } from "../modules/favorites.js";
+import { setRating } from "../modules/ratings.js";
+import { books } from "./books.mjs";
+
+/** @type {import("../modules/book-filters.js").BookFilters} */
+const defaultFilters = {
+	title: "",
+	genres: [],
+	genreMatch: "any",
+	authors: [],
+	yearMin: null,
+	yearMax: null,
+	pagesMin: null,
+	pagesMax: null,
+	favoritesOnly: false,
+	ratingMin: 0,
+	sort: "relevance",
+};
+
+/**
+ * @param {Partial<import("../modules/book-filters.js").BookFilters>} filters
+ * @returns {string[]}
+ */
+const filterIds = (filters) =>
+	filterBooks(books, { ...defaultFilters, ...filters }).map(
+		(singleBook) => singleBook.id
+	);
+
+/**
+ * @param {Array<[string, string]>} entries
+ * @returns {FormData}
+ */
+const createFormData = (entries) => {
+	const formData = new FormData();
+	entries.forEach(([name, value]) => formData.append(name, value));
+	return formData;
+};
+
+describe("getBookRanges", () => {
+	it("spans the publication years and page counts of the books", () => {
+		assert.deepEqual(getBookRanges(books), {
+			year: { min: 1968, max: 2011 },
+			pages: { min: 183, max: 505 },
+		});
+	});
+
+	it("leaves out invalid dates and page counts", () => {
+		const ranges = getBookRanges([
+			...books,
+			{ ...books[0], published: "unknown", pages: Number.NaN },
+		]);
+
+		assert.deepEqual(ranges.year, { min: 1968, max: 2011 });
+		assert.deepEqual(ranges.pages, { min: 183, max: 505 });
+	});
+
+	it("has null bounds when there are no books", () => {
+		assert.deepEqual(getBookRanges([]), {
+			year: { min: null, max: null },
+			pages: { min: null, max: null },
+		});
+	});
+});
+
+describe("createDefaultFilters", () => {
+	it("spans the passed ranges in full", () => {
+		const filters = createDefaultFilters(getBookRanges(books));
+
+		assert.deepEqual(filters, {
+			...defaultFilters,
+			yearMin: 1968,
+			yearMax: 2011,
+			pagesMin: 183,
+			pagesMax: 505,
+		});
+		assert.equal(filterBooks(books, filters).length, books.length);
+	});
+});
+
+describe("readSearchFilters", () => {
+	it("reads every selected genre and author", () => {
+		const filters = readSearchFilters(
+			createFormData([
+				["title", "sagan"],
+				["genre", "science"],
+				["genre", "psychology"],
+				["genreMatch", "all"],
+				["author", "sagan"],
+				["yearMin", "1970"],
+				["yearMax", ""],
+				["pagesMax", "abc"],
+				["favorites", "only"],
+				["rating", "3"],
+			])
+		);
+
+		assert.deepEqual(filters, {
+			title: "sagan",
+			genres: ["science", "psychology"],
+			genreMatch: "all",
+			authors: ["sagan"],
+			yearMin: 1970,
+			yearMax: null,
+			pagesMin: null,
+			pagesMax: null,
+			favoritesOnly: true,
+			ratingMin: 3,
+			sort: "relevance",
+		});
+	});
+
+	it("reads the query string of the page's URL", () => {
+		const filters = readSearchFilters(
+			new URLSearchParams("genre=science&genre=fantasy&sort=title-asc")
+		);
+
+		assert.deepEqual(filters.genres, ["science", "fantasy"]);
+		assert.equal(filters.sort, "title-asc");
+	});
+
+	it("defaults to matching any genre", () => {
+		assert.equal(readSearchFilters(new FormData()).genreMatch, "any");
+	});
+});
+
+describe("filterBooks", () => {
+	it("keeps every book with the default filters", () => {
+		assert.deepEqual(filterIds({}), [
+			"cosmos",
+			"shadows",
+			"thinking",
+			"earthsea",
+		]);
+	});
+
+	it("matches any or all of the selected genres", () => {
+		const genres = ["science", "psychology"];
+
+		assert.deepEqual(filterIds({ genres }), ["cosmos", "shadows", "thinking"]);
+		assert.deepEqual(filterIds({ genres, genreMatch: "all" }), ["shadows"]);
+	});
+
+	it("matches the books of any selected author, including co-authors", () => {
+		assert.deepEqual(filterIds({ authors: ["sagan"] }), ["cosmos", "shadows"]);
+		assert.deepEqual(filterIds({ authors: ["druyan", "leguin"] }), [
+			"shadows",
+			"earthsea",
+		]);
+	});
+
+	it("matches the books within the year and page ranges", () => {
+		assert.deepEqual(filterIds({ yearMin: 1980, yearMax: 1992 }), [
+			"cosmos",
+			"shadows",
+		]);
+		assert.deepEqual(filterIds({ pagesMax: 400 }), ["cosmos", "earthsea"]);
+		assert.deepEqual(filterIds({ pagesMin: 500 }), ["shadows"]);
+	});
+	it("matches the user's favorites when only favorites are requested", () => {
+		setFavorite("thinking", true);
+		setFavorite("cosmos", true);
+
+		assert.deepEqual(filterIds({ favoritesOnly: true }), [
+			"cosmos",
+			"thinking",
+		]);
+	});
+	it("matches the books the user rated with at least the selected stars", () => {
+		setRating("shadows", 4);
+		setRating("earthsea", 2);
+
+		assert.deepEqual(filterIds({ ratingMin: 3 }), ["shadows"]);
+		assert.deepEqual(filterIds({ ratingMin: 2 }), ["shadows", "earthsea"]);
+	});
+});
@@ -0,0 +1,70 @@
+/**
+ * A small catalog shared by the tests, with a co-authored book, a book
+ * without genres and books spanning several decades.
+ */
+
+const authors = {
+	sagan: "Carl Sagan",
+	druyan: "Ann Druyan",
+	kahneman: "Daniel Kahneman",
+	leguin: "Ursula K. Le Guin",
+};
+
+const genres = {
+	science: "Science",
+	psychology: "Psychology",
+	fantasy: "Fantasy",
+};
+
+const books = [
+	{
+		id: "cosmos",
+		title: "Cosmos",
+		authors: ["sagan"],
+		author: "sagan",
+		genres: ["science"],
+		popularity: 30,
+		image: "https://example.com/cosmos.jpg",
+		description: "A tour of the universe and of the history of science.",
+		pages: 396,
+		published: "1980-06-01T00:00:00.000Z",
+	},
+	{
+		id: "shadows",
+		title: "Shadows of Forgotten Ancestors",
+		authors: ["sagan", "druyan"],
+		author: "sagan",
+		genres: ["science", "psychology"],
+		popularity: 10,
+		image: "https://example.com/shadows.jpg",
+		description: "How the human species came to be.",
+		pages: 505,
+		published: "1992-06-01T00:00:00.000Z",
+	},
+	{
+		id: "thinking",
+		title: "Thinking, Fast and Slow",
+		authors: ["kahneman"],
+		author: "kahneman",
+		genres: ["psychology"],
+		popularity: 40,
+		image: "https://example.com/thinking.jpg",
+		description: "The two systems that drive the way we think.",
+		pages: 499,
+		published: "2011-06-01T00:00:00.000Z",
+	},
+	{
+		id: "earthsea",
+		title: "A Wizard of Earthsea",
+		authors: ["leguin"],
+		author: "leguin",
+		genres: [],
+		popularity: 20,
+		image: "",
+		description: "A young wizard learns the true names of things.",
+		pages: 183,
+		published: "1968-06-01T00:00:00.000Z",
+	},
+];
+
+export { authors, genres, books };
@@ -0,0 +1,178 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+	parseCSV,
+	detectImportFormat,
+	parseCatalogImport,
+} from "../modules/catalog-import.js";
+import { authors, genres, books } from "./books.mjs";
+
+const catalog = { authors, genres, books };
+
+/**
+ * Returns the local date of the passed ISO date, as `[year, month, day]`.
+ *
+ * @param {string} value
+ * @returns {number[]}
+ */
+const toLocalDate = (value) => {
+	const date = new Date(value);
+	return [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+};
+
+describe("parseCSV", () => {
+	it("reads quoted cells with commas, quotes and line breaks", () => {
+		assert.deepEqual(parseCSV('a,"b, ""c""","d\ne"\r\n1,2,3\n'), [
+			["a", 'b, "c"', "d\ne"],
+			["1", "2", "3"],
+		]);
+	});
+});
+
+describe("detectImportFormat", () => {
+	it("detects JSON, Goodreads exports and CSV", () => {
+		assert.equal(detectImportFormat('  [{"title": "Cosmos"}]'), "json");
+		assert.equal(
+			detectImportFormat("\uFEFFBook Id,Title,Author,Bookshelves\n1,A,B,C"),
+			"goodreads"
+		);
+		assert.equal(detectImportFormat("title,author\nCosmos,Carl Sagan"), "csv");
+	});
+});
+
+describe("parseCatalogImport", () => {
+	it("imports CSV books, matching authors and genres by name", () => {
+		const {
+			format,
+			books: imported,
+			authors: newAuthors,
+		} = parseCatalogImport(
+			[
+				"title,authors,genres,pages,published",
+				"Pale Blue Dot,carl sagan; Ann Druyan,Science,429,1994",
+				'Contact,"Carl Sagan",Fiction,432,1985-09-01',
+			].join("\n"),
+			{ catalog }
+		);
+
+		assert.equal(format, "csv");
+		assert.deepEqual(imported[0].authors, ["sagan", "druyan"]);
+		assert.equal(imported[0].author, "sagan");
+		assert.deepEqual(imported[0].genres, ["science"]);
+		assert.equal(imported[0].pages, 429);
+		assert.deepEqual(toLocalDate(imported[0].published), [1994, 1, 1]);
+		assert.deepEqual(toLocalDate(imported[1].published), [1985, 9, 1]);
+		assert.deepEqual(Object.values(newAuthors), []);
+		assert.ok(imported[0].popularity > 40);
+		assert.ok(imported[1].popularity > imported[0].popularity);
+	});
+
+	it("creates the authors and genres that are not in the catalog", () => {
+		const result = parseCatalogImport(
+			JSON.stringify([
+				{
+					title: "Kindred",
+					author: "Octavia E. Butler",
+					genres: ["Fiction"],
+					published: "1979",
+				},
+				{
+					title: "Dawn",
+					author: "Octavia E. Butler",
+					genres: "fiction",
+					published: "1987",
+				},
+			]),
+			{ catalog }
+		);
+		const [first, second] = result.books;
+
+		assert.equal(result.format, "json");
+		assert.equal(result.authors[first.author], "Octavia E. Butler");
+		assert.equal(result.genres[first.genres[0]], "Fiction");
+		assert.equal(second.author, first.author);
+		assert.deepEqual(second.genres, first.genres);
+	});
+
+	it("creates authors and genres named like inherited properties", () => {
+		const result = parseCatalogImport(
+			JSON.stringify([
+				{
+					title: "Odd names",
+					author: "constructor",
+					genres: ["toString"],
+					published: "2000",
+				},
+			]),
+			{ catalog }
+		);
+		const [singleBook] = result.books;
+
+		assert.equal(result.authors[singleBook.author], "constructor");
+		assert.equal(result.genres[singleBook.genres[0]], "toString");
+	});
+
+	it("keeps the popularity of the catalog book an import replaces", () => {
+		const { books: imported } = parseCatalogImport(
+			"id,title,author,genres,published\ncosmos,Cosmos,Carl Sagan,Science,1980",
+			{ catalog }
+		);
+
+		assert.equal(imported[0].popularity, 30);
+	});
+
+	it("reports the rows that cannot be imported", () => {
+		const { books: imported, errors } = parseCatalogImport(
+			[
+				"title,author,pages,published",
+				",Carl Sagan,100,1980",
+				"Cosmos,Carl Sagan,many,2001-02-30",
+				"Contact,Carl Sagan,432,1985",
+			].join("\n"),
+			{ catalog }
+		);
+
+		assert.equal(imported.length, 1);
+		assert.deepEqual(
+			errors.map(({ row }) => row),
+			[2, 3]
+		);
+		assert.deepEqual(errors[1].messages, [
+			'The page count "many" is not a whole number',
+			'The publication date "2001-02-30" is not a valid year or YYYY-MM-DD date',
+		]);
+	});
+
+	it("reads the authors, shelves and ISBN of a Goodreads export", () => {
+		const {
+			format,
+			books: imported,
+			genres: newGenres,
+		} = parseCatalogImport(
+			[
+				"Book Id,Title,Author,Additional Authors,ISBN,Bookshelves,Number of Pages,Year Published",
+				'42,Comet,Carl Sagan,Ann Druyan,"=""0345412222""","science, to-read",496,1985',
+			].join("\n"),
+			{ catalog }
+		);
+
+		assert.equal(format, "goodreads");
+		assert.equal(imported[0].id, "goodreads-42");
+		assert.deepEqual(imported[0].authors, ["sagan", "druyan"]);
+		assert.deepEqual(imported[0].genres, ["science"]);
+		assert.deepEqual(newGenres, {});
+		assert.equal(
+			imported[0].image,
+			"https://covers.openlibrary.org/b/isbn/0345412222-L.jpg"
+		);
+	});
+
+	it("throws an error for a file without books", () => {
+		assert.throws(() => parseCatalogImport("{", { catalog }), {
+			message: "The file is not valid JSON",
+		});
+		assert.throws(() => parseCatalogImport("title,author\n", { catalog }), {
+			message: "The file has no books",
+		});
+	});
+});
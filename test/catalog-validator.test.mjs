@@ -0,0 +1,103 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import validateCatalog from "../modules/catalog-validator.js";
+import { authors, genres, books } from "./books.mjs";
+
+/**
+ * Validates the test catalog with the passed books, and returns the codes of
+ * the issues found.
+ *
+ * @param {unknown[]} catalogBooks
+ * @returns {string[]}
+ */
+const validateBooks = (catalogBooks) =>
+	validateCatalog({ authors, genres, books: catalogBooks }).issues.map(
+		({ code }) => code
+	);
+
+describe("validateCatalog", () => {
+	it("reports the gaps the app copes with as warnings", () => {
+		const report = validateCatalog({ authors, genres, books });
+
+		assert.equal(report.bookCount, 4);
+		assert.equal(report.authorCount, 4);
+		assert.equal(report.genreCount, 3);
+		assert.equal(report.errorCount, 0);
+		assert.deepEqual(
+			report.issues.map(({ code, bookId }) => [code, bookId]),
+			[
+				["no-genres", "earthsea"],
+				["missing-image", "earthsea"],
+			]
+		);
+	});
+
+	it("reports missing fields and fields of the wrong type", () => {
+		const { title, ...untitled } = books[0];
+
+		assert.deepEqual(validateBooks([untitled]), ["missing-field"]);
+		assert.deepEqual(validateBooks([{ ...books[0], pages: "396" }]), [
+			"invalid-type",
+		]);
+		assert.deepEqual(validateBooks([{ ...books[0], pages: 39.5 }]), [
+			"invalid-type",
+		]);
+		assert.deepEqual(validateBooks([null]), ["invalid-book"]);
+	});
+
+	it("reports unknown authors and genres, including inherited names", () => {
+		assert.deepEqual(
+			validateBooks([
+				{
+					...books[0],
+					authors: ["sagan", "constructor"],
+					genres: ["toString"],
+				},
+			]),
+			["dangling-author", "dangling-genre"]
+		);
+	});
+
+	it("reports books without authors, or with mismatched authors", () => {
+		const { author, authors: authorIds, ...anonymous } = books[0];
+
+		assert.deepEqual(validateBooks([anonymous]), ["missing-field"]);
+		assert.deepEqual(validateBooks([{ ...books[0], author: "druyan" }]), [
+			"author-mismatch",
+		]);
+	});
+
+	it("accepts books with only one of the author fields", () => {
+		const { author, ...withList } = books[1];
+		const { authors: authorIds, ...withSingleAuthor } = books[0];
+
+		assert.deepEqual(validateBooks([withList, withSingleAuthor]), []);
+	});
+
+	it("reports invalid dates, including days that do not exist", () => {
+		assert.deepEqual(
+			validateBooks([
+				{ ...books[0], published: "1980-06-01" },
+				{ ...books[1], published: "1992-02-30T00:00:00.000Z" },
+				{ ...books[2], published: "2011-10-25T00:00:00Z" },
+			]),
+			["invalid-date", "invalid-date"]
+		);
+	});
+
+	it("reports duplicate IDs", () => {
+		assert.deepEqual(validateBooks([books[0], { ...books[1], id: "cosmos" }]), [
+			"duplicate-id",
+		]);
+	});
+
+	it("reports a catalog without books or names", () => {
+		const report = validateCatalog({ books: {}, authors: [], genres });
+
+		assert.deepEqual(
+			report.issues.map(({ code }) => code),
+			["invalid-catalog", "invalid-catalog"]
+		);
+		assert.equal(report.bookCount, 0);
+	});
+});
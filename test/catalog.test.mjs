@@ -0,0 +1,182 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { localStorage } from "./fake-window.mjs";
+import { Catalog, getNextPopularity } from "../modules/catalog.js";
+import { books, authors, genres } from "./books.mjs";
+
+/**
+ * Creates a catalog recording the statuses it announces.
+ *
+ * @returns {{ catalog: Catalog, statuses: string[] }}
+ */
+const createCatalog = () => {
+	const catalog = new Catalog();
+	/** @type {string[]} */
+	const statuses = [];
+	catalog.addEventListener("catalogStatusChanged", (event) => {
+		statuses.push(/** @type {CustomEvent} */ (event).detail.status);
+	});
+	return { catalog, statuses };
+};
+
+/** @type {import("../modules/data-providers.js").DataProvider} */
+const provider = { load: async () => ({ books, authors, genres }) };
+
+afterEach(() => {
+	localStorage.isFull = false;
+	localStorage.clear();
+});
+
+describe("Catalog", () => {
+	it("announces loading, then ready with the loaded catalog", async () => {
+		const { catalog, statuses } = createCatalog();
+
+		await catalog.load(provider);
+
+		assert.deepEqual(statuses, ["loading", "ready"]);
+		assert.deepEqual(catalog.books, books);
+		assert.deepEqual(catalog.authors, authors);
+		assert.deepEqual(catalog.genres, genres);
+		assert.equal(catalog.findBook("thinking")?.title, books[2].title);
+		assert.equal(catalog.findBook("missing"), undefined);
+	});
+
+	it("keeps the current catalog and reports the error on failure", async () => {
+		const { catalog, statuses } = createCatalog();
+		await catalog.load(provider);
+
+		await catalog.load({
+			load: () => Promise.reject(new Error("Server down")),
+		});
+
+		assert.deepEqual(statuses, ["loading", "ready", "loading", "error"]);
+		assert.equal(catalog.status, "error");
+		assert.equal(catalog.error?.message, "Server down");
+		assert.deepEqual(catalog.books, books);
+	});
+
+	it("wraps rejections that are not errors", async () => {
+		const { catalog } = createCatalog();
+
+		// eslint-disable-next-line prefer-promise-reject-errors
+		await catalog.load({ load: () => Promise.reject("timeout") });
+
+		assert.ok(catalog.error instanceof Error);
+		assert.equal(catalog.error.message, "timeout");
+	});
+
+	it("merges books into the catalog, and keeps them when reloaded", async () => {
+		const { catalog } = createCatalog();
+		await catalog.load(provider);
+		let changes = 0;
+		catalog.addEventListener("catalogChanged", () => {
+			changes += 1;
+		});
+
+		catalog.merge({
+			books: [
+				{ ...books[0], title: "Cosmos (revised)" },
+				{ ...books[3], id: "tombs", title: "The Tombs of Atuan" },
+			],
+			authors: {},
+			genres: { fiction: "Fiction" },
+		});
+
+		assert.equal(changes, 1);
+		assert.deepEqual(
+			catalog.books.map(({ title }) => title),
+			[
+				"Cosmos (revised)",
+				...books.slice(1).map(({ title }) => title),
+				"The Tombs of Atuan",
+			]
+		);
+		assert.equal(catalog.genres.fiction, "Fiction");
+
+		const reloaded = new Catalog();
+		await reloaded.load(provider);
+		assert.deepEqual(reloaded.books, catalog.books);
+		assert.deepEqual(reloaded.genres, catalog.genres);
+	});
+
+	it("deletes books, and restores them when they are merged again", async () => {
+		const { catalog } = createCatalog();
+		await catalog.load(provider);
+
+		catalog.deleteBook("cosmos");
+		assert.equal(catalog.findBook("cosmos"), undefined);
+		assert.equal(catalog.hasChanges, true);
+
+		catalog.saveBook(books[0]);
+		assert.deepEqual(catalog.findBook("cosmos"), books[0]);
+	});
+
+	it("deletes, renames and restores authors and genres", async () => {
+		const { catalog } = createCatalog();
+		await catalog.load(provider);
+
+		catalog.saveGenre("fantasy", "Fantasy fiction");
+		catalog.saveAuthor("butler", "Octavia E. Butler");
+		catalog.deleteAuthor("butler");
+
+		assert.equal(catalog.genres.fantasy, "Fantasy fiction");
+		assert.equal("butler" in catalog.authors, false);
+
+		catalog.saveAuthor("butler", "Octavia Butler");
+		assert.equal(catalog.authors.butler, "Octavia Butler");
+	});
+
+	it("refuses to delete the authors and genres of books", async () => {
+		const { catalog } = createCatalog();
+		await catalog.load(provider);
+
+		assert.throws(() => catalog.deleteAuthor("sagan"), {
+			message: "Carl Sagan is an author of 2 books",
+		});
+		assert.throws(() => catalog.deleteAuthor("druyan"), {
+			message: "Ann Druyan is an author of 1 book",
+		});
+		assert.throws(() => catalog.deleteGenre("psychology"), {
+			message: "2 books have the genre Psychology",
+		});
+		assert.equal(catalog.hasChanges, false);
+	});
+
+	it("discards every change, restoring the loaded catalog", async () => {
+		const { catalog } = createCatalog();
+		await catalog.load(provider);
+		catalog.deleteBook("thinking");
+		catalog.saveGenre("poetry", "Poetry");
+
+		catalog.discardChanges();
+
+		assert.equal(catalog.hasChanges, false);
+		assert.deepEqual(catalog.books, books);
+		assert.deepEqual(catalog.genres, genres);
+
+		const reloaded = new Catalog();
+		await reloaded.load(provider);
+		assert.deepEqual(reloaded.books, books);
+	});
+
+	it("applies a change that cannot be stored, and reports it", async () => {
+		const { catalog } = createCatalog();
+		await catalog.load(provider);
+		localStorage.isFull = true;
+
+		assert.equal(catalog.saveGenre("poetry", "Poetry"), false);
+		assert.equal(catalog.deleteBook("cosmos"), false);
+		assert.equal(catalog.genres.poetry, "Poetry");
+		assert.equal(catalog.findBook("cosmos"), undefined);
+
+		localStorage.isFull = false;
+		assert.equal(catalog.discardChanges(), true);
+	});
+});
+
+describe("getNextPopularity", () => {
+	it("ranks new books after the least popular book", () => {
+		assert.equal(getNextPopularity(books), 41);
+		assert.equal(getNextPopularity([]), 1);
+	});
+});
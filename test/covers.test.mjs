@@ -0,0 +1,52 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getInitials, createCoverPlaceholder } from "../modules/covers.js";
+
+/**
+ * @param {string} url
+ * @returns {string} The SVG markup of the data URL.
+ */
+const decodePlaceholder = (url) =>
+	decodeURIComponent(url.replace("data:image/svg+xml,", ""));
+
+describe("getInitials", () => {
+	it("returns the initials of the first two words", () => {
+		assert.equal(getInitials("the hobbit or there and back"), "TH");
+		assert.equal(getInitials("Émile, ou De l'éducation"), "ÉO");
+		assert.equal(getInitials("- 1984 -"), "1");
+	});
+});
+
+describe("createCoverPlaceholder", () => {
+	it("displays the initials on the genre's color", () => {
+		const svg = decodePlaceholder(
+			createCoverPlaceholder({ title: "Cosmos", genre: "science" })
+		);
+
+		assert.match(svg, />C<\/text>/);
+		assert.match(svg, /fill="hsl\(\d+, 40%, 45%\)"/);
+	});
+
+	it("gives every genre the same color, and books without one a grey", () => {
+		const placeholder = createCoverPlaceholder({
+			title: "A",
+			genre: "science",
+		});
+
+		assert.equal(
+			createCoverPlaceholder({ title: "A", genre: "science" }),
+			placeholder
+		);
+		assert.match(
+			decodePlaceholder(createCoverPlaceholder({ title: "A", genre: null })),
+			/fill="hsl\(0, 0%, 55%\)"/
+		);
+	});
+
+	it("escapes the characters that would end a CSS url() value", () => {
+		assert.doesNotMatch(
+			createCoverPlaceholder({ title: "(It's)", genre: null }),
+			/[()'"]/
+		);
+	});
+});
@@ -0,0 +1,176 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { readFile } from "node:fs/promises";
+import { createServer } from "node:net";
+import {
+	assertCatalogData,
+	createDataProvider,
+	createJsonDataProvider,
+	createRestDataProvider,
+	createStaticDataProvider,
+} from "../modules/data-providers.js";
+import { authors, genres, books } from "./books.mjs";
+
+const fixture = JSON.parse(
+	await readFile(new URL("../fixtures/catalog.json", import.meta.url), "utf8")
+);
+
+/**
+ * Finds a port no other process is listening on.
+ *
+ * @returns {Promise<number>}
+ */
+const findFreePort = async () => {
+	const server = createServer().listen(0);
+	await once(server, "listening");
+	const { port } = /** @type {import("node:net").AddressInfo} */ (
+		server.address()
+	);
+	server.close();
+	await once(server, "close");
+	return port;
+};
+
+/**
+ * Starts `fixtures/mock-server.js` with the passed options, resolving once it
+ * is listening.
+ *
+ * @param {string[]} [args]
+ * @returns {Promise<{ url: string, stop: () => Promise<void> }>}
+ */
+const startMockServer = async (args = []) => {
+	const port = await findFreePort();
+	const server = spawn(
+		process.execPath,
+		[new URL("../fixtures/mock-server.js", import.meta.url).pathname, ...args],
+		{ env: { ...process.env, PORT: String(port) } }
+	);
+	await once(server.stdout, "data");
+
+	return {
+		url: `http://localhost:${port}`,
+		stop: async () => {
+			server.kill();
+			await once(server, "exit");
+		},
+	};
+};
+
+describe("assertCatalogData", () => {
+	it("returns the books, authors and genres of a valid catalog", () => {
+		const data = { books: [], authors: { a: "A" }, genres: {}, extra: 1 };
+
+		assert.deepEqual(assertCatalogData(data, "test"), {
+			books: [],
+			authors: { a: "A" },
+			genres: {},
+		});
+	});
+
+	it("rejects catalogs with invalid books, naming the first error", () => {
+		const data = {
+			books: [
+				{ ...books[0], genres: ["poetry"] },
+				{ ...books[1], pages: "505" },
+			],
+			authors,
+			genres,
+		};
+
+		assert.throws(() => assertCatalogData(data, "test"), {
+			message:
+				'The catalog loaded from test is not valid: "Cosmos" has the unknown genre "poetry" (and 1 more error)',
+		});
+		assert.deepEqual(assertCatalogData({ books, authors, genres }, "test"), {
+			books,
+			authors,
+			genres,
+		});
+	});
+
+	it("rejects data without the shape of a catalog", () => {
+		assert.throws(() => assertCatalogData(null, "test"), /not an object/);
+		assert.throws(
+			() => assertCatalogData({ books: {}, authors: {}, genres: {} }, "test"),
+			/no list of books/
+		);
+		assert.throws(
+			() => assertCatalogData({ books: [], authors: [], genres: {} }, "test"),
+			/no valid authors and genres/
+		);
+		assert.throws(
+			() =>
+				assertCatalogData({ books: [], authors: {}, genres: { a: 1 } }, "test"),
+			/no valid authors and genres/
+		);
+	});
+});
+
+describe("createDataProvider", () => {
+	it("rejects unsupported types and missing URLs", () => {
+		assert.throws(
+			() => createDataProvider(/** @type {any} */ ("xml")),
+			/not a supported data provider/
+		);
+		assert.throws(() => createDataProvider("rest"), /needs a URL/);
+	});
+});
+
+describe("static data provider", () => {
+	it("loads the catalog bundled with the app", async () => {
+		const data = await createStaticDataProvider().load();
+
+		assert.ok(data.books.length > 0);
+		assert.ok(Object.keys(data.authors).length > 0);
+		assert.ok(Object.keys(data.genres).length > 0);
+	});
+});
+
+describe("JSON and REST data providers", () => {
+	/** @type {{ url: string, stop: () => Promise<void> }} */
+	let server;
+
+	before(async () => {
+		server = await startMockServer();
+	});
+
+	after(() => server.stop());
+
+	it("loads the catalog from a JSON file", async () => {
+		const provider = createJsonDataProvider(`${server.url}/catalog.json`);
+
+		assert.deepEqual(await provider.load(), fixture);
+	});
+
+	it("loads the catalog from the resources of a REST API", async () => {
+		const provider = createRestDataProvider(`${server.url}/`);
+
+		assert.deepEqual(await provider.load(), fixture);
+	});
+
+	it("rejects with the status of a failed request", async () => {
+		const provider = createJsonDataProvider(`${server.url}/missing.json`);
+
+		await assert.rejects(provider.load(), /Could not load .* \(404/);
+	});
+});
+
+describe("data providers against a failing server", () => {
+	/** @type {{ url: string, stop: () => Promise<void> }} */
+	let server;
+
+	before(async () => {
+		server = await startMockServer(["--fail"]);
+	});
+
+	after(() => server.stop());
+
+	it("rejects when the REST API answers with an error", async () => {
+		await assert.rejects(
+			createRestDataProvider(server.url).load(),
+			/Could not load .* \(500/
+		);
+	});
+});
@@ -0,0 +1,38 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { isISODate, toLocalISODate } from "../modules/dates.js";
+
+/**
+ * Returns the local date of the passed ISO date, as `[year, month, day]`.
+ *
+ * @param {string} value
+ * @returns {number[]}
+ */
+const toLocalDate = (value) => {
+	const date = new Date(value);
+	return [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+};
+
+describe("isISODate", () => {
+	it("accepts dates in the format of toISOString", () => {
+		assert.equal(isISODate("2005-01-01T00:00:00.000Z"), true);
+		assert.equal(isISODate("2005-01-01T00:00:00Z"), true);
+	});
+
+	it("rejects other formats and days that do not exist", () => {
+		assert.equal(isISODate("2005-01-01"), false);
+		assert.equal(isISODate("2005-02-30T00:00:00.000Z"), false);
+	});
+});
+
+describe("toLocalISODate", () => {
+	it("returns the local midnight of the passed day", () => {
+		assert.deepEqual(toLocalDate(toLocalISODate(1999, 12, 31)), [1999, 12, 31]);
+		assert.deepEqual(toLocalDate(toLocalISODate(50, 1, 1)), [50, 1, 1]);
+	});
+
+	it("returns null for days that do not exist", () => {
+		assert.equal(toLocalISODate(2001, 2, 29), null);
+		assert.equal(toLocalISODate(2001, 13, 1), null);
+	});
+});
@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./fake-window.mjs";
+import countFacets from "../modules/facets.js";
+import { books } from "./books.mjs";
+
+/** @type {import("../modules/book-filters.js").BookFilters} */
+const defaultFilters = {
+	title: "",
+	genres: [],
+	genreMatch: "any",
+	authors: [],
+	yearMin: null,
+	yearMax: null,
+	pagesMin: null,
+	pagesMax: null,
+	favoritesOnly: false,
+	ratingMin: 0,
+	sort: "relevance",
+};
+
+describe("countFacets", () => {
+	it("counts the books of an author regardless of the selected authors", () => {
+		const counts = countFacets(books, {
+			...defaultFilters,
+			authors: ["kahneman"],
+		});
+
+		assert.equal(counts.authors.get("sagan"), 2);
+		assert.equal(counts.authors.get("druyan"), 1);
+		assert.equal(counts.authors.get("kahneman"), 1);
+		assert.equal(counts.genres.get("psychology"), 1);
+		assert.equal(counts.genres.get("science"), undefined);
+	});
+
+	it("counts the books of a genre regardless of the selected genres", () => {
+		const counts = countFacets(books, {
+			...defaultFilters,
+			genres: ["science"],
+		});
+
+		assert.equal(counts.genres.get("science"), 2);
+		assert.equal(counts.genres.get("psychology"), 2);
+		assert.equal(counts.authors.get("kahneman"), undefined);
+	});
+
+	it("counts the matching books having a genre when all genres must match", () => {
+		const counts = countFacets(books, {
+			...defaultFilters,
+			genres: ["science"],
+			genreMatch: "all",
+		});
+
+		assert.equal(counts.genres.get("science"), 2);
+		assert.equal(counts.genres.get("psychology"), 1);
+		assert.equal(counts.genres.get("fantasy"), undefined);
+	});
+
+	it("leaves out the books outside the selected ranges", () => {
+		const counts = countFacets(books, { ...defaultFilters, yearMax: 1990 });
+
+		assert.equal(counts.authors.get("sagan"), 1);
+		assert.equal(counts.authors.get("leguin"), 1);
+		assert.equal(counts.authors.get("kahneman"), undefined);
+	});
+});
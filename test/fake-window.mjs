@@ -0,0 +1,102 @@
+/**
+ * Stand-ins for the parts of the browser's `window` and `document` that the
+ * app's modules use when they are loaded. Importing this module installs
+ * them as globals, so test files import it before the modules they test.
+ */
+
+/** An in-memory `localStorage`. */
+class MemoryStorage {
+	/** @type {Map<string, string>} */
+	#items = new Map();
+
+	/** Makes the next `setItem` calls fail, as a full storage would. */
+	isFull = false;
+
+	/**
+	 * @param {string} key
+	 * @returns {string | null}
+	 */
+	getItem(key) {
+		return this.#items.has(key) ? this.#items.get(key) : null;
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {string} value
+	 */
+	setItem(key, value) {
+		if (this.isFull) throw new Error("The quota has been exceeded");
+		this.#items.set(key, String(value));
+	}
+
+	/** @param {string} key */
+	removeItem(key) {
+		this.#items.delete(key);
+	}
+
+	clear() {
+		this.#items.clear();
+	}
+}
+
+const localStorage = new MemoryStorage();
+
+/** The `prefers-color-scheme: dark` media query, which the tests can change. */
+const colorScheme = Object.assign(new EventTarget(), {
+	matches: false,
+
+	/** @param {boolean} matches */
+	setMatches(matches) {
+		colorScheme.matches = matches;
+		colorScheme.dispatchEvent(new Event("change"));
+	},
+});
+
+const fakeWindow = Object.assign(new EventTarget(), {
+	localStorage,
+	matchMedia: () => colorScheme,
+});
+
+/** @type {Map<string, string>} */
+const rootAttributes = new Map();
+
+/** @type {Map<string, string>} */
+const rootProperties = new Map();
+
+const fakeDocument = {
+	documentElement: {
+		style: {
+			/**
+			 * @param {string} name
+			 * @param {string} value
+			 */
+			setProperty: (name, value) => rootProperties.set(name, value),
+			/** @param {string} name */
+			getPropertyValue: (name) => rootProperties.get(name) ?? "",
+		},
+		/**
+		 * @param {string} name
+		 * @param {string} value
+		 */
+		setAttribute: (name, value) => rootAttributes.set(name, value),
+		/** @param {string} name */
+		getAttribute: (name) => rootAttributes.get(name) ?? null,
+	},
+};
+
+/**
+ * Stores the passed value like another tab of the app would, dispatching a
+ * `storage` event.
+ *
+ * @param {string} key - The key, with its prefix.
+ * @param {string} value
+ */
+const storeFromOtherTab = (key, value) => {
+	localStorage.setItem(key, value);
+	fakeWindow.dispatchEvent(Object.assign(new Event("storage"), { key }));
+};
+
+globalThis.window = /** @type {any} */ (fakeWindow);
+globalThis.document = /** @type {any} */ (fakeDocument);
+
+export { localStorage, storeFromOtherTab, colorScheme, fakeDocument };
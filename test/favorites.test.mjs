@@ -0,0 +1,38 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { localStorage, storeFromOtherTab } from "./fake-window.mjs";
+
+localStorage.setItem("book-connect:favorites", '["cosmos", 42]');
+
+const { isFavorite, setFavorite } = await import("../modules/favorites.js");
+
+describe("favorites", () => {
+	it("reads the stored favorites, leaving out anything but IDs", () => {
+		assert.equal(isFavorite("cosmos"), true);
+		assert.equal(isFavorite("42"), false);
+		assert.equal(isFavorite("earthsea"), false);
+	});
+
+	it("adds and removes favorites, and stores them", () => {
+		setFavorite("earthsea", true);
+		setFavorite("cosmos", false);
+
+		assert.equal(isFavorite("earthsea"), true);
+		assert.equal(isFavorite("cosmos"), false);
+		assert.equal(
+			localStorage.getItem("book-connect:favorites"),
+			'["earthsea"]'
+		);
+	});
+
+	it("keeps the favorites changed in another tab", () => {
+		storeFromOtherTab("book-connect:favorites", '["earthsea", "thinking"]');
+		setFavorite("cosmos", true);
+
+		assert.equal(isFavorite("thinking"), true);
+		assert.equal(
+			localStorage.getItem("book-connect:favorites"),
+			'["earthsea","thinking","cosmos"]'
+		);
+	});
+});
@@ -0,0 +1,61 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+	FuzzyMatcher,
+	editDistance,
+	trigrams,
+} from "../modules/fuzzy-match.js";
+
+describe("editDistance", () => {
+	it("counts insertions, deletions and substitutions", () => {
+		assert.equal(editDistance("sagan", "sagan"), 0);
+		assert.equal(editDistance("", "dune"), 4);
+		assert.equal(editDistance("cosmos", "cosmo"), 1);
+		assert.equal(editDistance("kitten", "sitting"), 3);
+	});
+
+	it("counts a transposition of adjacent characters as one edit", () => {
+		assert.equal(editDistance("kanheman", "kahneman"), 1);
+	});
+});
+
+describe("trigrams", () => {
+	it("pads the text so that its first and last characters form trigrams", () => {
+		assert.deepEqual(
+			[...trigrams("Dune")],
+			["  d", " du", "dun", "une", "ne "]
+		);
+	});
+});
+
+describe("FuzzyMatcher", () => {
+	const matcher = new FuzzyMatcher([
+		"kahneman",
+		"sagan",
+		"saga",
+		"earthsea",
+		"sagan",
+	]);
+
+	it("finds the closest entries, then the ones sharing most trigrams", () => {
+		assert.deepEqual(matcher.findClosest("sagn"), [
+			{ entry: "sagan", distance: 1 },
+			{ entry: "saga", distance: 1 },
+		]);
+		assert.deepEqual(matcher.findClosest("KANHEMAN"), [
+			{ entry: "kahneman", distance: 1 },
+		]);
+	});
+
+	it("limits the number of matches", () => {
+		assert.equal(matcher.findClosest("sagn", 1).length, 1);
+	});
+
+	it("tolerates fewer typos in short queries", () => {
+		assert.deepEqual(matcher.findClosest("sgn"), []);
+		assert.deepEqual(matcher.findClosest("sagxx"), []);
+		assert.deepEqual(matcher.findClosest("earthsxx"), [
+			{ entry: "earthsea", distance: 2 },
+		]);
+	});
+});
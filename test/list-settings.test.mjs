@@ -0,0 +1,77 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { localStorage } from "./fake-window.mjs";
+import {
+	LAYOUTS,
+	PAGE_SIZES,
+	isListMode,
+	getListMode,
+	setListMode,
+	getPageSize,
+	setPageSize,
+	isLayout,
+	getLayout,
+	setLayout,
+} from "../modules/list-settings.js";
+
+beforeEach(() => localStorage.clear());
+
+describe("list mode", () => {
+	it("defaults to infinite scrolling", () => {
+		assert.equal(getListMode(), "scroll");
+
+		localStorage.setItem("book-connect:list-mode", '"carousel"');
+		assert.equal(getListMode(), "scroll");
+	});
+
+	it("stores the chosen list mode", () => {
+		setListMode("pages");
+
+		assert.equal(getListMode(), "pages");
+		assert.equal(isListMode("carousel"), false);
+		assert.throws(() => setListMode(/** @type {any} */ ("carousel")), {
+			message: "carousel is not a supported list mode",
+		});
+	});
+});
+
+describe("page size", () => {
+	it("defaults to 36 books, including for unsupported sizes", () => {
+		assert.equal(getPageSize(), 36);
+
+		localStorage.setItem("book-connect:page-size", "13");
+		assert.equal(getPageSize(), 36);
+	});
+
+	it("stores the chosen page size", () => {
+		setPageSize(PAGE_SIZES[0]);
+
+		assert.equal(getPageSize(), 12);
+		assert.throws(() => setPageSize(13), {
+			message: "13 is not a supported page size",
+		});
+	});
+});
+
+describe("layout", () => {
+	it("defaults to the comfortable list", () => {
+		assert.equal(getLayout(), "list");
+
+		localStorage.setItem("book-connect:layout", '"toString"');
+		assert.equal(getLayout(), "list");
+	});
+
+	it("stores the chosen layout", () => {
+		setLayout("compact");
+
+		assert.equal(getLayout(), "compact");
+		assert.deepEqual(Object.keys(LAYOUTS).filter(isLayout), [
+			"grid",
+			"list",
+			"compact",
+		]);
+		assert.throws(() => setLayout(/** @type {any} */ ("table")), {
+			message: "table is not a supported layout",
+		});
+	});
+});
@@ -0,0 +1,81 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { localStorage, storeFromOtherTab } from "./fake-window.mjs";
+
+localStorage.setItem(
+	"book-connect:ratings",
+	JSON.stringify({ cosmos: 4, thinking: 9, earthsea: 2.5 })
+);
+localStorage.setItem(
+	"book-connect:notes",
+	JSON.stringify({ cosmos: "Reread chapter 7", thinking: 3 })
+);
+
+const { MAX_RATING, getRating, setRating, getNotes, setNotes } = await import(
+	"../modules/ratings.js"
+);
+
+describe("ratings", () => {
+	it("reads the stored ratings, leaving out invalid numbers of stars", () => {
+		assert.equal(getRating("cosmos"), 4);
+		assert.equal(getRating("thinking"), null);
+		assert.equal(getRating("earthsea"), null);
+	});
+
+	it("rates a book or clears its rating, and stores the change", () => {
+		setRating("earthsea", MAX_RATING);
+		setRating("cosmos", null);
+
+		assert.equal(getRating("earthsea"), 5);
+		assert.equal(getRating("cosmos"), null);
+		assert.equal(
+			localStorage.getItem("book-connect:ratings"),
+			'{"earthsea":5}'
+		);
+	});
+
+	it("throws an error for an invalid number of stars", () => {
+		assert.throws(() => setRating("cosmos", 6), {
+			message: "6 is not a rating between 1 and 5",
+		});
+		assert.throws(() => setRating("cosmos", 0));
+	});
+});
+
+describe("notes", () => {
+	it("reads the stored notes, leaving out anything but text", () => {
+		assert.equal(getNotes("cosmos"), "Reread chapter 7");
+		assert.equal(getNotes("thinking"), "");
+	});
+
+	it("stores the notes, and removes blank ones", () => {
+		setNotes("earthsea", "Lend to Sam");
+		setNotes("cosmos", "  \n");
+
+		assert.equal(getNotes("earthsea"), "Lend to Sam");
+		assert.equal(getNotes("cosmos"), "");
+		assert.equal(
+			localStorage.getItem("book-connect:notes"),
+			'{"earthsea":"Lend to Sam"}'
+		);
+	});
+
+	it("keeps the ratings and notes changed in another tab", () => {
+		storeFromOtherTab("book-connect:ratings", '{"earthsea":5,"thinking":3}');
+		storeFromOtherTab("book-connect:notes", '{"thinking":"Chapter 2"}');
+		setRating("cosmos", 1);
+		setNotes("cosmos", "Borrowed");
+
+		assert.equal(getRating("thinking"), 3);
+		assert.equal(getNotes("thinking"), "Chapter 2");
+		assert.deepEqual(JSON.parse(localStorage.getItem("book-connect:ratings")), {
+			earthsea: 5,
+			thinking: 3,
+			cosmos: 1,
+		});
+		assert.deepEqual(JSON.parse(localStorage.getItem("book-connect:notes")), {
+			thinking: "Chapter 2",
+			cosmos: "Borrowed",
+		});
+	});
+});
@@ -0,0 +1,96 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { localStorage, storeFromOtherTab } from "./fake-window.mjs";
+import { books } from "./books.mjs";
+
+localStorage.setItem(
+	"book-connect:reading-progress",
+	JSON.stringify({
+		cosmos: [
+			{ page: 40, loggedAt: "2024-01-01T20:00:00.000Z" },
+			{ page: -1, loggedAt: "2024-01-02T20:00:00.000Z" },
+			{ page: 99, loggedAt: "2024-01-03T20:00:00.000Z" },
+		],
+	})
+);
+
+const {
+	getProgressHistory,
+	getCurrentPage,
+	getProgressPercentage,
+	logProgress,
+	getReadingSpeed,
+	setReadingSpeed,
+	formatTimeRemaining,
+} = await import("../modules/reading-progress.js");
+
+const [cosmos, , , earthsea] = books;
+
+describe("reading progress", () => {
+	it("reads the stored history, leaving out invalid entries", () => {
+		assert.deepEqual(
+			getProgressHistory("cosmos").map(({ page }) => page),
+			[40, 99]
+		);
+		assert.equal(getCurrentPage("cosmos"), 99);
+		assert.equal(getProgressPercentage(cosmos), 25);
+	});
+
+	it("has no progress for a book without logged pages", () => {
+		assert.deepEqual(getProgressHistory("earthsea"), []);
+		assert.equal(getCurrentPage("earthsea"), null);
+		assert.equal(getProgressPercentage(earthsea), null);
+	});
+
+	it("logs the page the user is on, and stores it", () => {
+		const entry = logProgress(earthsea, 183);
+
+		assert.equal(entry.page, 183);
+		assert.equal(getProgressPercentage(earthsea), 100);
+		assert.deepEqual(
+			JSON.parse(localStorage.getItem("book-connect:reading-progress"))
+				.earthsea,
+			[entry]
+		);
+	});
+
+	it("throws an error for a page outside the book", () => {
+		assert.throws(() => logProgress(earthsea, 184), {
+			message: '184 is not a page between 0 and 183 of "A Wizard of Earthsea"',
+		});
+		assert.throws(() => logProgress(earthsea, 1.5));
+	});
+
+	it("keeps the progress logged in another tab", () => {
+		const otherEntry = { page: 10, loggedAt: "2024-02-01T20:00:00.000Z" };
+		storeFromOtherTab(
+			"book-connect:reading-progress",
+			JSON.stringify({ cosmos: [otherEntry] })
+		);
+		const entry = logProgress(earthsea, 20);
+
+		assert.equal(getCurrentPage("cosmos"), 10);
+		assert.deepEqual(
+			JSON.parse(localStorage.getItem("book-connect:reading-progress")),
+			{ cosmos: [otherEntry], earthsea: [entry] }
+		);
+	});
+});
+
+describe("reading speed", () => {
+	it("defaults to 40 pages per hour, and stores the user's speed", () => {
+		assert.equal(getReadingSpeed(), 40);
+
+		setReadingSpeed(25);
+		assert.equal(getReadingSpeed(), 25);
+		assert.throws(() => setReadingSpeed(0), {
+			message: "0 is not a valid reading speed",
+		});
+	});
+
+	it("formats the time needed to read the pages left", () => {
+		assert.equal(formatTimeRemaining(10, 40), "15 min");
+		assert.equal(formatTimeRemaining(80, 40), "2 h");
+		assert.equal(formatTimeRemaining(90, 40), "2 h 15 min");
+	});
+});
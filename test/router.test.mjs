@@ -0,0 +1,149 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { Router } from "../modules/router.js";
+
+/**
+ * A stand-in for the browser window, with the parts of its location and
+ * history the router uses. Setting the hash adds a history entry, and setting
+ * it or going back dispatches a `hashchange` event, like browsers do.
+ */
+class FakeWindow extends EventTarget {
+	/** @type {string[]} The URLs of the history entries, oldest first. */
+	entries = ["/?title=sagan"];
+
+	constructor() {
+		super();
+
+		let hash = "";
+		const fakeWindow = this;
+
+		this.location = {
+			pathname: "/",
+			search: "?title=sagan",
+			get hash() {
+				return hash;
+			},
+			/** @param {string} value */
+			set hash(value) {
+				hash = value && !value.startsWith("#") ? `#${value}` : value;
+				fakeWindow.entries.push(`/?title=sagan${hash}`);
+				fakeWindow.dispatchEvent(new Event("hashchange"));
+			},
+		};
+
+		this.history = {
+			/**
+			 * @param {unknown} state
+			 * @param {string} title
+			 * @param {string} url
+			 */
+			pushState: (state, title, url) => {
+				this.entries.push(url);
+				hash = new URL(url, "http://localhost").hash;
+			},
+			/**
+			 * @param {unknown} state
+			 * @param {string} title
+			 * @param {string} url
+			 */
+			replaceState: (state, title, url) => {
+				this.entries[this.entries.length - 1] = url;
+				hash = new URL(url, "http://localhost").hash;
+			},
+			back: () => {
+				this.entries.pop();
+				hash = new URL(this.entries.at(-1) ?? "/", "http://localhost").hash;
+				this.dispatchEvent(new Event("hashchange"));
+			},
+		};
+	}
+}
+
+describe("Router", () => {
+	/** @type {FakeWindow} */
+	let fakeWindow;
+	/** @type {Array<[string, unknown]>} */
+	let calls;
+	/** @type {Router} */
+	let router;
+
+	beforeEach(() => {
+		fakeWindow = new FakeWindow();
+		globalThis.window = /** @type {any} */ (fakeWindow);
+
+		calls = [];
+		router = new Router()
+			.addRoute("/book/:id", (params) => calls.push(["book", params]))
+			.addRoute("/shelf/:name/page/:page", (params) =>
+				calls.push(["shelf", params])
+			)
+			.addRoute("/about.html", (params) => calls.push(["about", params]))
+			.setFallback((path) => calls.push(["fallback", path]));
+		router.start();
+	});
+
+	it("calls the fallback for an empty hash when it starts", () => {
+		assert.deepEqual(calls, [["fallback", ""]]);
+	});
+
+	it("passes the decoded values of the path's parameters", () => {
+		router.navigate("/book/a%20b");
+		router.navigate("/shelf/reading/page/2");
+
+		assert.deepEqual(calls.slice(1), [
+			["book", { id: "a b" }],
+			["shelf", { name: "reading", page: "2" }],
+		]);
+	});
+
+	it("passes malformed parameters on as they are", () => {
+		router.navigate("/book/%E0%A4%A");
+
+		assert.deepEqual(calls.slice(1), [["book", { id: "%E0%A4%A" }]]);
+	});
+
+	it("matches the whole path, and literal characters of the pattern", () => {
+		router.navigate("/book/1/reviews");
+		router.navigate("/aboutxhtml");
+		router.navigate("/about.html");
+
+		assert.deepEqual(calls.slice(1), [
+			["fallback", "/book/1/reviews"],
+			["fallback", "/aboutxhtml"],
+			["about", {}],
+		]);
+	});
+
+	it("clears a hash it navigated to by going back", () => {
+		router.navigate("/book/1");
+		router.clear();
+
+		assert.equal(fakeWindow.location.hash, "");
+		assert.deepEqual(fakeWindow.entries, ["/?title=sagan"]);
+		assert.deepEqual(calls.slice(1), [
+			["book", { id: "1" }],
+			["fallback", ""],
+		]);
+	});
+
+	it("clears other hashes by replacing the entry, keeping the query", () => {
+		fakeWindow.location.hash = "/book/1";
+		router.clear();
+
+		assert.equal(fakeWindow.location.hash, "");
+		assert.deepEqual(fakeWindow.entries, ["/?title=sagan", "/?title=sagan"]);
+		assert.equal(calls.length, 2);
+	});
+
+	it("replaces the entry after navigating from one hash to another", () => {
+		router.navigate("/book/1");
+		router.navigate("/book/2");
+		router.clear();
+
+		assert.deepEqual(fakeWindow.entries, [
+			"/?title=sagan",
+			"/?title=sagan#/book/1",
+			"/?title=sagan",
+		]);
+	});
+});
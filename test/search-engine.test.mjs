@@ -0,0 +1,67 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { SearchEngine, tokenize } from "../modules/search-engine.js";
+import { authors, genres, books } from "./books.mjs";
+
+const searchEngine = new SearchEngine({
+	booksSource: books,
+	authorsSource: authors,
+	genresSource: genres,
+});
+
+/**
+ * @param {string} query
+ * @returns {string[]}
+ */
+const searchIds = (query) =>
+	searchEngine.search(query).map((singleBook) => singleBook.id);
+
+describe("tokenize", () => {
+	it("lowercases the text and removes accents", () => {
+		assert.deepEqual(tokenize("Lettre à un Otage"), ["lettre", "un", "otage"]);
+	});
+
+	it("drops stop words and single letters but keeps numbers", () => {
+		assert.deepEqual(tokenize("The Hobbit, a 2 of K"), ["hobbit", "2"]);
+	});
+});
+
+describe("SearchEngine", () => {
+	it("finds books by their title, author, genres and description", () => {
+		assert.deepEqual(searchIds("cosmos"), ["cosmos"]);
+		assert.deepEqual(searchIds("kahneman"), ["thinking"]);
+		assert.deepEqual(searchIds("psychology").sort(), ["shadows", "thinking"]);
+		assert.deepEqual(searchIds("wizard"), ["earthsea"]);
+	});
+
+	it("finds the books of every credited author", () => {
+		assert.deepEqual(searchIds("druyan"), ["shadows"]);
+		assert.deepEqual(searchIds("sagan").sort(), ["cosmos", "shadows"]);
+	});
+
+	it("ranks the books matching in more fields first", () => {
+		assert.deepEqual(searchIds("science"), ["cosmos", "shadows"]);
+	});
+
+	it("only returns books matching every query token", () => {
+		assert.deepEqual(searchIds("sagan cosmos"), ["cosmos"]);
+		assert.deepEqual(searchIds("sagan kahneman"), []);
+	});
+
+	it("matches the prefix of a word", () => {
+		assert.deepEqual(searchIds("earths"), ["earthsea"]);
+	});
+
+	it("returns no books for a query made of stop words only", () => {
+		assert.deepEqual(searchIds("the of"), []);
+	});
+
+	it("suggests a correction for a misspelled author name", () => {
+		assert.equal(searchEngine.suggest("kanheman"), "Kahneman");
+		assert.equal(searchEngine.suggest("kahneman"), null);
+	});
+
+	it("suggests a correction for a misspelled title word", () => {
+		assert.equal(searchEngine.suggest("cosmso sagan"), "Cosmos sagan");
+	});
+});
@@ -0,0 +1,80 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { localStorage, storeFromOtherTab } from "./fake-window.mjs";
+import { books } from "./books.mjs";
+
+localStorage.setItem(
+	"book-connect:shelves",
+	JSON.stringify({ cosmos: "reading", thinking: "borrowed", gone: "finished" })
+);
+
+const { isShelf, getShelf, setShelf, filterByShelf, countShelves } =
+	await import("../modules/shelves.js");
+
+/** @returns {unknown} */
+const readStoredShelves = () =>
+	JSON.parse(localStorage.getItem("book-connect:shelves"));
+
+describe("shelves", () => {
+	it("recognizes the shelf IDs", () => {
+		assert.equal(isShelf("want-to-read"), true);
+		assert.equal(isShelf("borrowed"), false);
+		assert.equal(isShelf("toString"), false);
+	});
+
+	it("reads the stored shelves, leaving out unknown shelf IDs", () => {
+		assert.equal(getShelf("cosmos"), "reading");
+		assert.equal(getShelf("thinking"), null);
+		assert.equal(getShelf("earthsea"), null);
+	});
+
+	it("moves a book to another shelf, or takes it off its shelf", () => {
+		setShelf("earthsea", "want-to-read");
+		setShelf("cosmos", "finished");
+		assert.equal(getShelf("earthsea"), "want-to-read");
+		assert.equal(getShelf("cosmos"), "finished");
+
+		setShelf("earthsea", null);
+		assert.equal(getShelf("earthsea"), null);
+		assert.deepEqual(readStoredShelves(), {
+			cosmos: "finished",
+			gone: "finished",
+		});
+	});
+
+	it("throws an error for an unknown shelf", () => {
+		assert.throws(() => setShelf("cosmos", "borrowed"), {
+			message: "borrowed is not a supported shelf",
+		});
+	});
+
+	it("filters and counts the books on each shelf", () => {
+		setShelf("shadows", "finished");
+		setShelf("thinking", "reading");
+
+		assert.deepEqual(
+			filterByShelf(books, "finished").map(({ id }) => id),
+			["cosmos", "shadows"]
+		);
+		assert.deepEqual(countShelves(books), {
+			"want-to-read": 0,
+			reading: 1,
+			finished: 2,
+		});
+	});
+
+	it("keeps the shelves changed in another tab", () => {
+		storeFromOtherTab(
+			"book-connect:shelves",
+			JSON.stringify({ earthsea: "reading" })
+		);
+		setShelf("cosmos", "want-to-read");
+
+		assert.equal(getShelf("earthsea"), "reading");
+		assert.equal(getShelf("shadows"), null);
+		assert.deepEqual(readStoredShelves(), {
+			earthsea: "reading",
+			cosmos: "want-to-read",
+		});
+	});
+});
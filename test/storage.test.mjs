@@ -0,0 +1,53 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { localStorage, storeFromOtherTab } from "./fake-window.mjs";
+import { readStorage, writeStorage, watchStorage } from "../modules/storage.js";
+
+afterEach(() => {
+	localStorage.isFull = false;
+	localStorage.clear();
+});
+
+describe("readStorage", () => {
+	it("parses the value stored under the prefixed key", () => {
+		localStorage.setItem("book-connect:theme", '"night"');
+
+		assert.equal(readStorage("theme", "auto"), "night");
+	});
+
+	it("returns the fallback for a missing or invalid value", () => {
+		localStorage.setItem("book-connect:theme", "{");
+
+		assert.equal(readStorage("theme", "auto"), "auto");
+		assert.deepEqual(readStorage("missing", []), []);
+	});
+});
+
+describe("writeStorage", () => {
+	it("stores the value as JSON under the prefixed key", () => {
+		assert.equal(writeStorage("favorites", ["cosmos"]), true);
+
+		assert.equal(localStorage.getItem("book-connect:favorites"), '["cosmos"]');
+	});
+
+	it("reports a value that cannot be stored without throwing", () => {
+		localStorage.isFull = true;
+
+		assert.equal(writeStorage("favorites", ["cosmos"]), false);
+		assert.equal(localStorage.getItem("book-connect:favorites"), null);
+	});
+});
+
+describe("watchStorage", () => {
+	it("calls back when the key is changed or cleared in another tab", () => {
+		/** @type {string[]} */
+		const changes = [];
+		watchStorage("favorites", () => changes.push("favorites"));
+
+		storeFromOtherTab("book-connect:ratings", "{}");
+		storeFromOtherTab("book-connect:favorites", "[]");
+		window.dispatchEvent(Object.assign(new Event("storage"), { key: null }));
+
+		assert.deepEqual(changes, ["favorites", "favorites"]);
+	});
+});
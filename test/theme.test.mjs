@@ -0,0 +1,149 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { localStorage, colorScheme, fakeDocument } from "./fake-window.mjs";
+
+localStorage.setItem("book-connect:theme", '"sepia"');
+
+const {
+	rgbToHex,
+	hexToRgb,
+	getThemes,
+	getStoredTheme,
+	setTheme,
+	saveCustomTheme,
+	deleteCustomTheme,
+	serializeTheme,
+	parseThemeFile,
+} = await import("../modules/theme.js");
+
+const { documentElement } = fakeDocument;
+
+const colors = {
+	"--color-blue": "0, 150, 255",
+	"--color-force-dark": "10, 10, 20",
+	"--color-force-light": "255, 255, 255",
+	"--color-dark": "20, 40, 60",
+	"--color-light": "250, 250, 240",
+};
+
+describe("rgbToHex and hexToRgb", () => {
+	it("convert between color values and hexadecimal colors", () => {
+		assert.equal(rgbToHex("10, 10, 20"), "#0a0a14");
+		assert.equal(rgbToHex("255,0,128"), "#ff0080");
+		assert.equal(hexToRgb("#0a0a14"), "10, 10, 20");
+		assert.equal(hexToRgb(rgbToHex("160, 82, 45")), "160, 82, 45");
+	});
+});
+
+describe("setTheme", () => {
+	it("applies the stored theme when it is loaded", () => {
+		assert.equal(getStoredTheme(), "sepia");
+		assert.equal(documentElement.getAttribute("data-theme"), "sepia");
+		assert.equal(
+			documentElement.style.getPropertyValue("--color-light"),
+			"244, 236, 216"
+		);
+	});
+
+	it("applies the theme, and stores it with its colors", () => {
+		setTheme("high-contrast");
+
+		assert.equal(documentElement.getAttribute("data-theme"), "high-contrast");
+		assert.equal(
+			documentElement.style.getPropertyValue("--color-light"),
+			"0, 0, 0"
+		);
+		assert.equal(localStorage.getItem("book-connect:theme"), '"high-contrast"');
+		assert.equal(
+			JSON.parse(localStorage.getItem("book-connect:theme-colors"))[
+				"--color-blue"
+			],
+			"255, 221, 0"
+		);
+	});
+
+	it("follows the operating system's color scheme with the auto theme", () => {
+		setTheme("auto");
+		assert.equal(documentElement.getAttribute("data-theme"), "day");
+
+		colorScheme.setMatches(true);
+		assert.equal(documentElement.getAttribute("data-theme"), "night");
+
+		colorScheme.setMatches(false);
+		assert.equal(documentElement.getAttribute("data-theme"), "day");
+	});
+
+	it("falls back to the auto theme for a theme that does not exist", () => {
+		localStorage.setItem("book-connect:theme", '"purple"');
+
+		assert.equal(getStoredTheme(), "auto");
+	});
+});
+
+describe("saveCustomTheme", () => {
+	it("creates, updates and deletes a custom theme", () => {
+		const theme = saveCustomTheme({ name: " Dusk ", colors });
+		assert.match(theme.id, /^custom-/);
+		assert.equal(theme.name, "Dusk");
+
+		const updatedTheme = saveCustomTheme({ ...theme, name: "Dawn" });
+		assert.equal(updatedTheme.id, theme.id);
+		assert.deepEqual(
+			getThemes().map(({ name }) => name),
+			["Day", "Night", "High contrast", "Sepia", "Dawn"]
+		);
+
+		setTheme(theme.id);
+		deleteCustomTheme(theme.id);
+		assert.equal(getThemes().length, 4);
+		assert.equal(getStoredTheme(), "auto");
+	});
+
+	it("creates a custom theme when a built-in theme is saved", () => {
+		const theme = saveCustomTheme({ id: "day", name: "My day", colors });
+
+		assert.notEqual(theme.id, "day");
+		assert.equal(getThemes()[0].name, "Day");
+		deleteCustomTheme(theme.id);
+	});
+
+	it("rejects themes without a name or a valid value for every variable", () => {
+		assert.throws(() => saveCustomTheme({ name: "", colors }), {
+			message: "A theme must have a name",
+		});
+		assert.throws(
+			() =>
+				saveCustomTheme({
+					name: "Dusk",
+					colors: { ...colors, "--color-dark": "256, 0, 0" },
+				}),
+			{
+				message:
+					'The "Dusk" theme has no valid "r, g, b" value for --color-dark',
+			}
+		);
+	});
+});
+
+describe("parseThemeFile", () => {
+	it("reads a single theme or a list of themes", () => {
+		const theme = {
+			name: "Dusk",
+			colors: { ...colors, "--unknown": "1, 2, 3" },
+		};
+
+		assert.deepEqual(parseThemeFile(serializeTheme({ id: "x", ...theme })), [
+			{ name: "Dusk", colors },
+		]);
+		assert.equal(parseThemeFile(JSON.stringify([theme, theme])).length, 2);
+	});
+
+	it("rejects files that are not valid JSON or hold an invalid theme", () => {
+		assert.throws(() => parseThemeFile("{"), {
+			message: "The theme file is not valid JSON",
+		});
+		assert.throws(() => parseThemeFile("[null]"), {
+			message: "A theme must be an object",
+		});
+	});
+});
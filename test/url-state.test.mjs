@@ -0,0 +1,69 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./fake-window.mjs";
+import { encodeFilterState, decodeFilterState } from "../modules/url-state.js";
+import {
+	getBookRanges,
+	createDefaultFilters,
+} from "../modules/book-filters.js";
+import { books } from "./books.mjs";
+
+const defaults = createDefaultFilters(getBookRanges(books));
+
+describe("encodeFilterState", () => {
+	it("returns an empty string for the default filters", () => {
+		assert.equal(
+			encodeFilterState({ filters: defaults, page: 1 }, defaults),
+			""
+		);
+	});
+
+	it("leaves out the filters at their defaults", () => {
+		const search = encodeFilterState(
+			{
+				filters: {
+					...defaults,
+					title: " sagan ",
+					genres: ["science", "psychology"],
+					yearMin: 1980,
+					pagesMax: defaults.pagesMax,
+				},
+				page: 2,
+			},
+			defaults
+		);
+
+		assert.equal(
+			search,
+			"?title=sagan&genre=science&genre=psychology&yearMin=1980&page=2"
+		);
+	});
+});
+
+describe("decodeFilterState", () => {
+	it("restores the encoded filter state", () => {
+		const state = {
+			filters: {
+				...defaults,
+				title: "sagan",
+				authors: ["druyan"],
+				genreMatch: /** @type {const} */ ("all"),
+				pagesMin: 200,
+				favoritesOnly: true,
+				ratingMin: 3,
+				sort: "title-asc",
+			},
+			page: 3,
+		};
+
+		assert.deepEqual(
+			decodeFilterState(encodeFilterState(state, defaults), defaults),
+			state
+		);
+	});
+
+	it("falls back to the first page for invalid page numbers", () => {
+		assert.equal(decodeFilterState("?page=abc", defaults).page, 1);
+		assert.equal(decodeFilterState("?page=-2", defaults).page, 1);
+	});
+});